@@ -0,0 +1,183 @@
+const { spawn } = require("node:child_process");
+const fs = require("node:fs/promises");
+const path = require("node:path");
+
+const {
+    buildNamespaceMapping,
+    defaultBrandMappingPath,
+    loadBrandMappings,
+} = require("./namespace-mapping");
+
+// Same per-command limit as AzmcpRunner in mcp-tools/McpCliMetadata.
+const AZMCP_TIMEOUT_MS = 30_000;
+const AZMCP_COMMANDS = Object.freeze({
+    version: ["--version"],
+    tools: ["tools", "list"],
+    namespaces: ["tools", "list", "--namespace-mode"],
+});
+
+// Port of JsonControlCharacterSanitizer: azmcp can emit raw control characters (such
+// as 0x1A) inside JSON strings, so they are dropped there. Structural whitespace and
+// escape sequences are kept.
+function stripInvalidControlCharacters(json) {
+    let result = "";
+    let inString = false;
+    let escaping = false;
+    for (const character of json) {
+        if (inString) {
+            if (escaping) {
+                escaping = false;
+            } else if (character === "\\") {
+                escaping = true;
+            } else if (character === "\"") {
+                inString = false;
+            } else if (/[\u0000-\u001F\u007F-\u009F]/.test(character)) {
+                continue;
+            }
+        } else if (character === "\"") {
+            inString = true;
+        }
+        result += character;
+    }
+    return result;
+}
+
+// azmcp comes from the @azure/mcp dependency unless a path is given. JavaScript entry
+// points run with the current Node.js, which avoids .cmd shims on Windows.
+async function resolveAzmcp({ rootDir = __dirname, azmcpPath } = {}) {
+    let binaryPath;
+    if (azmcpPath) {
+        binaryPath = path.resolve(azmcpPath);
+    } else {
+        const packageDirectory = path.join(rootDir, "node_modules", "@azure", "mcp");
+        let packageDocument;
+        try {
+            packageDocument = JSON.parse(await fs.readFile(path.join(packageDirectory, "package.json"), "utf8"));
+        } catch (error) {
+            if (error.code === "ENOENT") {
+                throw new Error(`@azure/mcp is not installed in ${rootDir}; run "npm install" or pass --azmcp <path>`);
+            }
+            throw error;
+        }
+        const bin = typeof packageDocument.bin === "string" ? packageDocument.bin : packageDocument.bin?.azmcp;
+        if (!bin) {
+            throw new Error(`@azure/mcp ${packageDocument.version} does not declare an azmcp binary`);
+        }
+        binaryPath = path.join(packageDirectory, bin);
+    }
+
+    try {
+        await fs.access(binaryPath);
+    } catch (error) {
+        if (error.code === "ENOENT") {
+            throw new Error(`azmcp not found: ${binaryPath}`);
+        }
+        throw error;
+    }
+    return /\.[cm]?js$/i.test(binaryPath)
+        ? { path: binaryPath, command: process.execPath, prefixArgs: [binaryPath] }
+        : { path: binaryPath, command: binaryPath, prefixArgs: [] };
+}
+
+function runAzmcp(azmcp, args, { timeoutMs = AZMCP_TIMEOUT_MS } = {}) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(azmcp.command, [...azmcp.prefixArgs, ...args], {
+            shell: false,
+            stdio: ["ignore", "pipe", "pipe"],
+            timeout: timeoutMs,
+        });
+        const output = [];
+        const errorOutput = [];
+        child.stdout.on("data", (chunk) => output.push(chunk));
+        child.stderr.on("data", (chunk) => errorOutput.push(chunk));
+
+        child.once("error", reject);
+        child.once("close", (exitCode, signal) => {
+            const stderr = Buffer.concat(errorOutput).toString("utf8").trim();
+            if (signal) {
+                reject(new Error(`azmcp ${args.join(" ")} was stopped by ${signal}${signal === "SIGTERM" ? ` after ${timeoutMs} ms` : ""}`));
+                return;
+            }
+            if (exitCode !== 0) {
+                reject(new Error(`azmcp ${args.join(" ")} failed with exit code ${exitCode}: ${stderr}`));
+                return;
+            }
+            resolve(Buffer.concat(output).toString("utf8").trim());
+        });
+    });
+}
+
+function parseAzmcpJson(text, args) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`azmcp ${args.join(" ")} did not return JSON: ${error.message}`);
+    }
+}
+
+// Node.js counterpart of McpCliMetadata: writes cli-version.json, cli-output.json,
+// cli-namespace.json and namespace-mapping.json to <outputDirectory>/cli. Pass it to
+// createVersionSnapshot as runExtractor.
+async function runAzmcpExtractor(outputDirectory, {
+    rootDir = __dirname,
+    azmcpPath,
+    brandMappingPath = defaultBrandMappingPath,
+    timeoutMs = AZMCP_TIMEOUT_MS,
+    log = () => {},
+} = {}) {
+    const azmcp = await resolveAzmcp({ rootDir, azmcpPath });
+    const cliDirectory = path.join(outputDirectory, "cli");
+    await fs.mkdir(cliDirectory, { recursive: true });
+
+    log("Extracting CLI version...");
+    const version = await runAzmcp(azmcp, AZMCP_COMMANDS.version, { timeoutMs });
+    if (!version) {
+        throw new Error("azmcp --version returned empty output");
+    }
+    log("Extracting tool metadata...");
+    const toolsJson = stripInvalidControlCharacters(await runAzmcp(azmcp, AZMCP_COMMANDS.tools, { timeoutMs }));
+    const tools = parseAzmcpJson(toolsJson, AZMCP_COMMANDS.tools).results;
+    if (!Array.isArray(tools)) {
+        throw new Error("azmcp tools list did not return a results array");
+    }
+    log("Extracting namespace metadata...");
+    const namespaceJson = stripInvalidControlCharacters(await runAzmcp(azmcp, AZMCP_COMMANDS.namespaces, { timeoutMs }));
+    parseAzmcpJson(namespaceJson, AZMCP_COMMANDS.namespaces);
+
+    // The tool and namespace listings are written as azmcp printed them, like the .NET extractor.
+    await fs.writeFile(path.join(cliDirectory, "cli-version.json"), JSON.stringify({ version }), "utf8");
+    await fs.writeFile(path.join(cliDirectory, "cli-output.json"), toolsJson, "utf8");
+    await fs.writeFile(path.join(cliDirectory, "cli-namespace.json"), namespaceJson, "utf8");
+
+    log("Generating namespace mapping...");
+    const namespaceMapping = buildNamespaceMapping({
+        brandMappings: await loadBrandMappings(brandMappingPath),
+        tools,
+        version,
+    });
+    await fs.writeFile(
+        path.join(cliDirectory, "namespace-mapping.json"),
+        `${JSON.stringify(namespaceMapping, null, 2)}\n`,
+        "utf8",
+    );
+    if (namespaceMapping.unmatched_tools.length > 0) {
+        log(`⚠️  Warning: ${namespaceMapping.unmatched_tools.length} tools did not match any namespace prefix`);
+    }
+
+    // Recorded in the snapshot manifest: the azmcp path relative to the repository root
+    // (like runDotnetExtractor) and the three commands that were run.
+    const repositoryRoot = path.resolve(rootDir, "..");
+    return {
+        command: path.relative(repositoryRoot, azmcp.path).split(path.sep).join("/"),
+        args: Object.values(AZMCP_COMMANDS).map((args) => args.join(" ")),
+        exitCode: 0,
+    };
+}
+
+module.exports = {
+    AZMCP_COMMANDS,
+    resolveAzmcp,
+    runAzmcp,
+    runAzmcpExtractor,
+    stripInvalidControlCharacters,
+};
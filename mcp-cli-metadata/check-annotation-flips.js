@@ -0,0 +1,181 @@
+const path = require("node:path");
+
+const { buildAnnotationFileName, loadFileNameData } = require("../mcp-tools/scripts/standalone/cli-metadata-helpers");
+const { applyWaivers, defaultWaiversPath, loadWaivers } = require("../mcp-tools/scripts/standalone/verifiers/waivers");
+const { loadSnapshotCatalog } = require("./snapshot-catalog");
+const { loadSnapshot } = require("./snapshot-reader");
+
+const RULE_ID = "annotation-safety-flip";
+
+// The metadata flags rendered by mcp-tools/templates/annotation-template.hbs.
+const SAFETY_FLAGS = Object.freeze([
+    "destructive",
+    "idempotent",
+    "openWorld",
+    "readOnly",
+    "secret",
+    "localRequired",
+]);
+
+function flagValue(tool, flag) {
+    // The annotation template renders a missing flag the same way as false.
+    return tool.metadata?.[flag]?.value === true;
+}
+
+function findAnnotationFlips(previousSnapshot, currentSnapshot) {
+    const previousByCommand = new Map(previousSnapshot.tools.map((tool) => [tool.command, tool]));
+    const flips = [];
+
+    for (const tool of currentSnapshot.tools) {
+        const previousTool = previousByCommand.get(tool.command);
+        if (!previousTool) {
+            continue;
+        }
+        for (const flag of SAFETY_FLAGS) {
+            const from = flagValue(previousTool, flag);
+            const to = flagValue(tool, flag);
+            if (from !== to) {
+                flips.push({ tool: tool.command, flag, from, to });
+            }
+        }
+    }
+
+    return flips.sort((left, right) => left.tool.localeCompare(right.tool, "en")
+        || left.flag.localeCompare(right.flag, "en"));
+}
+
+function formatFlip(flip) {
+    return `${flip.tool}: ${flip.flag} ${flip.from} → ${flip.to}`;
+}
+
+// Waivers are matched with the article verifiers' rules (mcp-tools/scripts/standalone/
+// verifiers/waivers.js): each flip is a finding for the annotation include file of its
+// tool, relative to the articles root, and a waiver can also name the flag. Waivers
+// without a reason or file, expired waivers, and waivers that match no flip are problems.
+function waiveFlips(flips, waivers, { waiversPath = defaultWaiversPath, now } = {}) {
+    const nameData = loadFileNameData();
+    const findings = flips.map((flip) => ({
+        ruleId: RULE_ID,
+        severity: "error",
+        file: `includes/tools/annotations/${buildAnnotationFileName(flip.tool, nameData)}`,
+        ...flip,
+        message: formatFlip(flip),
+    }));
+    const { findings: failures, waived, problems } = applyWaivers(findings, waivers, {
+        articlesRoot: path.resolve(__dirname, ".."),
+        waiversPath,
+        now,
+    });
+    return { failures, waived, problems: problems.map((problem) => problem.message) };
+}
+
+async function checkAnnotationFlips({
+    rootDir = __dirname,
+    snapshot,
+    previous,
+    waiversPath = defaultWaiversPath,
+    now,
+}) {
+    // Versions or snapshot directory names; the default previous snapshot is the one
+    // before the given snapshot, since a new snapshot is already the tracked version
+    const catalog = await loadSnapshotCatalog(rootDir);
+    const find = (version) => {
+        const found = catalog.find(version);
+        if (!found) {
+            throw new Error(`No snapshot found for version ${version}`);
+        }
+        return found;
+    };
+    const current = find(snapshot);
+    const before = previous ? find(previous) : catalog.previous(current.name);
+    if (!before) {
+        throw new Error(`No snapshot before ${current.name}`);
+    }
+    if (before.directory === current.directory) {
+        throw new Error(`Cannot compare ${current.name} with itself`);
+    }
+    const previousSnapshot = await loadSnapshot(before.directory);
+    const currentSnapshot = await loadSnapshot(current.directory);
+    const flips = findAnnotationFlips(previousSnapshot, currentSnapshot);
+    const { failures, waived, problems } = waiveFlips(flips, loadWaivers([RULE_ID], waiversPath), { waiversPath, now });
+
+    return {
+        fromVersion: previousSnapshot.version,
+        toVersion: currentSnapshot.version,
+        failures,
+        waived,
+        problems,
+    };
+}
+
+function parseArguments(argv) {
+    const positional = [];
+    const options = {};
+    for (let index = 0; index < argv.length; index++) {
+        const argument = argv[index];
+        if (argument === "--previous" || argument === "--waivers") {
+            const value = argv[++index];
+            if (value === undefined || value.startsWith("--")) {
+                throw new Error(`${argument} requires a value`);
+            }
+            options[argument.slice(2)] = value;
+        } else {
+            positional.push(argument);
+        }
+    }
+    return { positional, options };
+}
+
+async function main() {
+    const { positional, options } = parseArguments(process.argv.slice(2));
+    if (positional.length !== 1) {
+        throw new Error(
+            "Usage: node check-annotation-flips.js <version> [--previous <version>] [--waivers <path>]",
+        );
+    }
+
+    const result = await checkAnnotationFlips({
+        snapshot: positional[0],
+        previous: options.previous,
+        waiversPath: options.waivers ? path.resolve(options.waivers) : defaultWaiversPath,
+    });
+
+    console.log(`Compared annotation flags ${result.fromVersion} → ${result.toVersion}`);
+    for (const flip of result.waived) {
+        console.log(`  waived: ${flip.message} (${flip.waiver.reason})`);
+    }
+    for (const flip of result.failures) {
+        console.error(`  flipped: ${flip.message} (${flip.file})`);
+    }
+    for (const problem of result.problems) {
+        console.error(`  waiver problem: ${problem.replace(/`/g, "")}`);
+    }
+
+    if (result.failures.length > 0) {
+        console.error(
+            `${result.failures.length} annotation flag change(s) need doc review or a waiver `
+            + `with ruleId "${RULE_ID}" in validation-waivers.json`,
+        );
+    }
+    if (result.failures.length > 0 || result.problems.length > 0) {
+        process.exitCode = 1;
+    } else {
+        console.log("No unwaived annotation flag changes.");
+    }
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(`Failed to check annotation flags: ${error.message}`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    RULE_ID,
+    SAFETY_FLAGS,
+    checkAnnotationFlips,
+    findAnnotationFlips,
+    parseArguments,
+    waiveFlips,
+};
@@ -2,12 +2,14 @@ const { spawn } = require("node:child_process");
 const fs = require("node:fs/promises");
 const path = require("node:path");
 
-const REQUIRED_ARTIFACTS = Object.freeze([
-    "cli-version.json",
-    "cli-output.json",
-    "cli-namespace.json",
-    "namespace-mapping.json",
-]);
+const { runAzmcpExtractor } = require("./azmcp-extractor");
+const { runMcpExtractor } = require("./mcp-extractor");
+const { createReleaseNotesStep } = require("./release-notes");
+const { loadSnapshotCatalog } = require("./snapshot-catalog");
+const { writeSnapshotManifest } = require("./snapshot-manifest");
+const { REQUIRED_ARTIFACTS } = require("./snapshot-reader");
+const { FINGERPRINTS_FILE, writeFingerprints } = require("./tool-fingerprints");
+const { assertValidSnapshotDirectory } = require("./validate-cli-output");
 
 async function pathExists(candidatePath) {
     try {
@@ -41,7 +43,20 @@ function runDotnetExtractor(temporaryOutputDirectory, rootDir) {
         child.once("error", reject);
         child.once("close", (exitCode) => {
             if (exitCode === 0) {
-                resolve();
+                // Paths are recorded relative to the repository root; the temporary
+                // output directory is deleted afterwards, so only a placeholder is kept.
+                resolve({
+                    command: "dotnet",
+                    args: args.map((arg) => {
+                        if (arg === temporaryOutputDirectory) {
+                            return "<output-directory>";
+                        }
+                        return arg === projectPath
+                            ? path.relative(path.resolve(rootDir, ".."), projectPath).split(path.sep).join("/")
+                            : arg;
+                    }),
+                    exitCode,
+                });
                 return;
             }
             reject(new Error(`McpCliMetadata exited with code ${exitCode}`));
@@ -60,12 +75,19 @@ function validateVersionDirectoryName(version) {
     }
 }
 
+// afterCreate, when given, runs once the snapshot is in place and tracked, with the
+// new snapshot directory and the directory of the previously tracked snapshot (null if
+// there was none), for example createReleaseNotesStep from release-notes.js.
+// With trackVersion false, tracked-version.txt is left alone and the previous snapshot
+// is the latest one in rootDir instead.
 async function createVersionSnapshot({
     rootDir = __dirname,
     runExtractor = (temporaryOutputDirectory) => runDotnetExtractor(
         temporaryOutputDirectory,
         rootDir,
     ),
+    trackVersion = true,
+    afterCreate,
 } = {}) {
     const temporaryOutputDirectory = await fs.mkdtemp(
         path.join(path.resolve(rootDir, ".."), ".mcp-cli-snapshot-tmp-"),
@@ -73,7 +95,9 @@ async function createVersionSnapshot({
     const cliDirectory = path.join(temporaryOutputDirectory, "cli");
 
     try {
-        await runExtractor(temporaryOutputDirectory);
+        const startedAt = new Date().toISOString();
+        const invocation = await runExtractor(temporaryOutputDirectory);
+        const completedAt = new Date().toISOString();
 
         for (const fileName of REQUIRED_ARTIFACTS) {
             const artifactPath = path.join(cliDirectory, fileName);
@@ -93,21 +117,125 @@ async function createVersionSnapshot({
             throw new Error(`Version snapshot already exists: ${versionDirectory}`);
         }
 
+        await assertValidSnapshotDirectory(cliDirectory);
+        const catalog = await loadSnapshotCatalog(rootDir);
+        const previousSnapshot = trackVersion
+            ? catalog.trackedVersion && catalog.find(catalog.trackedVersion)
+            : catalog.latest();
+        const previousDirectory = previousSnapshot?.directory ?? null;
+        await writeFingerprints(cliDirectory);
+        await writeSnapshotManifest(cliDirectory, {
+            fileNames: [...REQUIRED_ARTIFACTS, FINGERPRINTS_FILE],
+            extractor: { ...invocation, startedAt, completedAt },
+        });
         await fs.rename(cliDirectory, versionDirectory);
-        const trackedVersion = version.split("+", 1)[0];
-        await fs.writeFile(
-            path.join(rootDir, "tracked-version.txt"),
-            `${trackedVersion}\n`,
-            "utf8",
-        );
+        if (trackVersion) {
+            const trackedVersion = version.split("+", 1)[0];
+            await fs.writeFile(
+                path.join(rootDir, "tracked-version.txt"),
+                `${trackedVersion}\n`,
+                "utf8",
+            );
+        }
+        if (afterCreate) {
+            try {
+                await afterCreate({ versionDirectory, previousDirectory });
+            } catch (error) {
+                throw new Error(`Created ${versionDirectory}, but the post-step failed: ${error.message}`);
+            }
+        }
         return versionDirectory;
     } finally {
         await fs.rm(temporaryOutputDirectory, { recursive: true, force: true });
     }
 }
 
+function readOption(argv, name) {
+    const index = argv.indexOf(name);
+    if (index < 0) {
+        return undefined;
+    }
+    const value = argv[index + 1];
+    if (value === undefined || value.startsWith("--")) {
+        throw new Error(`${name} requires a value`);
+    }
+    return value;
+}
+
+const EXTRACTORS = ["dotnet", "azmcp", "mcp"];
+
+// --extractor dotnet (the default) runs McpCliMetadata; --extractor azmcp runs azmcp
+// directly, from node_modules or the path given with --azmcp; --extractor mcp starts
+// the MCP server command given after -- and lists its tools over stdio. MCP snapshots
+// can come from any server, so they need their own --root and never move the azmcp
+// tracked-version.txt.
+function parseArgs(argv) {
+    const separatorIndex = argv.indexOf("--");
+    const options = separatorIndex < 0 ? argv : argv.slice(0, separatorIndex);
+    const serverCommand = separatorIndex < 0 ? [] : argv.slice(separatorIndex + 1);
+    const azmcpPath = readOption(options, "--azmcp");
+    const toolPrefix = readOption(options, "--tool-prefix");
+    const rootDir = readOption(options, "--root");
+    const releaseNotesPath = readOption(options, "--release-notes");
+    const extractor = readOption(options, "--extractor")
+        ?? (azmcpPath ? "azmcp" : serverCommand.length > 0 ? "mcp" : "dotnet");
+    if (!EXTRACTORS.includes(extractor)) {
+        throw new Error(`Unknown extractor "${extractor}"; use ${EXTRACTORS.map((name) => `"${name}"`).join(", ")}`);
+    }
+    if (azmcpPath && extractor !== "azmcp") {
+        throw new Error("--azmcp can only be used with --extractor azmcp");
+    }
+    if (extractor === "mcp" && serverCommand.length === 0) {
+        throw new Error("--extractor mcp requires the MCP server command after --");
+    }
+    if (extractor === "mcp" && rootDir === undefined) {
+        throw new Error("--extractor mcp requires --root <directory> for the server's snapshots");
+    }
+    if (extractor === "mcp" && path.resolve(rootDir) === __dirname) {
+        throw new Error(`--extractor mcp cannot write into the azmcp snapshots in ${__dirname}`);
+    }
+    if (extractor !== "mcp" && (serverCommand.length > 0 || toolPrefix !== undefined)) {
+        throw new Error("A server command and --tool-prefix can only be used with --extractor mcp");
+    }
+    return {
+        extractor,
+        azmcpPath,
+        serverCommand,
+        toolPrefix,
+        rootDir: rootDir === undefined ? undefined : path.resolve(rootDir),
+        releaseNotesPath: releaseNotesPath === undefined ? undefined : path.resolve(releaseNotesPath),
+    };
+}
+
+// Returns the runExtractor for createVersionSnapshot, or undefined for its .NET default
+function selectExtractor({ extractor, azmcpPath, serverCommand, toolPrefix }) {
+    const log = (message) => console.log(message);
+    if (extractor === "azmcp") {
+        return (temporaryOutputDirectory) => runAzmcpExtractor(temporaryOutputDirectory, { azmcpPath, log });
+    }
+    if (extractor === "mcp") {
+        const [command, ...args] = serverCommand;
+        return (temporaryOutputDirectory) => runMcpExtractor(temporaryOutputDirectory, { command, args, toolPrefix, log });
+    }
+    return undefined;
+}
+
 async function main() {
-    const versionDirectory = await createVersionSnapshot();
+    const options = parseArgs(process.argv.slice(2));
+    const runExtractor = selectExtractor(options);
+    const versionDirectory = await createVersionSnapshot({
+        ...(options.rootDir ? { rootDir: options.rootDir } : {}),
+        ...(runExtractor ? { runExtractor } : {}),
+        trackVersion: options.extractor !== "mcp",
+        ...(options.releaseNotesPath
+            ? {
+                afterCreate: createReleaseNotesStep({
+                    outputPath: options.releaseNotesPath,
+                    log: (message) => console.log(message),
+                }),
+            }
+            : {}),
+    });
     console.log(`Created CLI metadata snapshot: ${versionDirectory}`);
 }
 
@@ -121,4 +249,5 @@ if (require.main === module) {
 module.exports = {
     REQUIRED_ARTIFACTS,
     createVersionSnapshot,
+    parseArgs,
 };
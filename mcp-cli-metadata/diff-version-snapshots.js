@@ -0,0 +1,351 @@
+const fs = require("node:fs/promises");
+const path = require("node:path");
+
+const { loadSnapshotCatalog } = require("./snapshot-catalog");
+const { loadSnapshot } = require("./snapshot-reader");
+
+function normalizeText(value) {
+    return String(value ?? "").replace(/\r\n/g, "\n").trim();
+}
+
+function indexBy(items, key) {
+    const index = new Map();
+    for (const item of items ?? []) {
+        if (item?.[key]) {
+            index.set(item[key], item);
+        }
+    }
+    return index;
+}
+
+function compareKeys(left, right) {
+    return left.localeCompare(right, "en");
+}
+
+function diffOptions(previousOptions, currentOptions) {
+    const previousByName = indexBy(previousOptions, "name");
+    const currentByName = indexBy(currentOptions, "name");
+    const added = [];
+    const removed = [];
+    const retyped = [];
+
+    for (const [name, option] of currentByName) {
+        const previousOption = previousByName.get(name);
+        if (!previousOption) {
+            added.push({ name, type: option.type ?? null, required: option.required === true });
+        } else if ((previousOption.type ?? null) !== (option.type ?? null)) {
+            retyped.push({ name, from: previousOption.type ?? null, to: option.type ?? null });
+        }
+    }
+    for (const [name, option] of previousByName) {
+        if (!currentByName.has(name)) {
+            removed.push({ name, type: option.type ?? null, required: option.required === true });
+        }
+    }
+
+    const byName = (left, right) => compareKeys(left.name, right.name);
+    return {
+        added: added.sort(byName),
+        removed: removed.sort(byName),
+        retyped: retyped.sort(byName),
+    };
+}
+
+function diffTools(previousTools, currentTools) {
+    const previousByCommand = indexBy(previousTools, "command");
+    const currentByCommand = indexBy(currentTools, "command");
+    const added = [];
+    const removed = [];
+    const changed = [];
+
+    for (const command of [...currentByCommand.keys()].sort(compareKeys)) {
+        const tool = currentByCommand.get(command);
+        const previousTool = previousByCommand.get(command);
+        if (!previousTool) {
+            added.push({ command, description: normalizeText(tool.description) });
+            continue;
+        }
+
+        const previousDescription = normalizeText(previousTool.description);
+        const description = normalizeText(tool.description);
+        const options = diffOptions(previousTool.option, tool.option);
+        const descriptionChanged = previousDescription !== description;
+        const optionsChanged = options.added.length > 0
+            || options.removed.length > 0
+            || options.retyped.length > 0;
+
+        if (descriptionChanged || optionsChanged) {
+            changed.push({
+                command,
+                description: descriptionChanged
+                    ? { from: previousDescription, to: description }
+                    : null,
+                options,
+            });
+        }
+    }
+
+    for (const command of [...previousByCommand.keys()].sort(compareKeys)) {
+        if (!currentByCommand.has(command)) {
+            removed.push({
+                command,
+                description: normalizeText(previousByCommand.get(command).description),
+            });
+        }
+    }
+
+    return { added, removed, changed };
+}
+
+function diffNamespaces(previousNamespaces, currentNamespaces) {
+    if (!previousNamespaces || !currentNamespaces) {
+        return null;
+    }
+
+    const previousByName = indexBy(previousNamespaces, "name");
+    const currentByName = indexBy(currentNamespaces, "name");
+    const added = [];
+    const removed = [];
+    const changed = [];
+
+    for (const name of [...currentByName.keys()].sort(compareKeys)) {
+        const namespace = currentByName.get(name);
+        const previousNamespace = previousByName.get(name);
+        if (!previousNamespace) {
+            added.push({ name, command: namespace.command, description: normalizeText(namespace.description) });
+            continue;
+        }
+
+        const previousDescription = normalizeText(previousNamespace.description);
+        const description = normalizeText(namespace.description);
+        if (previousNamespace.command !== namespace.command || previousDescription !== description) {
+            changed.push({
+                name,
+                command: previousNamespace.command !== namespace.command
+                    ? { from: previousNamespace.command, to: namespace.command }
+                    : null,
+                description: previousDescription !== description
+                    ? { from: previousDescription, to: description }
+                    : null,
+            });
+        }
+    }
+
+    for (const name of [...previousByName.keys()].sort(compareKeys)) {
+        if (!currentByName.has(name)) {
+            const namespace = previousByName.get(name);
+            removed.push({ name, command: namespace.command, description: normalizeText(namespace.description) });
+        }
+    }
+
+    return { added, removed, changed };
+}
+
+function diffSnapshots(previousSnapshot, currentSnapshot) {
+    const tools = diffTools(previousSnapshot.tools, currentSnapshot.tools);
+    const namespaces = diffNamespaces(previousSnapshot.namespaces, currentSnapshot.namespaces);
+
+    return {
+        fromVersion: previousSnapshot.version,
+        toVersion: currentSnapshot.version,
+        summary: {
+            previousToolCount: previousSnapshot.tools.length,
+            currentToolCount: currentSnapshot.tools.length,
+            addedTools: tools.added.length,
+            removedTools: tools.removed.length,
+            changedTools: tools.changed.length,
+            addedNamespaces: namespaces?.added.length ?? 0,
+            removedNamespaces: namespaces?.removed.length ?? 0,
+            changedNamespaces: namespaces?.changed.length ?? 0,
+        },
+        tools,
+        namespaces,
+    };
+}
+
+function escapeTableCell(value) {
+    return normalizeText(value).replace(/\|/g, "\\|").replace(/\n+/g, " ");
+}
+
+function formatOption(option) {
+    const type = option.type ? ` (${option.type})` : "";
+    const required = option.required ? ", required" : "";
+    return `\`${option.name}\`${type}${required}`;
+}
+
+function renderDiffMarkdown(diff) {
+    const lines = [];
+    const { summary } = diff;
+    lines.push(`# CLI metadata changes: ${diff.fromVersion} → ${diff.toVersion}`);
+    lines.push("");
+    lines.push("## Summary");
+    lines.push("");
+    lines.push(`- **Tools:** ${summary.previousToolCount} → ${summary.currentToolCount}`);
+    lines.push(`- **Added tools:** ${summary.addedTools}`);
+    lines.push(`- **Removed tools:** ${summary.removedTools}`);
+    lines.push(`- **Changed tools:** ${summary.changedTools}`);
+    if (diff.namespaces) {
+        lines.push(`- **Added namespaces:** ${summary.addedNamespaces}`);
+        lines.push(`- **Removed namespaces:** ${summary.removedNamespaces}`);
+        lines.push(`- **Changed namespaces:** ${summary.changedNamespaces}`);
+    } else {
+        lines.push("- **Namespaces:** not compared (`cli-namespace.json` missing from a snapshot)");
+    }
+    lines.push("");
+
+    if (diff.namespaces && (diff.namespaces.added.length > 0 || diff.namespaces.removed.length > 0)) {
+        lines.push("## Namespace changes");
+        lines.push("");
+        lines.push("| Change | Namespace | Command |");
+        lines.push("|--------|-----------|---------|");
+        for (const namespace of diff.namespaces.added) {
+            lines.push(`| Added | \`${namespace.name}\` | \`${namespace.command}\` |`);
+        }
+        for (const namespace of diff.namespaces.removed) {
+            lines.push(`| Removed | \`${namespace.name}\` | \`${namespace.command}\` |`);
+        }
+        lines.push("");
+    }
+
+    if (diff.namespaces?.changed.length > 0) {
+        lines.push("## Changed namespaces");
+        lines.push("");
+        for (const namespace of diff.namespaces.changed) {
+            lines.push(`### \`${namespace.name}\``);
+            lines.push("");
+            if (namespace.command) {
+                lines.push(`- Command: \`${namespace.command.from}\` → \`${namespace.command.to}\``);
+            }
+            if (namespace.description) {
+                lines.push(`- Description changed from "${escapeTableCell(namespace.description.from)}"`);
+                lines.push(`  to "${escapeTableCell(namespace.description.to)}"`);
+            }
+            lines.push("");
+        }
+    }
+
+    if (diff.tools.added.length > 0) {
+        lines.push("## Added tools");
+        lines.push("");
+        lines.push("| Command | Description |");
+        lines.push("|---------|-------------|");
+        for (const tool of diff.tools.added) {
+            lines.push(`| \`${tool.command}\` | ${escapeTableCell(tool.description)} |`);
+        }
+        lines.push("");
+    }
+
+    if (diff.tools.removed.length > 0) {
+        lines.push("## Removed tools");
+        lines.push("");
+        lines.push("| Command | Description |");
+        lines.push("|---------|-------------|");
+        for (const tool of diff.tools.removed) {
+            lines.push(`| \`${tool.command}\` | ${escapeTableCell(tool.description)} |`);
+        }
+        lines.push("");
+    }
+
+    if (diff.tools.changed.length > 0) {
+        lines.push("## Changed tools");
+        lines.push("");
+        for (const tool of diff.tools.changed) {
+            lines.push(`### \`${tool.command}\``);
+            lines.push("");
+            if (tool.description) {
+                lines.push("- Description changed:");
+                lines.push(`  - Before: ${escapeTableCell(tool.description.from)}`);
+                lines.push(`  - After: ${escapeTableCell(tool.description.to)}`);
+            }
+            for (const option of tool.options.added) {
+                lines.push(`- Added option ${formatOption(option)}`);
+            }
+            for (const option of tool.options.removed) {
+                lines.push(`- Removed option ${formatOption(option)}`);
+            }
+            for (const option of tool.options.retyped) {
+                lines.push(`- Changed type of \`${option.name}\`: ${option.from ?? "none"} → ${option.to ?? "none"}`);
+            }
+            lines.push("");
+        }
+    }
+
+    const hasChanges = summary.addedTools + summary.removedTools + summary.changedTools
+        + summary.addedNamespaces + summary.removedNamespaces + summary.changedNamespaces > 0;
+    if (!hasChanges) {
+        lines.push("No tool or namespace changes.");
+        lines.push("");
+    }
+
+    return lines.join("\n");
+}
+
+// from and to are versions or snapshot directory names, resolved through the catalog
+async function diffVersionSnapshots({ rootDir = __dirname, from, to }) {
+    const catalog = await loadSnapshotCatalog(rootDir);
+    const find = (version) => {
+        const snapshot = catalog.find(version);
+        if (!snapshot) {
+            throw new Error(`No snapshot found for version ${version}`);
+        }
+        return snapshot;
+    };
+    const previous = find(from);
+    const current = find(to);
+    return diffSnapshots(await loadSnapshot(previous.directory), await loadSnapshot(current.directory));
+}
+
+function parseArguments(argv) {
+    const positional = [];
+    const options = {};
+    for (let index = 0; index < argv.length; index++) {
+        const argument = argv[index];
+        if (argument === "--json" || argument === "--markdown") {
+            const value = argv[++index];
+            if (value === undefined || value.startsWith("--")) {
+                throw new Error(`${argument} requires a value`);
+            }
+            options[argument.slice(2)] = value;
+        } else {
+            positional.push(argument);
+        }
+    }
+    return { positional, options };
+}
+
+async function main() {
+    const { positional, options } = parseArguments(process.argv.slice(2));
+    if (positional.length !== 2) {
+        throw new Error(
+            "Usage: node diff-version-snapshots.js <from-version> <to-version> "
+            + "[--json <path>] [--markdown <path>]",
+        );
+    }
+
+    const diff = await diffVersionSnapshots({ from: positional[0], to: positional[1] });
+    const jsonPath = path.resolve(options.json ?? "snapshot-diff.json");
+    const markdownPath = path.resolve(options.markdown ?? "snapshot-diff.md");
+    await fs.writeFile(jsonPath, `${JSON.stringify(diff, null, 2)}\n`, "utf8");
+    await fs.writeFile(markdownPath, renderDiffMarkdown(diff), "utf8");
+
+    console.log(`Compared ${diff.fromVersion} → ${diff.toVersion}`);
+    console.log(`  Added tools: ${diff.summary.addedTools}`);
+    console.log(`  Removed tools: ${diff.summary.removedTools}`);
+    console.log(`  Changed tools: ${diff.summary.changedTools}`);
+    console.log(`JSON report: ${jsonPath}`);
+    console.log(`Markdown report: ${markdownPath}`);
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(`Failed to diff CLI metadata snapshots: ${error.message}`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    diffSnapshots,
+    diffVersionSnapshots,
+    parseArguments,
+    renderDiffMarkdown,
+};
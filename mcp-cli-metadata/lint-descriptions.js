@@ -0,0 +1,380 @@
+const fs = require("node:fs/promises");
+const path = require("node:path");
+
+const { loadSnapshotCatalog } = require("./snapshot-catalog");
+const { loadSnapshot, readJsonFile } = require("./snapshot-reader");
+
+const defaultDataDirectory = path.resolve(__dirname, "..", "mcp-tools", "data");
+
+const RULES = Object.freeze([
+    "empty-description",
+    "line-ending",
+    "hard-wrap",
+    "whitespace",
+    "static-text",
+    "compound-word",
+    "undefined-acronym",
+    "terminal-punctuation",
+    "option-description-variant",
+]);
+
+function compareKeys(left, right) {
+    return left < right ? -1 : left > right ? 1 : 0;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Same as PreserveLeadingCase in StyleGuidePostProcessor
+function preserveLeadingCase(original, replacement) {
+    return /^[A-Z]/.test(original) && replacement ? replacement[0].toUpperCase() + replacement.slice(1) : replacement;
+}
+
+// Applies a replacement to the prose of a description, leaving inline code spans alone
+function replaceInProse(text, pattern, replace) {
+    return text
+        .split(/(`[^`]*`)/)
+        .map((part, index) => (index % 2 === 1 ? part : part.replace(pattern, replace)))
+        .join("");
+}
+
+// Mirrors LoadCompoundWordRules in StyleGuidePostProcessor: abbreviations shorter than
+// six characters, hyphenated keys and "runtime" are not rewritten in prose, and each
+// key also matches its singular or plural form.
+function buildCompoundWordRules(compoundWords) {
+    const rules = [];
+    const addRule = (word, replacement) => rules.push({
+        pattern: new RegExp(`(?<![\\w-])${escapeRegExp(word)}(?![\\w-])`, "gi"),
+        replacement,
+    });
+    for (const [key, value] of Object.entries(compoundWords)) {
+        if (key.length < 6 || key.includes("-") || key.toLowerCase() === "runtime") {
+            continue;
+        }
+        const displayForm = value.replace(/-/g, " ");
+        if (key.endsWith("s")) {
+            addRule(key, displayForm);
+            if (key.length - 1 >= 6) {
+                addRule(key.slice(0, -1), displayForm.endsWith("s") ? displayForm.slice(0, -1) : displayForm);
+            }
+        } else {
+            addRule(`${key}s`, `${displayForm}s`);
+            addRule(key, displayForm);
+        }
+    }
+    return rules;
+}
+
+// Mirrors TextNormalizer.ReplaceStaticText: one case-insensitive pass, longest key first
+function buildStaticTextRule(entries) {
+    const replacements = new Map();
+    for (const entry of entries) {
+        if (entry.Parameter && !replacements.has(entry.Parameter.toLowerCase())) {
+            replacements.set(entry.Parameter.toLowerCase(), entry.NaturalLanguage ?? "");
+        }
+    }
+    const keys = [...replacements.keys()].sort((left, right) => right.length - left.length);
+    return {
+        replacements,
+        pattern: new RegExp(
+            keys.map((key) => `(?<![A-Za-z0-9_-])${escapeRegExp(key)}(?![A-Za-z0-9_-])`).join("|"),
+            "gi",
+        ),
+    };
+}
+
+// Loads acronym-definitions.json, compound-words.json, stop-words.json and
+// static-text-replacement.json from mcp-tools/data (or dataDirectory).
+async function loadLintData(dataDirectory = defaultDataDirectory) {
+    const read = (fileName) => readJsonFile(path.join(dataDirectory, fileName));
+    const [acronyms, compoundWords, stopWords, staticText] = await Promise.all([
+        read("acronym-definitions.json"),
+        read("compound-words.json"),
+        read("stop-words.json"),
+        read("static-text-replacement.json"),
+    ]);
+    return {
+        acronyms,
+        compoundWordRules: buildCompoundWordRules(compoundWords),
+        stopWords: new Set(stopWords.map((word) => word.toLowerCase())),
+        staticText: buildStaticTextRule(staticText),
+    };
+}
+
+function fixLineEndings(text, report) {
+    if (!/\r/.test(text)) {
+        return text;
+    }
+    report({ rule: "line-ending", message: "Uses \\r\\n line endings" });
+    return text.replace(/\r\n?/g, "\n");
+}
+
+// Joins lines that were wrapped mid-paragraph, keeping blank lines and list items
+function fixHardWraps(text, report) {
+    let count = 0;
+    const unwrapped = text.replace(/([^\n])[ \t]*\n(?![ \t]*(?:\n|$|[-*]\s|\d+\.\s))[ \t]*/g, (match, previous) => {
+        count++;
+        return `${previous} `;
+    });
+    if (count > 0) {
+        report({ rule: "hard-wrap", message: `Has ${count} line break(s) inside a paragraph` });
+    }
+    return unwrapped;
+}
+
+function fixWhitespace(text, report) {
+    const fixed = text.trim().replace(/[ \t]+$/gm, "").replace(/(\S)[ \t]{2,}(?=\S)/g, "$1 ");
+    if (fixed !== text) {
+        report({ rule: "whitespace", message: "Has leading, trailing or repeated spaces" });
+    }
+    return fixed;
+}
+
+function fixStaticText(text, report, data) {
+    const { replacements, pattern } = data.staticText;
+    if (replacements.size === 0) {
+        return text;
+    }
+    return replaceInProse(text, pattern, (match) => {
+        const replacement = preserveLeadingCase(match, replacements.get(match.toLowerCase()));
+        // "VMSS" inside "Virtual machine scale set (VMSS)" is already replaced
+        if (replacement === match
+            || (replacement.toLowerCase().includes(match.toLowerCase())
+                && text.toLowerCase().includes(replacement.toLowerCase()))) {
+            return match;
+        }
+        report({ rule: "static-text", message: `Replace "${match}" with "${replacement}"`, match, replacement });
+        return replacement;
+    });
+}
+
+function fixCompoundWords(text, report, data) {
+    let fixed = text;
+    for (const { pattern, replacement } of data.compoundWordRules) {
+        fixed = replaceInProse(fixed, pattern, (match) => {
+            const display = preserveLeadingCase(match, replacement);
+            report({ rule: "compound-word", message: `Write "${match}" as "${display}"`, match, replacement: display });
+            return display;
+        });
+    }
+    return fixed;
+}
+
+// Mirrors AcronymExpander.ExpandFirstOccurrence for a single description
+function fixAcronyms(text, report, data) {
+    let fixed = text;
+    for (const definition of data.acronyms) {
+        const expanded = `${definition.Expansion} (${definition.Acronym})`;
+        if (fixed.toLowerCase().includes(expanded.toLowerCase())) {
+            continue;
+        }
+        if (definition.ContextPattern && definition.ExpandedForm) {
+            if (fixed.includes(definition.ContextPattern) && !fixed.includes(definition.ExpandedForm)) {
+                report({
+                    rule: "undefined-acronym",
+                    message: `Define ${definition.Acronym} as "${definition.ExpandedForm}"`,
+                    match: definition.ContextPattern,
+                    replacement: definition.ExpandedForm,
+                });
+                fixed = fixed.replace(definition.ContextPattern, definition.ExpandedForm);
+            }
+            continue;
+        }
+        let replaced = false;
+        const current = fixed;
+        fixed = replaceInProse(fixed, new RegExp(`\\b${escapeRegExp(definition.Acronym)}\\b`, "g"), (match, offset, prose) => {
+            if (replaced) {
+                return match;
+            }
+            replaced = true;
+            // Capitalize the expansion when the description starts with the acronym
+            const replacement = offset === 0 && current.startsWith(prose)
+                ? expanded[0].toUpperCase() + expanded.slice(1)
+                : expanded;
+            report({ rule: "undefined-acronym", message: `Define ${match} on first use`, match, replacement });
+            return replacement;
+        });
+    }
+    return fixed;
+}
+
+// Mirrors TextNormalizer.EnsureEndsPeriod; a trailing comma, colon or semicolon becomes a period
+function fixTerminalPunctuation(text, report) {
+    if (!text || /[.?!]['"`]*$/.test(text)) {
+        return text;
+    }
+    report({ rule: "terminal-punctuation", message: "Does not end with a period, question mark or exclamation mark" });
+    return `${text.replace(/[,:;]+$/, "")}.`;
+}
+
+const TEXT_RULES = [
+    fixLineEndings,
+    fixHardWraps,
+    fixWhitespace,
+    fixStaticText,
+    fixCompoundWords,
+    fixAcronyms,
+    fixTerminalPunctuation,
+];
+
+// Lints one description and returns its findings with the normalized text. Acronyms are
+// only checked in tool descriptions, which open each tool's section of an article.
+function lintText(text, data, { checkAcronyms = true } = {}) {
+    const findings = [];
+    const original = String(text ?? "");
+    if (!original.trim()) {
+        return { findings: [{ rule: "empty-description", message: "Has no description" }], suggestion: original };
+    }
+    let suggestion = original;
+    for (const rule of TEXT_RULES) {
+        if (rule !== fixAcronyms || checkAcronyms) {
+            suggestion = rule(suggestion, (finding) => findings.push(finding), data);
+        }
+    }
+    return { findings, suggestion };
+}
+
+// Descriptions that differ only in case, punctuation and stop words
+function variantKey(description, stopWords) {
+    return (description.toLowerCase().match(/[a-z0-9]+/g) ?? [])
+        .filter((word) => !stopWords.has(word))
+        .join(" ");
+}
+
+// Reports an option's description once for every tool that shares it, and flags
+// descriptions of the same option that are variants of a more common wording.
+function lintOptions(tools, data) {
+    const groups = new Map();
+    for (const tool of tools) {
+        for (const option of tool.option ?? []) {
+            const description = option.description ?? "";
+            const key = `${option.name}\n${description}`;
+            if (!groups.has(key)) {
+                groups.set(key, { name: option.name, description, tools: [] });
+            }
+            groups.get(key).tools.push(tool.command);
+        }
+    }
+
+    const entries = [...groups.values()].map((group) => ({
+        ...group,
+        ...lintText(group.description, data, { checkAcronyms: false }),
+        tools: group.tools.sort(compareKeys),
+    }));
+
+    const variants = new Map();
+    for (const entry of entries) {
+        const key = `${entry.name}\n${variantKey(entry.description, data.stopWords)}`;
+        variants.set(key, [...(variants.get(key) ?? []), entry]);
+    }
+    for (const group of variants.values()) {
+        if (group.length < 2) {
+            continue;
+        }
+        const [preferred, ...others] = [...group]
+            .sort((left, right) => right.tools.length - left.tools.length || compareKeys(left.description, right.description));
+        for (const entry of others) {
+            entry.findings.push({
+                rule: "option-description-variant",
+                message: `Reword as "${preferred.description}", used by ${preferred.tools.length} tool(s)`,
+                replacement: preferred.description,
+            });
+            entry.suggestion = preferred.suggestion;
+        }
+    }
+
+    return entries
+        .filter((entry) => entry.findings.length > 0)
+        .sort((left, right) => compareKeys(left.name, right.name) || compareKeys(left.description, right.description));
+}
+
+// Lints the tool and option descriptions of a snapshot (a loadSnapshot result)
+function lintSnapshot(snapshot, data) {
+    const tools = [...snapshot.tools]
+        .sort((left, right) => compareKeys(left.command, right.command))
+        .map((tool) => ({ command: tool.command, description: tool.description ?? "", ...lintText(tool.description, data) }))
+        .filter((entry) => entry.findings.length > 0);
+    const options = lintOptions(snapshot.tools, data);
+
+    const rules = Object.fromEntries(RULES.map((rule) => [rule, 0]));
+    for (const entry of [...tools, ...options]) {
+        for (const finding of entry.findings) {
+            rules[finding.rule]++;
+        }
+    }
+    return {
+        version: snapshot.version,
+        toolCount: snapshot.tools.length,
+        summary: {
+            tools: tools.length,
+            options: options.length,
+            findings: Object.values(rules).reduce((total, count) => total + count, 0),
+            rules,
+        },
+        tools,
+        options,
+    };
+}
+
+async function lintDescriptions({ rootDir = __dirname, version, dataDirectory = defaultDataDirectory } = {}) {
+    const catalog = await loadSnapshotCatalog(rootDir);
+    const snapshot = version ? catalog.find(version) : catalog.tracked();
+    if (!snapshot) {
+        throw new Error(`No snapshot found for version ${version}`);
+    }
+    return lintSnapshot(await loadSnapshot(snapshot.directory), await loadLintData(dataDirectory));
+}
+
+function parseArguments(argv) {
+    const positional = [];
+    const options = {};
+    for (let index = 0; index < argv.length; index++) {
+        const argument = argv[index];
+        if (argument === "--output" || argument === "--data") {
+            options[argument.slice(2)] = argv[++index];
+        } else {
+            positional.push(argument);
+        }
+    }
+    return { positional, options };
+}
+
+async function main() {
+    const { positional, options } = parseArguments(process.argv.slice(2));
+    if (positional.length > 1) {
+        throw new Error("Usage: node lint-descriptions.js [<version>] [--output <path>] [--data <directory>]");
+    }
+
+    const report = await lintDescriptions({
+        version: positional[0],
+        dataDirectory: options.data ? path.resolve(options.data) : defaultDataDirectory,
+    });
+    const outputPath = path.resolve(options.output ?? "description-lint.json");
+    await fs.writeFile(outputPath, `${JSON.stringify(report, null, 2)}\n`, "utf8");
+
+    console.log(`Linted descriptions in ${report.version}: ${report.toolCount} tools`);
+    console.log(`  Tools with findings: ${report.summary.tools}`);
+    console.log(`  Option descriptions with findings: ${report.summary.options}`);
+    for (const [rule, count] of Object.entries(report.summary.rules)) {
+        if (count > 0) {
+            console.log(`  ${rule}: ${count}`);
+        }
+    }
+    console.log(`Report: ${outputPath}`);
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(`Failed to lint descriptions: ${error.message}`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    RULES,
+    lintDescriptions,
+    lintSnapshot,
+    lintText,
+    loadLintData,
+};
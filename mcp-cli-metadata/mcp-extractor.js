@@ -0,0 +1,270 @@
+const { spawn } = require("node:child_process");
+const fs = require("node:fs/promises");
+const path = require("node:path");
+const readline = require("node:readline");
+
+const {
+    buildNamespaceMapping,
+    defaultBrandMappingPath,
+    deriveNamespaces,
+    loadBrandMappings,
+} = require("./namespace-mapping");
+const { version: packageVersion } = require("./package.json");
+
+const MCP_PROTOCOL_VERSION = "2025-06-18";
+const MCP_REQUEST_TIMEOUT_MS = 30_000;
+// Stops a server that keeps returning cursors
+const MAX_TOOL_PAGES = 1000;
+
+// MCP tool annotations and the cli-output.json metadata names they map to. Absent hints
+// take the defaults from the MCP specification.
+const ANNOTATION_METADATA = Object.freeze([
+    { hint: "destructiveHint", name: "destructive", defaultValue: true },
+    { hint: "idempotentHint", name: "idempotent", defaultValue: false },
+    { hint: "openWorldHint", name: "openWorld", defaultValue: true },
+    { hint: "readOnlyHint", name: "readOnly", defaultValue: false },
+]);
+
+// Launches an MCP server and talks JSON-RPC to it over stdio: one JSON message per
+// line. Requests from the server (such as ping) are answered; notifications and
+// non-JSON lines are ignored.
+function startMcpClient(command, args = [], { cwd, env, timeoutMs = MCP_REQUEST_TIMEOUT_MS } = {}) {
+    const child = spawn(command, args, {
+        cwd,
+        env: env ?? process.env,
+        shell: false,
+        stdio: ["pipe", "pipe", "pipe"],
+    });
+    const pending = new Map();
+    const errorOutput = [];
+    let nextId = 1;
+    let exited = false;
+
+    const exitPromise = new Promise((resolve) => {
+        child.once("close", (exitCode, signal) => {
+            exited = true;
+            const stderr = Buffer.concat(errorOutput).toString("utf8").trim();
+            const error = new Error(`MCP server ${command} exited with ${signal ?? `code ${exitCode}`}${stderr ? `: ${stderr}` : ""}`);
+            for (const { reject, timer } of pending.values()) {
+                clearTimeout(timer);
+                reject(error);
+            }
+            pending.clear();
+            resolve({ exitCode, signal });
+        });
+    });
+    child.once("error", (error) => {
+        for (const { reject, timer } of pending.values()) {
+            clearTimeout(timer);
+            reject(new Error(`Unable to start MCP server ${command}: ${error.message}`));
+        }
+        pending.clear();
+    });
+    child.stderr.on("data", (chunk) => errorOutput.push(chunk));
+    // A server that exits early closes stdin; the exit is reported through pending requests.
+    child.stdin.on("error", () => {});
+
+    function send(message) {
+        child.stdin.write(`${JSON.stringify({ jsonrpc: "2.0", ...message })}\n`);
+    }
+
+    readline.createInterface({ input: child.stdout }).on("line", (line) => {
+        let message;
+        try {
+            message = JSON.parse(line);
+        } catch {
+            return;
+        }
+        if (message.method !== undefined) {
+            if (message.id !== undefined) {
+                send(message.method === "ping"
+                    ? { id: message.id, result: {} }
+                    : { id: message.id, error: { code: -32601, message: `Method not supported: ${message.method}` } });
+            }
+            return;
+        }
+        const request = pending.get(message.id);
+        if (!request) {
+            return;
+        }
+        pending.delete(message.id);
+        clearTimeout(request.timer);
+        if (message.error) {
+            request.reject(new Error(`MCP ${request.method} failed: ${message.error.message} (code ${message.error.code})`));
+        } else {
+            request.resolve(message.result);
+        }
+    });
+
+    return {
+        request(method, params) {
+            if (exited) {
+                return Promise.reject(new Error(`MCP server ${command} has exited`));
+            }
+            const id = nextId++;
+            return new Promise((resolve, reject) => {
+                const timer = setTimeout(() => {
+                    pending.delete(id);
+                    reject(new Error(`MCP ${method} timed out after ${timeoutMs} ms`));
+                }, timeoutMs);
+                pending.set(id, { method, resolve, reject, timer });
+                send({ id, method, params });
+            });
+        },
+        notify(method, params) {
+            send({ method, params });
+        },
+        // Closes stdin, which tells a stdio server to exit, and kills it if it does not.
+        async close({ graceMs = 5_000 } = {}) {
+            if (!exited) {
+                child.stdin.end();
+                const timer = setTimeout(() => child.kill(), graceMs);
+                await exitPromise;
+                clearTimeout(timer);
+            }
+            return exitPromise;
+        },
+    };
+}
+
+// Performs the initialize handshake and pages through tools/list.
+async function listMcpTools(client) {
+    const initializeResult = await client.request("initialize", {
+        protocolVersion: MCP_PROTOCOL_VERSION,
+        capabilities: {},
+        clientInfo: { name: "mcp-cli-metadata", version: packageVersion },
+    });
+    if (!initializeResult?.capabilities?.tools) {
+        throw new Error("MCP server does not declare the tools capability");
+    }
+    client.notify("notifications/initialized");
+
+    const tools = [];
+    const seenCursors = new Set();
+    let cursor;
+    for (let page = 0; page < MAX_TOOL_PAGES; page++) {
+        const result = await client.request("tools/list", cursor === undefined ? {} : { cursor });
+        if (!Array.isArray(result?.tools)) {
+            throw new Error("MCP tools/list did not return a tools array");
+        }
+        tools.push(...result.tools);
+        cursor = result.nextCursor;
+        if (cursor === undefined || cursor === null || cursor === "") {
+            return { initializeResult, tools };
+        }
+        if (seenCursors.has(cursor)) {
+            throw new Error(`MCP tools/list returned cursor ${JSON.stringify(cursor)} twice`);
+        }
+        seenCursors.add(cursor);
+    }
+    throw new Error(`MCP tools/list returned more than ${MAX_TOOL_PAGES} pages`);
+}
+
+// resourceGroup and resource_group both become --resource-group, like azmcp option names.
+function toOptionName(propertyName) {
+    return `--${propertyName
+        .replace(/([a-z0-9])([A-Z])/g, "$1-$2")
+        .replace(/_/g, "-")
+        .toLowerCase()}`;
+}
+
+function schemaType(schema) {
+    const types = Array.isArray(schema?.type) ? schema.type : [schema?.type];
+    return types.find((type) => typeof type === "string" && type !== "null") ?? "string";
+}
+
+function convertInputSchema(inputSchema) {
+    const required = new Set(Array.isArray(inputSchema?.required) ? inputSchema.required : []);
+    return Object.entries(inputSchema?.properties ?? {}).map(([propertyName, schema]) => ({
+        name: toOptionName(propertyName),
+        description: schema?.description ?? "",
+        type: schemaType(schema),
+        ...(required.has(propertyName) ? { required: true } : {}),
+    }));
+}
+
+function convertAnnotations(annotations = {}) {
+    return Object.fromEntries(ANNOTATION_METADATA.map(({ hint, name, defaultValue }) => [
+        name,
+        { value: typeof annotations[hint] === "boolean" ? annotations[hint] : defaultValue },
+    ]));
+}
+
+// Converts an MCP tool into a cli-output.json result. The command is the tool name
+// without toolPrefix, with underscores as spaces ("azmcp_acr_registry_list" with the
+// prefix "azmcp_" becomes "acr registry list"). The MCP tool name is the id.
+function convertMcpTool(tool, { toolPrefix = "" } = {}) {
+    const name = toolPrefix && tool.name.startsWith(toolPrefix) ? tool.name.slice(toolPrefix.length) : tool.name;
+    const command = name.split("_").filter(Boolean).join(" ");
+    return {
+        id: tool.name,
+        name: command.split(" ").at(-1),
+        description: tool.description ?? "",
+        command,
+        option: convertInputSchema(tool.inputSchema),
+        metadata: convertAnnotations(tool.annotations),
+    };
+}
+
+// Writes cli-version.json, cli-output.json, cli-namespace.json and namespace-mapping.json
+// for the MCP server that `command args` starts over stdio. The version is the server's
+// serverInfo.version, and namespaces are derived from the commands like the legacy
+// snapshot migration does. Pass it to createVersionSnapshot as runExtractor.
+async function runMcpExtractor(outputDirectory, {
+    command,
+    args = [],
+    cwd,
+    env,
+    toolPrefix = "",
+    brandMappingPath = defaultBrandMappingPath,
+    timeoutMs = MCP_REQUEST_TIMEOUT_MS,
+    log = () => {},
+} = {}) {
+    if (!command) {
+        throw new Error("No MCP server command given");
+    }
+    log(`Starting MCP server: ${[command, ...args].join(" ")}`);
+    const client = startMcpClient(command, args, { cwd, env, timeoutMs });
+    let listing;
+    try {
+        listing = await listMcpTools(client);
+    } finally {
+        await client.close();
+    }
+
+    const { initializeResult } = listing;
+    const version = initializeResult.serverInfo?.version;
+    if (typeof version !== "string" || !version.trim()) {
+        throw new Error("MCP server did not report serverInfo.version");
+    }
+    const tools = listing.tools.map((tool) => convertMcpTool(tool, { toolPrefix }));
+    log(`✓ ${initializeResult.serverInfo.name ?? command} ${version}: ${tools.length} tools`);
+    const brandMappings = await loadBrandMappings(brandMappingPath);
+
+    const cliDirectory = path.join(outputDirectory, "cli");
+    await fs.mkdir(cliDirectory, { recursive: true });
+    const documents = {
+        "cli-version.json": { version },
+        "cli-output.json": { status: 200, message: "Success", results: tools },
+        "cli-namespace.json": { status: 200, message: "Success", results: deriveNamespaces(tools, brandMappings) },
+        "namespace-mapping.json": buildNamespaceMapping({ brandMappings, tools, version }),
+    };
+    for (const [fileName, document] of Object.entries(documents)) {
+        await fs.writeFile(path.join(cliDirectory, fileName), `${JSON.stringify(document, null, 2)}\n`, "utf8");
+    }
+
+    return {
+        command,
+        args,
+        protocolVersion: initializeResult.protocolVersion,
+        server: initializeResult.serverInfo,
+    };
+}
+
+module.exports = {
+    MCP_PROTOCOL_VERSION,
+    convertMcpTool,
+    listMcpTools,
+    runMcpExtractor,
+    startMcpClient,
+};
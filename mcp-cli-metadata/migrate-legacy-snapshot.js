@@ -0,0 +1,146 @@
+const fs = require("node:fs/promises");
+const path = require("node:path");
+
+const {
+    buildNamespaceMapping,
+    defaultBrandMappingPath,
+    deriveNamespaces,
+    loadBrandMappings,
+} = require("./namespace-mapping");
+const { loadSnapshotCatalog } = require("./snapshot-catalog");
+const { MANIFEST_FILE } = require("./snapshot-manifest");
+const { REQUIRED_ARTIFACTS, readOptionalJsonFile } = require("./snapshot-reader");
+const { listSnapshotArtifacts, readSnapshotArtifact } = require("./snapshot-store");
+
+const LEGACY_TOOLS_FILE = "tools-list.json";
+const MIGRATION_SOURCE = "migrate-legacy-snapshot.js";
+
+function derivedMarker(sources, fields) {
+    return { by: MIGRATION_SOURCE, sources, fields };
+}
+
+function deriveLegacyArtifacts({
+    directoryName,
+    artifacts,
+    cliOutput,
+    brandMappings,
+    generatedAt,
+}) {
+    const derived = {};
+    const missing = REQUIRED_ARTIFACTS.filter((fileName) => !artifacts.includes(fileName));
+    if (missing.length === 0) {
+        return derived;
+    }
+
+    const toolsSource = artifacts.includes("cli-output.json") ? "cli-output.json" : LEGACY_TOOLS_FILE;
+    if (!cliOutput) {
+        throw new Error(`Snapshot ${directoryName} has neither cli-output.json nor ${LEGACY_TOOLS_FILE}`);
+    }
+    const tools = Array.isArray(cliOutput.results) ? cliOutput.results : [];
+    const version = directoryName;
+
+    if (missing.includes("cli-version.json")) {
+        derived["cli-version.json"] = {
+            version,
+            derived: derivedMarker(["directory name"], ["version"]),
+        };
+    }
+    if (missing.includes("cli-namespace.json")) {
+        derived["cli-namespace.json"] = {
+            status: 200,
+            message: "Success",
+            results: deriveNamespaces(tools, brandMappings),
+            derived: derivedMarker([toolsSource, "brand-to-server-mapping.json"], ["results"]),
+        };
+    }
+    if (missing.includes("namespace-mapping.json")) {
+        derived["namespace-mapping.json"] = {
+            ...buildNamespaceMapping({ brandMappings, tools, version, generatedAt }),
+            derived: derivedMarker(
+                [toolsSource, "brand-to-server-mapping.json"],
+                ["generated_at", "source_version", "namespaces", "unmatched_tools"],
+            ),
+        };
+    }
+    return derived;
+}
+
+async function migrateLegacySnapshot(snapshotDirectory, {
+    brandMappingPath = defaultBrandMappingPath,
+    dryRun = false,
+} = {}) {
+    const directory = path.resolve(snapshotDirectory);
+    const artifacts = await listSnapshotArtifacts(directory);
+    const missing = REQUIRED_ARTIFACTS.filter((fileName) => !artifacts.includes(fileName));
+    if (missing.length === 0) {
+        return [];
+    }
+    // Snapshots with a manifest were written by the extractor; files added here would
+    // not be listed in it, so npm run verify would fail.
+    if (artifacts.includes(MANIFEST_FILE)) {
+        throw new Error(`Snapshot ${path.basename(directory)} has ${MANIFEST_FILE} but is missing ${missing.join(", ")}; refusing to migrate it`);
+    }
+
+    const toolsFile = artifacts.includes("cli-output.json") ? "cli-output.json" : LEGACY_TOOLS_FILE;
+    const cliOutput = await readOptionalJsonFile(path.join(directory, toolsFile));
+    const derived = deriveLegacyArtifacts({
+        directoryName: path.basename(directory),
+        artifacts,
+        cliOutput,
+        brandMappings: await loadBrandMappings(brandMappingPath),
+    });
+    if (dryRun) {
+        return missing;
+    }
+
+    // cli-output.json is the legacy tools-list.json byte for byte; nothing in it is derived.
+    if (missing.includes("cli-output.json")) {
+        await fs.writeFile(
+            path.join(directory, "cli-output.json"),
+            await readSnapshotArtifact(directory, LEGACY_TOOLS_FILE),
+        );
+    }
+    for (const [fileName, document] of Object.entries(derived)) {
+        await fs.writeFile(path.join(directory, fileName), `${JSON.stringify(document, null, 2)}\n`, "utf8");
+    }
+    return missing;
+}
+
+async function main() {
+    const argv = process.argv.slice(2);
+    const dryRun = argv.includes("--dry-run");
+    const references = argv.filter((argument) => argument !== "--dry-run");
+    const catalog = await loadSnapshotCatalog(__dirname);
+    const snapshots = references.length > 0
+        ? references.map((reference) => {
+            const snapshot = catalog.find(reference);
+            if (!snapshot) {
+                throw new Error(`No snapshot found for version ${reference}`);
+            }
+            return snapshot;
+        })
+        : catalog.snapshots;
+
+    let migratedCount = 0;
+    for (const snapshot of snapshots) {
+        const written = await migrateLegacySnapshot(snapshot.directory, { dryRun });
+        if (written.length > 0) {
+            migratedCount++;
+            console.log(`${dryRun ? "would migrate" : "✓ migrated"} ${snapshot.name}: ${written.join(", ")}`);
+        }
+    }
+    console.log(`${migratedCount} legacy snapshot(s) ${dryRun ? "would be" : "were"} migrated.`);
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(`Failed to migrate legacy snapshots: ${error.message}`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    LEGACY_TOOLS_FILE,
+    deriveLegacyArtifacts,
+    migrateLegacySnapshot,
+};
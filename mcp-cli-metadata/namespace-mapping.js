@@ -0,0 +1,139 @@
+const path = require("node:path");
+
+const { readJsonFile } = require("./snapshot-reader");
+
+const defaultBrandMappingPath = path.resolve(
+    __dirname,
+    "..",
+    "mcp-tools",
+    "data",
+    "brand-to-server-mapping.json",
+);
+
+async function loadBrandMappings(brandMappingPath = defaultBrandMappingPath) {
+    const brandMappings = await readJsonFile(brandMappingPath);
+    if (!Array.isArray(brandMappings)) {
+        throw new Error(`Brand mapping file is not an array: ${brandMappingPath}`);
+    }
+    return brandMappings;
+}
+
+// Same ordering as StringComparer.OrdinalIgnoreCase in the .NET emitter.
+function compareNames(left, right) {
+    const leftKey = left.toUpperCase();
+    const rightKey = right.toUpperCase();
+    return leftKey < rightKey ? -1 : leftKey > rightKey ? 1 : 0;
+}
+
+// Mirrors NamespaceMappingEmitter in DocGeneration.PipelineRunner: longer server names
+// claim tools first, so "extension_azqr" wins over "extension" for "extension azqr list".
+function buildNamespaceMapping({
+    brandMappings,
+    tools,
+    version,
+    generatedAt = new Date().toISOString(),
+}) {
+    const sortedMappings = brandMappings
+        .filter((mapping) => typeof mapping.mcpServerName === "string" && mapping.mcpServerName.trim())
+        .map((mapping, index) => ({ mapping, index }))
+        .sort((left, right) => right.mapping.mcpServerName.length - left.mapping.mcpServerName.length
+            || left.index - right.index)
+        .map(({ mapping }) => mapping);
+
+    let unclaimedTools = [...tools];
+    const namespaces = {};
+
+    for (const mapping of sortedMappings) {
+        const prefix = mapping.mcpServerName.replace(/_/g, " ").toLowerCase();
+        const matched = [];
+        const remaining = [];
+        for (const tool of unclaimedTools) {
+            const command = String(tool.command ?? "").toLowerCase();
+            if (command === prefix || command.startsWith(`${prefix} `)) {
+                matched.push(tool.name || tool.command);
+            } else {
+                remaining.push(tool);
+            }
+        }
+        unclaimedTools = remaining;
+
+        namespaces[mapping.mcpServerName] = {
+            display_name: mapping.brandName,
+            file_name: mapping.fileName,
+            short_name: mapping.shortName,
+            merge_group: mapping.mergeGroup ?? null,
+            tools: matched.sort(compareNames),
+        };
+    }
+
+    const namespaceEntries = Object.values(namespaces);
+    return {
+        generated_at: generatedAt,
+        source_version: version,
+        namespace_count: namespaceEntries.length,
+        tool_count: namespaceEntries.reduce((total, entry) => total + entry.tools.length, 0),
+        namespaces,
+        unmatched_tools: unclaimedTools.map((tool) => tool.name || tool.command).sort(compareNames),
+    };
+}
+
+// Namespaces are derived from tool commands: the longest brand mapping prefix when
+// one matches, otherwise the first command word. Descriptions are not recoverable.
+function deriveNamespaces(tools, brandMappings) {
+    const prefixes = brandMappings
+        .map((mapping) => mapping.mcpServerName)
+        .filter((name) => typeof name === "string" && name.trim())
+        .sort((left, right) => right.length - left.length);
+    const namespaces = new Map();
+
+    for (const tool of tools) {
+        const command = String(tool.command ?? "").trim();
+        if (!command) {
+            continue;
+        }
+        const lowerCommand = command.toLowerCase();
+        const name = prefixes.find((prefix) => {
+            const spaced = prefix.replace(/_/g, " ").toLowerCase();
+            return lowerCommand === spaced || lowerCommand.startsWith(`${spaced} `);
+        }) ?? command.split(/\s+/, 1)[0];
+        if (!namespaces.has(name)) {
+            namespaces.set(name, { id: "", name, description: "", command: name.replace(/_/g, " ") });
+        }
+    }
+
+    return [...namespaces.values()].sort((left, right) => left.name.localeCompare(right.name, "en"));
+}
+
+// Returns the namespace-mapping.json entry (with its key) whose server name is the
+// longest prefix of the command, or null.
+function findToolNamespace(command, namespaceMapping) {
+    const namespaces = namespaceMapping?.namespaces ?? {};
+    const lowerCommand = String(command ?? "").toLowerCase();
+    const key = Object.keys(namespaces)
+        .sort((left, right) => right.length - left.length)
+        .find((candidate) => {
+            const prefix = candidate.replace(/_/g, " ").toLowerCase();
+            return lowerCommand === prefix || lowerCommand.startsWith(`${prefix} `);
+        });
+    return key ? { key, ...namespaces[key] } : null;
+}
+
+// Returns the article file name (without .md) that a namespace is published in. The
+// namespace is a findToolNamespace result. Only namespaces with "merge" composition in
+// brand-to-server-mapping.json share their merge group's article; "split" namespaces
+// also name a merge group but keep their own file_name.
+function namespaceArticle(namespace, brandMappings = []) {
+    const mapping = brandMappings.find((candidate) => candidate.mcpServerName === namespace.key);
+    return mapping?.composition === "merge"
+        ? mapping.mergeGroup || namespace.merge_group || namespace.file_name
+        : namespace.file_name;
+}
+
+module.exports = {
+    buildNamespaceMapping,
+    defaultBrandMappingPath,
+    deriveNamespaces,
+    findToolNamespace,
+    loadBrandMappings,
+    namespaceArticle,
+};
@@ -0,0 +1,267 @@
+const fs = require("node:fs/promises");
+const path = require("node:path");
+
+const { SAFETY_FLAGS, findAnnotationFlips } = require("./check-annotation-flips");
+const { diffSnapshots } = require("./diff-version-snapshots");
+const { findToolNamespace, loadBrandMappings, namespaceArticle } = require("./namespace-mapping");
+const { loadSnapshotCatalog } = require("./snapshot-catalog");
+const { loadSnapshot } = require("./snapshot-reader");
+
+// Column headings of mcp-tools/templates/annotation-template.hbs
+const FLAG_LABELS = Object.freeze({
+    destructive: "Destructive",
+    idempotent: "Idempotent",
+    openWorld: "Open World",
+    readOnly: "Read Only",
+    secret: "Secret",
+    localRequired: "Local Required",
+});
+
+// Tool articles are published as tools/<file_name>.md next to the release notes.
+const DEFAULT_ARTICLE_BASE = "tools/";
+
+function compareKeys(left, right) {
+    return left.localeCompare(right, "en");
+}
+
+// Merged namespaces share the merge group's article.
+function findArticle(command, namespaceMapping, brandMappings) {
+    const namespace = findToolNamespace(command, namespaceMapping);
+    if (!namespace) {
+        return null;
+    }
+    return {
+        namespace: namespace.key,
+        displayName: namespace.display_name ?? namespace.key,
+        fileName: namespaceArticle(namespace, brandMappings),
+    };
+}
+
+function firstSentence(text) {
+    const normalized = String(text ?? "").replace(/\s+/g, " ").trim();
+    const match = normalized.match(/^.*?[.!?](?=\s|$)/);
+    return match ? match[0] : normalized;
+}
+
+// Options that are required now and were absent or optional before
+function findNewRequiredOptions(previousTools, currentTools) {
+    const previousByCommand = new Map(previousTools.map((tool) => [tool.command, tool]));
+    const changes = [];
+    for (const tool of currentTools) {
+        const previousTool = previousByCommand.get(tool.command);
+        if (!previousTool) {
+            continue;
+        }
+        const previousOptions = new Map((previousTool.option ?? []).map((option) => [option.name, option]));
+        const options = (tool.option ?? [])
+            .filter((option) => option.required === true && previousOptions.get(option.name)?.required !== true)
+            .map((option) => ({ name: option.name, added: !previousOptions.has(option.name) }));
+        if (options.length > 0) {
+            changes.push({ command: tool.command, options });
+        }
+    }
+    return changes.sort((left, right) => compareKeys(left.command, right.command));
+}
+
+// Namespaces that have tools now and had none before, by display name
+function findNewNamespaces(previousMapping, currentMapping, brandMappings) {
+    const previousNamespaces = previousMapping?.namespaces ?? {};
+    return Object.entries(currentMapping?.namespaces ?? {})
+        .filter(([name, namespace]) => namespace.tools?.length > 0 && !(previousNamespaces[name]?.tools?.length > 0))
+        .map(([name, namespace]) => ({
+            namespace: name,
+            displayName: namespace.display_name ?? name,
+            fileName: namespaceArticle({ key: name, ...namespace }, brandMappings),
+            toolCount: namespace.tools.length,
+        }))
+        .sort((left, right) => compareKeys(left.displayName, right.displayName));
+}
+
+// Builds the release note data for two snapshots (loadSnapshot results). Tools link to
+// the article of their namespace in the snapshot they appear in; brandMappings decides
+// which namespaces are merged into a shared article.
+function buildReleaseNotes(previousSnapshot, currentSnapshot, { brandMappings = [] } = {}) {
+    const diff = diffSnapshots(previousSnapshot, currentSnapshot);
+    const currentArticle = (command) => findArticle(command, currentSnapshot.namespaceMapping, brandMappings);
+    const flipsByTool = new Map();
+    for (const flip of findAnnotationFlips(previousSnapshot, currentSnapshot)) {
+        flipsByTool.set(flip.tool, [...(flipsByTool.get(flip.tool) ?? []), { flag: flip.flag, from: flip.from, to: flip.to }]);
+    }
+
+    return {
+        fromVersion: previousSnapshot.version,
+        toVersion: currentSnapshot.version,
+        namespaces: findNewNamespaces(previousSnapshot.namespaceMapping, currentSnapshot.namespaceMapping, brandMappings),
+        addedTools: diff.tools.added.map((tool) => ({
+            command: tool.command,
+            summary: firstSentence(tool.description),
+            article: currentArticle(tool.command),
+        })),
+        removedTools: diff.tools.removed.map((tool) => ({
+            command: tool.command,
+            article: findArticle(tool.command, previousSnapshot.namespaceMapping, brandMappings),
+        })),
+        requiredOptions: findNewRequiredOptions(previousSnapshot.tools, currentSnapshot.tools)
+            .map((change) => ({ ...change, article: currentArticle(change.command) })),
+        annotationChanges: [...flipsByTool].map(([command, flags]) => ({
+            command,
+            flags: flags.sort((left, right) => SAFETY_FLAGS.indexOf(left.flag) - SAFETY_FLAGS.indexOf(right.flag)),
+            article: currentArticle(command),
+        })),
+    };
+}
+
+function articleLink(article, articleBase) {
+    return `${articleBase}${article.fileName}.md`;
+}
+
+function formatTool(entry, articleBase) {
+    return entry.article
+        ? `[\`${entry.command}\`](${articleLink(entry.article, articleBase)})`
+        : `\`${entry.command}\``;
+}
+
+function formatFlagValue(value) {
+    return value ? "✅" : "❌";
+}
+
+// Renders the release note as Markdown for the docs CHANGELOG, grouped by kind of change
+function renderReleaseNotes(notes, { articleBase = DEFAULT_ARTICLE_BASE } = {}) {
+    const lines = [];
+    lines.push(`## ${notes.toVersion.split("+", 1)[0]}`);
+    lines.push("");
+    lines.push(`Changes since ${notes.fromVersion.split("+", 1)[0]}.`);
+    lines.push("");
+
+    let hasEntries = false;
+    const section = (title, entries, format) => {
+        if (entries.length === 0) {
+            return;
+        }
+        hasEntries = true;
+        lines.push(`### ${title}`);
+        lines.push("");
+        for (const entry of entries) {
+            lines.push(`- ${format(entry)}`);
+        }
+        lines.push("");
+    };
+
+    section("New namespaces", notes.namespaces, (namespace) => (
+        `[${namespace.displayName}](${articleLink(namespace, articleBase)}): `
+        + `${namespace.toolCount} ${namespace.toolCount === 1 ? "tool" : "tools"}`
+    ));
+    section("New tools", notes.addedTools, (tool) => (
+        tool.summary ? `${formatTool(tool, articleBase)}: ${tool.summary}` : formatTool(tool, articleBase)
+    ));
+    section("Removed tools", notes.removedTools, (tool) => formatTool(tool, articleBase));
+    section("New required parameters", notes.requiredOptions, (change) => (
+        `${formatTool(change, articleBase)}: ${change.options
+            .map((option) => `\`${option.name}\`${option.added ? " (new)" : ""}`)
+            .join(", ")}`
+    ));
+    section("Annotation changes", notes.annotationChanges, (change) => (
+        `${formatTool(change, articleBase)}: ${change.flags
+            .map((flip) => `${FLAG_LABELS[flip.flag] ?? flip.flag} ${formatFlagValue(flip.from)} → ${formatFlagValue(flip.to)}`)
+            .join(", ")}`
+    ));
+
+    if (!hasEntries) {
+        lines.push("No documentation-relevant tool changes.");
+        lines.push("");
+    }
+    return lines.join("\n");
+}
+
+async function generateReleaseNotes({ previousDirectory, currentDirectory, articleBase, brandMappingPath }) {
+    const notes = buildReleaseNotes(await loadSnapshot(previousDirectory), await loadSnapshot(currentDirectory), {
+        brandMappings: await loadBrandMappings(brandMappingPath),
+    });
+    return { notes, markdown: renderReleaseNotes(notes, { articleBase }) };
+}
+
+// Returns a createVersionSnapshot afterCreate step that writes the release note for the
+// new snapshot to outputPath. Nothing is written for the first snapshot.
+function createReleaseNotesStep({ outputPath, articleBase, brandMappingPath, log = () => {} }) {
+    return async ({ versionDirectory, previousDirectory }) => {
+        if (!previousDirectory) {
+            log("No previous snapshot; skipping release notes");
+            return null;
+        }
+        const { markdown } = await generateReleaseNotes({
+            previousDirectory,
+            currentDirectory: versionDirectory,
+            articleBase,
+            brandMappingPath,
+        });
+        await fs.writeFile(outputPath, markdown, "utf8");
+        log(`Release notes: ${outputPath}`);
+        return outputPath;
+    };
+}
+
+function parseArguments(argv) {
+    const positional = [];
+    const options = {};
+    for (let index = 0; index < argv.length; index++) {
+        const argument = argv[index];
+        if (argument === "--output" || argument === "--article-base") {
+            options[argument.slice(2)] = argv[++index];
+        } else {
+            positional.push(argument);
+        }
+    }
+    return { positional, options };
+}
+
+async function main() {
+    const { positional, options } = parseArguments(process.argv.slice(2));
+    if (positional.length > 2) {
+        throw new Error(
+            "Usage: node release-notes.js [<from-version>] [<to-version>] "
+            + "[--output <path>] [--article-base <url>]",
+        );
+    }
+
+    // Defaults: the tracked snapshot and the snapshot before it
+    const catalog = await loadSnapshotCatalog(__dirname);
+    const find = (version) => {
+        const snapshot = catalog.find(version);
+        if (!snapshot) {
+            throw new Error(`No snapshot found for version ${version}`);
+        }
+        return snapshot;
+    };
+    const current = positional.length === 2 ? find(positional[1]) : catalog.tracked();
+    const previous = positional.length > 0 ? find(positional[0]) : catalog.previous(current.name);
+    if (!previous) {
+        throw new Error(`No snapshot before ${current.name}`);
+    }
+
+    const { markdown } = await generateReleaseNotes({
+        previousDirectory: previous.directory,
+        currentDirectory: current.directory,
+        articleBase: options["article-base"],
+    });
+    if (options.output) {
+        await fs.writeFile(path.resolve(options.output), markdown, "utf8");
+        console.log(`Release notes for ${previous.name} → ${current.name}: ${path.resolve(options.output)}`);
+    } else {
+        process.stdout.write(markdown);
+    }
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(`Failed to generate release notes: ${error.message}`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    DEFAULT_ARTICLE_BASE,
+    buildReleaseNotes,
+    createReleaseNotesStep,
+    generateReleaseNotes,
+    renderReleaseNotes,
+};
@@ -0,0 +1,301 @@
+const { readdirSync, readFileSync } = require("node:fs");
+const fs = require("node:fs/promises");
+const path = require("node:path");
+
+const VERSION_PATTERN = /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?(?:\+([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?$/;
+const PARTIAL_PATTERN = /^v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+function parseVersion(value) {
+    const match = VERSION_PATTERN.exec(String(value ?? "").trim());
+    if (!match) {
+        return null;
+    }
+    return {
+        major: Number(match[1]),
+        minor: Number(match[2]),
+        patch: Number(match[3]),
+        prerelease: match[4] ? match[4].split(".") : [],
+        build: match[5] ? match[5].split(".") : [],
+    };
+}
+
+function formatVersion(version, { includeBuild = true } = {}) {
+    let text = `${version.major}.${version.minor}.${version.patch}`;
+    if (version.prerelease.length > 0) {
+        text += `-${version.prerelease.join(".")}`;
+    }
+    if (includeBuild && version.build.length > 0) {
+        text += `+${version.build.join(".")}`;
+    }
+    return text;
+}
+
+function compareIdentifiers(left, right) {
+    const leftNumeric = /^\d+$/.test(left);
+    const rightNumeric = /^\d+$/.test(right);
+    if (leftNumeric && rightNumeric) {
+        return Math.sign(Number(left) - Number(right));
+    }
+    if (leftNumeric) {
+        return -1;
+    }
+    if (rightNumeric) {
+        return 1;
+    }
+    return left < right ? -1 : left > right ? 1 : 0;
+}
+
+// Semantic Versioning 2.0.0 precedence; build metadata does not affect precedence.
+function compareVersions(left, right) {
+    for (const field of ["major", "minor", "patch"]) {
+        if (left[field] !== right[field]) {
+            return Math.sign(left[field] - right[field]);
+        }
+    }
+
+    if (left.prerelease.length === 0 || right.prerelease.length === 0) {
+        return Math.sign(right.prerelease.length - left.prerelease.length);
+    }
+    const length = Math.max(left.prerelease.length, right.prerelease.length);
+    for (let index = 0; index < length; index++) {
+        if (left.prerelease[index] === undefined) {
+            return -1;
+        }
+        if (right.prerelease[index] === undefined) {
+            return 1;
+        }
+        const result = compareIdentifiers(left.prerelease[index], right.prerelease[index]);
+        if (result !== 0) {
+            return result;
+        }
+    }
+    return 0;
+}
+
+function isWildcard(part) {
+    return part === undefined || /^[xX*]$/.test(part);
+}
+
+function boundary(major, minor, patch, prerelease = ["0"]) {
+    return { major, minor, patch, prerelease, build: [] };
+}
+
+// Prerelease versions take part in range matching because nearly every @azure/mcp
+// release so far is a beta: a comparator without a prerelease starts at the lowest
+// prerelease of its version, so ^2.0.0 matches 2.0.0-beta.1, and a partial version
+// covers every version it names, so >3.0 means >=3.1.0-0 and <=3.0 means <3.1.0-0.
+// A full version with =, >, >=, < or <= keeps exact precedence.
+function parseComparator(text) {
+    const match = /^(\^|~|>=|<=|>|<|=)?\s*(.*)$/.exec(text);
+    const operator = match[1] ?? "";
+    const partial = PARTIAL_PATTERN.exec(match[2]);
+    if (!partial) {
+        throw new Error(`Invalid version range comparator: ${JSON.stringify(text)}`);
+    }
+
+    const [, majorPart, minorPart, patchPart, prereleasePart] = partial;
+    if (isWildcard(majorPart)) {
+        return [];
+    }
+    const major = Number(majorPart);
+    const minor = isWildcard(minorPart) ? 0 : Number(minorPart);
+    const patch = isWildcard(patchPart) ? 0 : Number(patchPart);
+    const prerelease = prereleasePart ? prereleasePart.split(".") : [];
+    const lower = boundary(major, minor, patch, prerelease.length > 0 ? prerelease : ["0"]);
+    // The first version after the ones a partial version names; null for a full version
+    const next = isWildcard(minorPart)
+        ? boundary(major + 1, 0, 0)
+        : isWildcard(patchPart) ? boundary(major, minor + 1, 0) : null;
+
+    if (operator === "^") {
+        const upper = major > 0 || isWildcard(minorPart)
+            ? boundary(major + 1, 0, 0)
+            : minor > 0 || isWildcard(patchPart)
+                ? boundary(0, minor + 1, 0)
+                : boundary(0, 0, patch + 1);
+        return [{ operator: ">=", version: lower }, { operator: "<", version: upper }];
+    }
+    if (operator === "~") {
+        const upper = isWildcard(minorPart) ? boundary(major + 1, 0, 0) : boundary(major, minor + 1, 0);
+        return [{ operator: ">=", version: lower }, { operator: "<", version: upper }];
+    }
+    if (next) {
+        switch (operator) {
+            case ">": return [{ operator: ">=", version: next }];
+            case ">=": return [{ operator: ">=", version: lower }];
+            case "<": return [{ operator: "<", version: lower }];
+            case "<=": return [{ operator: "<", version: next }];
+            default: return [{ operator: ">=", version: lower }, { operator: "<", version: next }];
+        }
+    }
+    const exact = boundary(major, minor, patch, prerelease);
+    return [{ operator: operator === "" ? "=" : operator, version: exact }];
+}
+
+function parseRange(range) {
+    return String(range ?? "").split("||").map((set) => {
+        const comparators = set.trim()
+            .replace(/(\^|~|>=|<=|>|<|=)\s+/g, "$1")
+            .split(/\s+/)
+            .filter(Boolean);
+        return comparators.flatMap(parseComparator);
+    });
+}
+
+function testComparator(version, { operator, version: target }) {
+    const result = compareVersions(version, target);
+    switch (operator) {
+        case ">=": return result >= 0;
+        case "<=": return result <= 0;
+        case ">": return result > 0;
+        case "<": return result < 0;
+        default: return result === 0;
+    }
+}
+
+function satisfiesRange(version, range) {
+    return parseRange(range).some((comparators) => comparators
+        .every((comparator) => testComparator(version, comparator)));
+}
+
+function compareSnapshots(left, right) {
+    return compareVersions(left.semver, right.semver)
+        || left.name.localeCompare(right.name, "en");
+}
+
+function createCatalog(rootDir, snapshots, trackedVersion) {
+    const byName = new Map(snapshots.map((snapshot) => [snapshot.name, snapshot]));
+
+    function find(version) {
+        const key = String(version ?? "").trim();
+        if (byName.has(key)) {
+            return byName.get(key);
+        }
+        const parsed = parseVersion(key);
+        if (!parsed) {
+            return null;
+        }
+        const matches = snapshots.filter((snapshot) => compareVersions(snapshot.semver, parsed) === 0
+            && (parsed.build.length === 0 || snapshot.semver.build.join(".") === parsed.build.join(".")));
+        return matches.at(-1) ?? null;
+    }
+
+    return {
+        rootDir,
+        snapshots,
+        trackedVersion,
+        find,
+        latest() {
+            return snapshots.at(-1) ?? null;
+        },
+        previous(version) {
+            const snapshot = find(version);
+            if (!snapshot) {
+                throw new Error(`No snapshot found for version ${version}`);
+            }
+            return snapshots[snapshots.indexOf(snapshot) - 1] ?? null;
+        },
+        resolve(range) {
+            return snapshots.filter((snapshot) => satisfiesRange(snapshot.semver, range)).at(-1) ?? null;
+        },
+        tracked() {
+            if (!trackedVersion) {
+                throw new Error(`No tracked-version.txt found in ${rootDir}`);
+            }
+            const snapshot = find(trackedVersion);
+            if (!snapshot) {
+                throw new Error(`No snapshot directory found for tracked version ${trackedVersion}`);
+            }
+            return snapshot;
+        },
+    };
+}
+
+function listSnapshots(rootDir, entries) {
+    const snapshots = [];
+    for (const entry of entries) {
+        const semver = entry.isDirectory() ? parseVersion(entry.name) : null;
+        if (semver) {
+            snapshots.push({
+                name: entry.name,
+                directory: path.join(rootDir, entry.name),
+                version: formatVersion(semver, { includeBuild: false }),
+                semver,
+            });
+        }
+    }
+    return snapshots.sort(compareSnapshots);
+}
+
+async function loadSnapshotCatalog(rootDir = __dirname) {
+    const snapshots = listSnapshots(rootDir, await fs.readdir(rootDir, { withFileTypes: true }));
+    let trackedVersion = null;
+    try {
+        trackedVersion = (await fs.readFile(path.join(rootDir, "tracked-version.txt"), "utf8")).trim() || null;
+    } catch (error) {
+        if (error.code !== "ENOENT") {
+            throw error;
+        }
+    }
+    return createCatalog(rootDir, snapshots, trackedVersion);
+}
+
+// Synchronous loadSnapshotCatalog; reads the snapshot directories and tracked-version.txt.
+function loadSnapshotCatalogSync(rootDir = __dirname) {
+    const snapshots = listSnapshots(rootDir, readdirSync(rootDir, { withFileTypes: true }));
+    let trackedVersion = null;
+    try {
+        trackedVersion = readFileSync(path.join(rootDir, "tracked-version.txt"), "utf8").trim() || null;
+    } catch (error) {
+        if (error.code !== "ENOENT") {
+            throw error;
+        }
+    }
+    return createCatalog(rootDir, snapshots, trackedVersion);
+}
+
+async function main() {
+    const catalog = await loadSnapshotCatalog();
+    const [command = "list", ...rest] = process.argv.slice(2);
+    const argument = rest.length > 0 ? rest.join(" ") : undefined;
+
+    if (command === "list") {
+        for (const snapshot of catalog.snapshots) {
+            const marker = snapshot.version === catalog.trackedVersion ? " (tracked)" : "";
+            console.log(`${snapshot.name}${marker}`);
+        }
+        return;
+    }
+
+    const lookups = {
+        latest: () => catalog.latest(),
+        tracked: () => catalog.tracked(),
+        previous: () => catalog.previous(argument ?? catalog.trackedVersion),
+        resolve: () => catalog.resolve(argument ?? "*"),
+    };
+    if (!lookups[command]) {
+        throw new Error("Usage: node snapshot-catalog.js [list|latest|tracked|previous <version>|resolve <range>]");
+    }
+
+    const snapshot = lookups[command]();
+    if (!snapshot) {
+        throw new Error(`No snapshot matches ${command}${argument ? ` ${argument}` : ""}`);
+    }
+    console.log(snapshot.name);
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(`Failed to query CLI metadata snapshots: ${error.message}`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    compareVersions,
+    formatVersion,
+    loadSnapshotCatalog,
+    loadSnapshotCatalogSync,
+    parseVersion,
+    satisfiesRange,
+};
@@ -0,0 +1,197 @@
+const crypto = require("node:crypto");
+const fs = require("node:fs/promises");
+const path = require("node:path");
+
+const { loadSnapshotCatalog } = require("./snapshot-catalog");
+const { listSnapshotArtifacts, readSnapshotArtifact } = require("./snapshot-store");
+
+const MANIFEST_FILE = "snapshot-manifest.json";
+const FORMAT_VERSION = 1;
+
+function sha256(buffer) {
+    return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+async function describeArtifacts(snapshotDirectory, fileNames) {
+    const artifacts = {};
+    for (const fileName of [...fileNames].sort()) {
+        const buffer = await readSnapshotArtifact(snapshotDirectory, fileName);
+        artifacts[fileName] = { sha256: sha256(buffer), size: buffer.length };
+    }
+    return artifacts;
+}
+
+async function writeSnapshotManifest(snapshotDirectory, { fileNames, extractor = null, backfilled = false }) {
+    const manifest = {
+        formatVersion: FORMAT_VERSION,
+        createdAt: new Date().toISOString(),
+        extractor,
+        ...(backfilled ? { backfilled } : {}),
+        artifacts: await describeArtifacts(snapshotDirectory, fileNames),
+    };
+    await fs.writeFile(
+        path.join(snapshotDirectory, MANIFEST_FILE),
+        `${JSON.stringify(manifest, null, 2)}\n`,
+        "utf8",
+    );
+    return manifest;
+}
+
+async function readSnapshotManifest(snapshotDirectory) {
+    try {
+        const buffer = await readSnapshotArtifact(snapshotDirectory, MANIFEST_FILE);
+        return JSON.parse(buffer.toString("utf8"));
+    } catch (error) {
+        if (error.code === "ENOENT") {
+            return null;
+        }
+        throw error;
+    }
+}
+
+// Returns null when the snapshot predates manifests, otherwise the list of problems.
+// Packed snapshots are checked against their reconstructed bytes.
+async function verifySnapshotManifest(snapshotDirectory) {
+    const directory = path.resolve(snapshotDirectory);
+    const manifest = await readSnapshotManifest(directory);
+    if (!manifest) {
+        return null;
+    }
+
+    const errors = [];
+    const present = new Set(await listSnapshotArtifacts(directory));
+    for (const [fileName, expected] of Object.entries(manifest.artifacts ?? {})) {
+        if (!present.has(fileName)) {
+            errors.push(`${fileName}: file is missing`);
+            continue;
+        }
+        let buffer;
+        try {
+            buffer = await readSnapshotArtifact(directory, fileName);
+        } catch (error) {
+            errors.push(`${fileName}: ${error.message}`);
+            continue;
+        }
+        if (buffer.length !== expected.size) {
+            errors.push(`${fileName}: size is ${buffer.length} bytes, manifest records ${expected.size}`);
+        }
+        const actualHash = sha256(buffer);
+        if (actualHash !== expected.sha256) {
+            errors.push(`${fileName}: SHA-256 is ${actualHash}, manifest records ${expected.sha256}`);
+        }
+    }
+    for (const fileName of present) {
+        if (fileName !== MANIFEST_FILE && !manifest.artifacts?.[fileName]) {
+            errors.push(`${fileName}: file is not listed in ${MANIFEST_FILE}`);
+        }
+    }
+    return errors;
+}
+
+// Writes a manifest for a snapshot created before manifests existed, hashing the
+// artifacts as they are now. Returns null when the snapshot already has one, which is
+// never replaced. The extractor is unknown, so it is recorded as null.
+async function backfillSnapshotManifest(snapshotDirectory) {
+    const directory = path.resolve(snapshotDirectory);
+    if (await readSnapshotManifest(directory)) {
+        return null;
+    }
+    const fileNames = (await listSnapshotArtifacts(directory)).filter((fileName) => fileName !== MANIFEST_FILE);
+    return writeSnapshotManifest(directory, { fileNames, backfilled: true });
+}
+
+async function selectSnapshots(rootDir, references) {
+    const catalog = await loadSnapshotCatalog(rootDir);
+    if (references.length === 0) {
+        return catalog.snapshots;
+    }
+    return references.map((reference) => {
+        const snapshot = catalog.find(reference);
+        if (!snapshot) {
+            throw new Error(`No snapshot found for version ${reference}`);
+        }
+        return snapshot;
+    });
+}
+
+// With strict, a snapshot without a manifest fails instead of being listed as unverified.
+async function verifySnapshots({ rootDir = __dirname, versions = [], strict = false } = {}) {
+    const results = [];
+    for (const snapshot of await selectSnapshots(rootDir, versions)) {
+        const errors = await verifySnapshotManifest(snapshot.directory);
+        results.push({
+            name: snapshot.name,
+            errors: errors === null && strict ? [`${MANIFEST_FILE} is missing`] : errors,
+        });
+    }
+    return results;
+}
+
+function parseArgs(argv) {
+    const [command, ...rest] = argv;
+    const strict = rest.includes("--strict");
+    const versions = rest.filter((argument) => argument !== "--strict");
+    const unknown = versions.find((argument) => argument.startsWith("--"));
+    if (!["verify", "write"].includes(command) || unknown || (strict && command !== "verify")) {
+        throw new Error("Usage: node snapshot-manifest.js verify [--strict] [version...] | write [version...]");
+    }
+    return { command, strict, versions };
+}
+
+async function main() {
+    const { command, strict, versions } = parseArgs(process.argv.slice(2));
+
+    if (command === "write") {
+        let written = 0;
+        for (const snapshot of await selectSnapshots(__dirname, versions)) {
+            if (await backfillSnapshotManifest(snapshot.directory)) {
+                written++;
+                console.log(`+ ${snapshot.name}`);
+            } else {
+                console.log(`- ${snapshot.name} (already has ${MANIFEST_FILE})`);
+            }
+        }
+        console.log(`Wrote ${written} manifest(s).`);
+        return;
+    }
+
+    let failures = 0;
+    let unverified = 0;
+    const results = await verifySnapshots({ versions, strict });
+    for (const { name, errors } of results) {
+        if (errors === null) {
+            unverified++;
+            console.log(`- ${name} (no ${MANIFEST_FILE})`);
+        } else if (errors.length === 0) {
+            console.log(`✓ ${name}`);
+        } else {
+            failures++;
+            console.error(`✗ ${name}`);
+            for (const error of errors) {
+                console.error(`  - ${error}`);
+            }
+        }
+    }
+
+    console.log(`${results.length - failures - unverified} verified, ${failures} failed, ${unverified} without a manifest.`);
+    if (failures > 0) {
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(`Failed to process snapshot manifests: ${error.message}`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    MANIFEST_FILE,
+    backfillSnapshotManifest,
+    parseArgs,
+    readSnapshotManifest,
+    verifySnapshotManifest,
+    verifySnapshots,
+    writeSnapshotManifest,
+};
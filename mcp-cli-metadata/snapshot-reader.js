@@ -0,0 +1,92 @@
+const path = require("node:path");
+
+const { readSnapshotArtifact, readSnapshotArtifactSync } = require("./snapshot-store");
+
+// Every snapshot taken by create-version-snapshot.js contains these files.
+const REQUIRED_ARTIFACTS = Object.freeze([
+    "cli-version.json",
+    "cli-output.json",
+    "cli-namespace.json",
+    "namespace-mapping.json",
+]);
+
+// The .NET extractor writes namespace-mapping.json with a UTF-8 byte order mark.
+function parseJson(buffer) {
+    return JSON.parse(buffer.toString("utf8").replace(/^\uFEFF/, ""));
+}
+
+async function readJsonFile(filePath) {
+    // Packed snapshots are reconstructed from the snapshot store transparently.
+    return parseJson(await readSnapshotArtifact(path.dirname(filePath), path.basename(filePath)));
+}
+
+function readJsonFileSync(filePath) {
+    return parseJson(readSnapshotArtifactSync(path.dirname(filePath), path.basename(filePath)));
+}
+
+async function readOptionalJsonFile(filePath) {
+    try {
+        return await readJsonFile(filePath);
+    } catch (error) {
+        if (error.code === "ENOENT") {
+            return null;
+        }
+        throw error;
+    }
+}
+
+function readOptionalJsonFileSync(filePath) {
+    try {
+        return readJsonFileSync(filePath);
+    } catch (error) {
+        if (error.code === "ENOENT") {
+            return null;
+        }
+        throw error;
+    }
+}
+
+function buildSnapshot(directory, { cliOutput, versionDocument, namespaceDocument, namespaceMapping }) {
+    if (!cliOutput) {
+        throw new Error(`Snapshot does not contain cli-output.json: ${directory}`);
+    }
+    return {
+        directory,
+        version: versionDocument?.version ?? path.basename(directory),
+        tools: cliOutput.results ?? [],
+        namespaces: namespaceDocument?.results ?? null,
+        namespaceMapping,
+    };
+}
+
+async function loadSnapshot(snapshotDirectory) {
+    const directory = path.resolve(snapshotDirectory);
+    const read = (fileName) => readOptionalJsonFile(path.join(directory, fileName));
+    return buildSnapshot(directory, {
+        // Snapshots taken before cli-output.json existed only contain tools-list.json.
+        cliOutput: await read("cli-output.json") ?? await read("tools-list.json"),
+        versionDocument: await read("cli-version.json"),
+        namespaceDocument: await read("cli-namespace.json"),
+        namespaceMapping: await read("namespace-mapping.json"),
+    });
+}
+
+// Synchronous loadSnapshot, for the synchronous verifier scripts in mcp-tools/scripts/standalone
+function loadSnapshotSync(snapshotDirectory) {
+    const directory = path.resolve(snapshotDirectory);
+    const read = (fileName) => readOptionalJsonFileSync(path.join(directory, fileName));
+    return buildSnapshot(directory, {
+        cliOutput: read("cli-output.json") ?? read("tools-list.json"),
+        versionDocument: read("cli-version.json"),
+        namespaceDocument: read("cli-namespace.json"),
+        namespaceMapping: read("namespace-mapping.json"),
+    });
+}
+
+module.exports = {
+    REQUIRED_ARTIFACTS,
+    loadSnapshot,
+    loadSnapshotSync,
+    readJsonFile,
+    readOptionalJsonFile,
+};
@@ -0,0 +1,359 @@
+const crypto = require("node:crypto");
+const { readFileSync } = require("node:fs");
+const fs = require("node:fs/promises");
+const path = require("node:path");
+
+const { loadSnapshotCatalog } = require("./snapshot-catalog");
+
+const PACKED_MANIFEST = "packed-snapshot.json";
+const STORE_DIRECTORY = "snapshot-store";
+const FORMAT_VERSION = 1;
+
+function sha256(buffer) {
+    return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+function skipWhitespace(text, index) {
+    while (index < text.length && /\s/.test(text[index])) {
+        index++;
+    }
+    return index;
+}
+
+function endOfString(text, start) {
+    for (let index = start + 1; index < text.length; index++) {
+        if (text[index] === "\\") {
+            index++;
+        } else if (text[index] === "\"") {
+            return index + 1;
+        }
+    }
+    return -1;
+}
+
+// Finds the exact source text of each element in the top-level "results" array so
+// every tool can be stored as its own record without re-serializing the JSON.
+function findResultSpans(text) {
+    let depth = 0;
+    let lastKey = null;
+    let resultsDepth = null;
+    let elementStart = null;
+    const spans = [];
+
+    for (let index = 0; index < text.length; index++) {
+        const character = text[index];
+        if (character === "\"") {
+            const end = endOfString(text, index);
+            if (end < 0) {
+                return null;
+            }
+            if (resultsDepth !== null && depth === resultsDepth) {
+                return null;
+            }
+            if (depth === 1 && text[skipWhitespace(text, end)] === ":") {
+                lastKey = text.slice(index, end);
+            }
+            index = end - 1;
+        } else if (character === "{" || character === "[") {
+            if (resultsDepth !== null && depth === resultsDepth) {
+                elementStart = index;
+            } else if (depth === 1 && character === "[" && lastKey === "\"results\"" && resultsDepth === null) {
+                resultsDepth = 2;
+            }
+            depth++;
+        } else if (character === "}" || character === "]") {
+            depth--;
+            if (resultsDepth !== null && depth === resultsDepth && elementStart !== null) {
+                spans.push([elementStart, index + 1]);
+                elementStart = null;
+            } else if (resultsDepth !== null && depth === resultsDepth - 1) {
+                return spans;
+            }
+        } else if (resultsDepth !== null && depth === resultsDepth && !/[\s,]/.test(character)) {
+            return null;
+        }
+    }
+    return null;
+}
+
+function splitArtifact(buffer) {
+    const text = buffer.toString("utf8");
+    if (!Buffer.from(text, "utf8").equals(buffer)) {
+        return [buffer];
+    }
+
+    const spans = findResultSpans(text);
+    if (!spans || spans.length === 0) {
+        return [buffer];
+    }
+
+    const parts = [];
+    let offset = 0;
+    for (const [start, end] of spans) {
+        parts.push(text.slice(offset, start), text.slice(start, end));
+        offset = end;
+    }
+    parts.push(text.slice(offset));
+    return parts.map((part) => Buffer.from(part, "utf8"));
+}
+
+function objectPath(storeDirectory, hash) {
+    return path.join(storeDirectory, "objects", hash.slice(0, 2), hash);
+}
+
+async function writeObject(storeDirectory, buffer) {
+    const hash = sha256(buffer);
+    const filePath = objectPath(storeDirectory, hash);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    try {
+        await fs.writeFile(filePath, buffer, { flag: "wx" });
+    } catch (error) {
+        if (error.code !== "EEXIST") {
+            throw error;
+        }
+    }
+    return hash;
+}
+
+function checkObject(buffer, hash) {
+    if (sha256(buffer) !== hash) {
+        throw new Error(`Snapshot store object is corrupt: ${hash}`);
+    }
+    return buffer;
+}
+
+async function readObject(storeDirectory, hash) {
+    return checkObject(await fs.readFile(objectPath(storeDirectory, hash)), hash);
+}
+
+async function readPackedManifest(snapshotDirectory) {
+    try {
+        return JSON.parse(await fs.readFile(path.join(snapshotDirectory, PACKED_MANIFEST), "utf8"));
+    } catch (error) {
+        if (error.code === "ENOENT") {
+            return null;
+        }
+        throw error;
+    }
+}
+
+function checkArtifact(snapshotDirectory, entry, fileName, parts) {
+    const buffer = Buffer.concat(parts);
+    if (buffer.length !== entry.size || sha256(buffer) !== entry.sha256) {
+        throw new Error(`Reconstructed ${fileName} does not match its recorded hash in ${snapshotDirectory}`);
+    }
+    return buffer;
+}
+
+async function reconstructArtifact(snapshotDirectory, manifest, fileName) {
+    const entry = manifest.artifacts[fileName];
+    const storeDirectory = path.resolve(snapshotDirectory, manifest.store);
+    const parts = [];
+    for (const hash of entry.parts) {
+        parts.push(await readObject(storeDirectory, hash));
+    }
+    return checkArtifact(snapshotDirectory, entry, fileName, parts);
+}
+
+async function readSnapshotArtifact(snapshotDirectory, fileName) {
+    try {
+        return await fs.readFile(path.join(snapshotDirectory, fileName));
+    } catch (error) {
+        if (error.code !== "ENOENT") {
+            throw error;
+        }
+        const manifest = await readPackedManifest(snapshotDirectory);
+        if (!manifest?.artifacts?.[fileName]) {
+            throw error;
+        }
+        return reconstructArtifact(snapshotDirectory, manifest, fileName);
+    }
+}
+
+// Synchronous readSnapshotArtifact; objects and artifacts are checked the same way.
+function readSnapshotArtifactSync(snapshotDirectory, fileName) {
+    try {
+        return readFileSync(path.join(snapshotDirectory, fileName));
+    } catch (error) {
+        if (error.code !== "ENOENT") {
+            throw error;
+        }
+        let manifest = null;
+        try {
+            manifest = JSON.parse(readFileSync(path.join(snapshotDirectory, PACKED_MANIFEST), "utf8"));
+        } catch (manifestError) {
+            if (manifestError.code !== "ENOENT") {
+                throw manifestError;
+            }
+        }
+        if (!manifest?.artifacts?.[fileName]) {
+            throw error;
+        }
+        const entry = manifest.artifacts[fileName];
+        const storeDirectory = path.resolve(snapshotDirectory, manifest.store);
+        const parts = entry.parts.map((hash) => checkObject(readFileSync(objectPath(storeDirectory, hash)), hash));
+        return checkArtifact(snapshotDirectory, entry, fileName, parts);
+    }
+}
+
+async function listSnapshotArtifacts(snapshotDirectory) {
+    const manifest = await readPackedManifest(snapshotDirectory);
+    if (manifest) {
+        return Object.keys(manifest.artifacts).sort();
+    }
+    const entries = await fs.readdir(snapshotDirectory, { withFileTypes: true });
+    return entries.filter((entry) => entry.isFile()).map((entry) => entry.name).sort();
+}
+
+async function packSnapshot(snapshotDirectory) {
+    const directory = path.resolve(snapshotDirectory);
+    if (await readPackedManifest(directory)) {
+        throw new Error(`Snapshot is already packed: ${directory}`);
+    }
+
+    const storeDirectory = path.join(path.dirname(directory), STORE_DIRECTORY);
+    const fileNames = await listSnapshotArtifacts(directory);
+    const manifest = {
+        formatVersion: FORMAT_VERSION,
+        store: path.relative(directory, storeDirectory).split(path.sep).join("/"),
+        artifacts: {},
+    };
+
+    for (const fileName of fileNames) {
+        const buffer = await fs.readFile(path.join(directory, fileName));
+        const parts = [];
+        for (const part of splitArtifact(buffer)) {
+            parts.push(await writeObject(storeDirectory, part));
+        }
+        manifest.artifacts[fileName] = { sha256: sha256(buffer), size: buffer.length, parts };
+    }
+
+    // Prove that every artifact round-trips before any original file is removed.
+    for (const fileName of fileNames) {
+        await reconstructArtifact(directory, manifest, fileName);
+    }
+
+    await fs.writeFile(path.join(directory, PACKED_MANIFEST), `${JSON.stringify(manifest, null, 2)}\n`, "utf8");
+    for (const fileName of fileNames) {
+        await fs.rm(path.join(directory, fileName));
+    }
+    return manifest;
+}
+
+async function unpackSnapshot(snapshotDirectory) {
+    const directory = path.resolve(snapshotDirectory);
+    const manifest = await readPackedManifest(directory);
+    if (!manifest) {
+        throw new Error(`Snapshot is not packed: ${directory}`);
+    }
+
+    for (const fileName of Object.keys(manifest.artifacts)) {
+        const buffer = await reconstructArtifact(directory, manifest, fileName);
+        await fs.writeFile(path.join(directory, fileName), buffer);
+    }
+    await fs.rm(path.join(directory, PACKED_MANIFEST));
+}
+
+async function verifyPackedSnapshot(snapshotDirectory) {
+    const directory = path.resolve(snapshotDirectory);
+    const manifest = await readPackedManifest(directory);
+    if (!manifest) {
+        return [];
+    }
+
+    const errors = [];
+    for (const fileName of Object.keys(manifest.artifacts)) {
+        try {
+            await reconstructArtifact(directory, manifest, fileName);
+        } catch (error) {
+            errors.push(`${fileName}: ${error.message}`);
+        }
+    }
+    return errors;
+}
+
+async function main() {
+    const [command, ...references] = process.argv.slice(2);
+    const catalog = await loadSnapshotCatalog(__dirname);
+
+    function selectSnapshots(defaultSelection) {
+        if (references.length === 0) {
+            return defaultSelection();
+        }
+        return references.map((reference) => {
+            const snapshot = catalog.find(reference);
+            if (!snapshot) {
+                throw new Error(`No snapshot found for version ${reference}`);
+            }
+            return snapshot;
+        });
+    }
+
+    if (command === "pack") {
+        const tracked = catalog.tracked();
+        const snapshots = selectSnapshots(() => catalog.snapshots.slice(0, catalog.snapshots.indexOf(tracked)));
+        for (const snapshot of snapshots) {
+            if (await readPackedManifest(snapshot.directory)) {
+                console.log(`- ${snapshot.name} (already packed)`);
+                continue;
+            }
+            await packSnapshot(snapshot.directory);
+            console.log(`✓ packed ${snapshot.name}`);
+        }
+        return;
+    }
+
+    if (command === "unpack") {
+        for (const snapshot of selectSnapshots(() => catalog.snapshots)) {
+            if (await readPackedManifest(snapshot.directory)) {
+                await unpackSnapshot(snapshot.directory);
+                console.log(`✓ unpacked ${snapshot.name}`);
+            }
+        }
+        return;
+    }
+
+    if (command === "verify") {
+        let failures = 0;
+        for (const snapshot of selectSnapshots(() => catalog.snapshots)) {
+            if (!await readPackedManifest(snapshot.directory)) {
+                continue;
+            }
+            const errors = await verifyPackedSnapshot(snapshot.directory);
+            if (errors.length === 0) {
+                console.log(`✓ ${snapshot.name}`);
+                continue;
+            }
+            failures++;
+            console.error(`✗ ${snapshot.name}`);
+            for (const error of errors) {
+                console.error(`  - ${error}`);
+            }
+        }
+        if (failures > 0) {
+            process.exitCode = 1;
+        }
+        return;
+    }
+
+    throw new Error("Usage: node snapshot-store.js <pack|unpack|verify> [version...]");
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(`Snapshot store command failed: ${error.message}`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    PACKED_MANIFEST,
+    STORE_DIRECTORY,
+    listSnapshotArtifacts,
+    packSnapshot,
+    readSnapshotArtifact,
+    readSnapshotArtifactSync,
+    splitArtifact,
+    unpackSnapshot,
+    verifyPackedSnapshot,
+};
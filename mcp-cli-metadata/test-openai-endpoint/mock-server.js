@@ -0,0 +1,270 @@
+import { createHash } from "node:crypto";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import http from "node:http";
+import path from "node:path";
+import process from "node:process";
+import { fileURLToPath } from "node:url";
+
+import dotenv from "dotenv";
+
+import {
+  buildAuthorizationHeaders,
+  buildChatCompletionsUrl,
+  defaultEnvPath,
+  loadConfiguration,
+} from "./test-endpoint.js";
+
+const scriptDirectory = path.dirname(fileURLToPath(import.meta.url));
+export const defaultFixturesDirectory = path.join(scriptDirectory, "fixtures");
+const chatCompletionsPattern = /^\/openai\/deployments\/([^/]+)\/chat\/completions$/;
+// Response headers kept in recorded fixtures, so replays report the same rate-limit state
+const recordedHeaderPattern = /^(x-ratelimit-|retry-after)/i;
+
+// Fixtures are keyed by a SHA-256 hash of the role and content of each request message,
+// so the same prompt replays the same response whatever other options were sent
+export function hashMessages(messages) {
+  const normalized = messages.map(({ role, content }) => ({ role, content }));
+  return createHash("sha256").update(JSON.stringify(normalized)).digest("hex");
+}
+
+function sendJson(response, status, body, headers = {}) {
+  response.writeHead(status, { ...headers, "Content-Type": "application/json" });
+  response.end(JSON.stringify(body));
+}
+
+// Errors use the Azure OpenAI error shape: { error: { code, message } }
+function sendError(response, status, code, message) {
+  sendJson(response, status, { error: { code, message } });
+}
+
+async function readRequestBody(request) {
+  const chunks = [];
+  for await (const chunk of request) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+async function readFixture(fixturePath) {
+  try {
+    return JSON.parse(await readFile(fixturePath, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return null;
+    }
+    throw new Error(`Unable to read fixture '${fixturePath}': ${error.message}`);
+  }
+}
+
+// Sends a recorded chat completion as server-sent events: one chunk with the whole
+// assistant message, a chunk with the finish reason, and [DONE]
+function sendStream(response, fixture) {
+  const choice = fixture.body.choices?.[0] ?? {};
+  const chunk = (delta, finishReason) => ({
+    id: fixture.body.id,
+    object: "chat.completion.chunk",
+    created: fixture.body.created,
+    model: fixture.body.model,
+    choices: [{ index: 0, delta, finish_reason: finishReason }],
+  });
+  response.writeHead(200, { ...(fixture.headers ?? {}), "Content-Type": "text/event-stream" });
+  response.write(`data: ${JSON.stringify(chunk({ role: "assistant", content: choice.message?.content ?? "" }, null))}\n\n`);
+  response.write(`data: ${JSON.stringify(chunk({}, choice.finish_reason ?? "stop"))}\n\n`);
+  response.end("data: [DONE]\n\n");
+}
+
+// Sends the request to the live deployment and saves a successful response, or an HTTP 400
+// rejection of the request's parameters, as a fixture. Streaming options are dropped, so
+// fixtures always hold a complete JSON response.
+async function recordResponse({ upstream, deployment, apiVersion, requestBody, fixturePath }) {
+  const requestUrl = buildChatCompletionsUrl({ endpoint: upstream.endpoint, deployment, apiVersion });
+  const upstreamResponse = await fetch(requestUrl, {
+    method: "POST",
+    headers: {
+      ...(await buildAuthorizationHeaders(upstream)),
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ ...requestBody, stream: undefined, stream_options: undefined }),
+    signal: AbortSignal.timeout(120_000),
+  });
+  const responseText = await upstreamResponse.text();
+  const headers = Object.fromEntries([...upstreamResponse.headers]
+    .filter(([name]) => recordedHeaderPattern.test(name)));
+  const fixture = {
+    key: hashMessages(requestBody.messages),
+    deployment,
+    messages: requestBody.messages,
+    status: upstreamResponse.status,
+    headers,
+    body: JSON.parse(responseText),
+  };
+  if (upstreamResponse.ok || upstreamResponse.status === 400) {
+    await mkdir(path.dirname(fixturePath), { recursive: true });
+    await writeFile(fixturePath, `${JSON.stringify(fixture, null, 2)}\n`, "utf8");
+  }
+  return fixture;
+}
+
+async function handleRequest(request, response, options) {
+  const requestUrl = new URL(request.url, "http://localhost");
+  const route = requestUrl.pathname.match(chatCompletionsPattern);
+  if (!route) {
+    sendError(response, 404, "404", "Resource not found");
+    return;
+  }
+  if (request.method !== "POST") {
+    sendError(response, 405, "MethodNotAllowed", `Method ${request.method} is not allowed; use POST.`);
+    return;
+  }
+
+  const deployment = decodeURIComponent(route[1]);
+  const apiVersion = requestUrl.searchParams.get("api-version");
+  if (!apiVersion) {
+    sendError(response, 400, "BadRequest", "Missing required query parameter 'api-version'.");
+    return;
+  }
+  if (options.apiVersions.length > 0 && !options.apiVersions.includes(apiVersion)) {
+    sendError(response, 400, "BadRequest", `API version '${apiVersion}' is not supported. Supported versions: ${options.apiVersions.join(", ")}`);
+    return;
+  }
+  if (options.apiKey && request.headers["api-key"] !== options.apiKey) {
+    sendError(response, 401, "401", "Access denied due to invalid subscription key or wrong API endpoint.");
+    return;
+  }
+  if (options.deployments.length > 0 && !options.deployments.includes(deployment)) {
+    sendError(response, 404, "DeploymentNotFound", `The API deployment '${deployment}' does not exist.`);
+    return;
+  }
+
+  const requestText = await readRequestBody(request);
+  let requestBody;
+  try {
+    requestBody = JSON.parse(requestText);
+  } catch {
+    sendError(response, 400, "BadRequest", "The request body is not valid JSON.");
+    return;
+  }
+  if (!Array.isArray(requestBody.messages) || requestBody.messages.length === 0) {
+    sendError(response, 400, "BadRequest", "The request body must contain a non-empty 'messages' array.");
+    return;
+  }
+
+  const key = hashMessages(requestBody.messages);
+  const fixturePath = path.join(options.fixturesDirectory, `${key}.json`);
+  const fixture = options.upstream
+    ? await recordResponse({
+      upstream: options.upstream,
+      deployment,
+      apiVersion,
+      requestBody,
+      fixturePath,
+    })
+    : await readFixture(fixturePath);
+  if (!fixture) {
+    sendError(response, 404, "FixtureNotFound", `No recorded response for messages hash ${key} in ${options.fixturesDirectory}.`);
+    return;
+  }
+
+  options.onRequest?.({ deployment, apiVersion, key, status: fixture.status });
+  if (requestBody.stream === true && (fixture.status ?? 200) === 200) {
+    sendStream(response, fixture);
+  } else {
+    sendJson(response, fixture.status ?? 200, fixture.body, fixture.headers ?? {});
+  }
+}
+
+// Creates an HTTP server that stands in for an Azure OpenAI resource. Without upstream
+// it replays fixtures; with upstream (a loadConfiguration result) it records them.
+export function createMockServer({
+  apiKey,
+  apiVersions = [],
+  deployments = [],
+  fixturesDirectory = defaultFixturesDirectory,
+  upstream = null,
+  onRequest,
+} = {}) {
+  const options = { apiKey, apiVersions, deployments, fixturesDirectory, upstream, onRequest };
+  return http.createServer((request, response) => {
+    handleRequest(request, response, options).catch((error) => {
+      if (response.headersSent) {
+        response.destroy(error);
+      } else {
+        sendError(response, 502, "MockServerError", error.message);
+      }
+    });
+  });
+}
+
+// Starts a mock server on 127.0.0.1 and returns it with the endpoint URL to use as
+// FOUNDRY_ENDPOINT. Port 0 picks a free port.
+export async function startMockServer({ port = 0, ...options } = {}) {
+  const server = createMockServer(options);
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, "127.0.0.1", resolve);
+  });
+  return {
+    server,
+    endpoint: `http://localhost:${server.address().port}/`,
+  };
+}
+
+function readOption(argv, name) {
+  const index = argv.indexOf(name);
+  if (index < 0) {
+    return undefined;
+  }
+  const value = argv[index + 1];
+  if (value === undefined || value.startsWith("--")) {
+    throw new Error(`${name} requires a value`);
+  }
+  return value;
+}
+
+function readList(value) {
+  return value ? value.split(",").map((item) => item.trim()).filter(Boolean) : [];
+}
+
+export function parseArgs(argv) {
+  return {
+    port: Number(readOption(argv, "--port") ?? 8787),
+    apiKey: readOption(argv, "--api-key") ?? "mock-api-key",
+    apiVersions: readList(readOption(argv, "--api-version")),
+    deployments: readList(readOption(argv, "--deployment")),
+    fixturesDirectory: path.resolve(readOption(argv, "--fixtures") ?? defaultFixturesDirectory),
+    record: argv.includes("--record"),
+    envPath: path.resolve(readOption(argv, "--env") ?? defaultEnvPath),
+  };
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  let upstream = null;
+  if (options.record) {
+    const envResult = dotenv.config({ path: options.envPath, override: false, quiet: true });
+    if (envResult.error) {
+      throw new Error(`Unable to load environment file '${options.envPath}': ${envResult.error.message}`);
+    }
+    upstream = loadConfiguration(process.env);
+  }
+
+  const { endpoint } = await startMockServer({
+    ...options,
+    upstream,
+    onRequest: ({ deployment, key, status }) => console.log(`  ${status} ${deployment} ${key}`),
+  });
+  console.log(`✓ Mock Azure OpenAI server listening at ${endpoint}`);
+  console.log(`  Mode: ${upstream ? `record from ${upstream.endpoint}` : "replay"}`);
+  console.log(`  Fixtures: ${options.fixturesDirectory}`);
+  console.log(`  API key: ${options.apiKey}`);
+}
+
+const isMainModule = process.argv[1]
+  && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url);
+
+if (isMainModule) {
+  main().catch((error) => {
+    console.error(`✗ Mock Azure OpenAI server failed: ${error.message}`);
+    process.exitCode = 1;
+  });
+}
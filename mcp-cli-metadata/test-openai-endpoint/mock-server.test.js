@@ -0,0 +1,178 @@
+import assert from "node:assert/strict";
+import { mkdtemp, readdir, readFile, rm, writeFile } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import test from "node:test";
+
+import { defaultFixturesDirectory, hashMessages, parseArgs, startMockServer } from "./mock-server.js";
+import { loadConfiguration, testEndpoint } from "./test-endpoint.js";
+
+const messages = [{ role: "user", content: "Reply with exactly: endpoint-ok" }];
+
+async function createFixturesDirectory(t) {
+    const directory = await mkdtemp(path.join(os.tmpdir(), "mock-server-test-"));
+    t.after(() => rm(directory, { recursive: true, force: true }));
+    return directory;
+}
+
+async function writeFixture(directory, fixtureMessages, content, headers = {}) {
+    const key = hashMessages(fixtureMessages);
+    await writeFile(path.join(directory, `${key}.json`), JSON.stringify({
+        key,
+        messages: fixtureMessages,
+        status: 200,
+        headers,
+        body: {
+            object: "chat.completion",
+            choices: [{ index: 0, finish_reason: "stop", message: { role: "assistant", content } }],
+            usage: { prompt_tokens: 14, completion_tokens: 3, total_tokens: 17 },
+        },
+    }));
+    return key;
+}
+
+async function startServer(t, options) {
+    const { server, endpoint } = await startMockServer(options);
+    t.after(() => new Promise((resolve) => server.close(resolve)));
+    return endpoint;
+}
+
+function postChat(endpoint, { deployment = "gpt-test", apiVersion = "2024-10-21", apiKey = "mock-key", body = { messages } } = {}) {
+    const url = new URL(`openai/deployments/${deployment}/chat/completions`, endpoint);
+    if (apiVersion) {
+        url.searchParams.set("api-version", apiVersion);
+    }
+    return fetch(url, {
+        method: "POST",
+        headers: { ...(apiKey ? { "api-key": apiKey } : {}), "Content-Type": "application/json" },
+        body: typeof body === "string" ? body : JSON.stringify(body),
+    });
+}
+
+test("hashes only the role and content of each message", () => {
+    assert.equal(
+        hashMessages([{ role: "user", content: "hi", name: "ignored" }]),
+        hashMessages([{ content: "hi", role: "user" }]),
+    );
+    assert.notEqual(hashMessages([{ role: "user", content: "hi" }]), hashMessages([{ role: "system", content: "hi" }]));
+});
+
+test("replays a recorded response with its rate-limit headers", async (t) => {
+    const fixturesDirectory = await createFixturesDirectory(t);
+    await writeFixture(fixturesDirectory, messages, "endpoint-ok", { "x-ratelimit-remaining-requests": "9" });
+    const endpoint = await startServer(t, { apiKey: "mock-key", apiVersions: ["2024-10-21"], fixturesDirectory });
+
+    const response = await postChat(endpoint, { body: { messages, max_tokens: 5 } });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get("x-ratelimit-remaining-requests"), "9");
+    assert.equal((await response.json()).choices[0].message.content, "endpoint-ok");
+});
+
+test("replays a recorded response as server-sent events when stream is true", async (t) => {
+    const fixturesDirectory = await createFixturesDirectory(t);
+    await writeFixture(fixturesDirectory, messages, "endpoint-ok");
+    const endpoint = await startServer(t, { apiKey: "mock-key", fixturesDirectory });
+
+    const response = await postChat(endpoint, { body: { messages, stream: true } });
+    const events = (await response.text()).split("\n\n").filter(Boolean);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get("content-type"), "text/event-stream");
+    assert.equal(events.length, 3);
+    assert.deepEqual(JSON.parse(events[0].slice("data: ".length)).choices[0].delta, { role: "assistant", content: "endpoint-ok" });
+    assert.equal(JSON.parse(events[1].slice("data: ".length)).choices[0].finish_reason, "stop");
+    assert.equal(events[2], "data: [DONE]");
+});
+
+test("checks the route, api-version, api-key, deployment and body", async (t) => {
+    const fixturesDirectory = await createFixturesDirectory(t);
+    const endpoint = await startServer(t, {
+        apiKey: "mock-key",
+        apiVersions: ["2024-10-21"],
+        deployments: ["gpt-test"],
+        fixturesDirectory,
+    });
+    const errorOf = async (response) => [response.status, (await response.json()).error.code];
+
+    assert.deepEqual(await errorOf(await fetch(new URL("openai/models", endpoint))), [404, "404"]);
+    assert.deepEqual(await errorOf(await postChat(endpoint, { apiVersion: null })), [400, "BadRequest"]);
+    assert.deepEqual(await errorOf(await postChat(endpoint, { apiVersion: "2023-05-15" })), [400, "BadRequest"]);
+    assert.deepEqual(await errorOf(await postChat(endpoint, { apiKey: null })), [401, "401"]);
+    assert.deepEqual(await errorOf(await postChat(endpoint, { apiKey: "wrong" })), [401, "401"]);
+    assert.deepEqual(await errorOf(await postChat(endpoint, { deployment: "other" })), [404, "DeploymentNotFound"]);
+    assert.deepEqual(await errorOf(await postChat(endpoint, { body: "{" })), [400, "BadRequest"]);
+    assert.deepEqual(await errorOf(await postChat(endpoint, { body: { messages: [] } })), [400, "BadRequest"]);
+
+    const missing = await postChat(endpoint);
+    assert.equal(missing.status, 404);
+    assert.match((await missing.json()).error.message, new RegExp(`No recorded response for messages hash ${hashMessages(messages)}`));
+});
+
+test("records upstream responses as fixtures that replay offline", async (t) => {
+    const upstreamFixtures = await createFixturesDirectory(t);
+    await writeFixture(upstreamFixtures, messages, "endpoint-ok", { "x-ratelimit-remaining-tokens": "1000", "x-other": "dropped" });
+    const upstreamEndpoint = await startServer(t, { apiKey: "live-key", fixturesDirectory: upstreamFixtures });
+
+    const recordedFixtures = await createFixturesDirectory(t);
+    const recordingEndpoint = await startServer(t, {
+        apiKey: "mock-key",
+        fixturesDirectory: recordedFixtures,
+        upstream: { endpoint: upstreamEndpoint, apiKey: "live-key" },
+    });
+
+    const recorded = await postChat(recordingEndpoint);
+    assert.equal(recorded.status, 200);
+    assert.equal((await recorded.json()).choices[0].message.content, "endpoint-ok");
+
+    const fixture = JSON.parse(await readFile(path.join(recordedFixtures, `${hashMessages(messages)}.json`), "utf8"));
+    assert.equal(fixture.deployment, "gpt-test");
+    assert.deepEqual(fixture.messages, messages);
+    assert.deepEqual(fixture.headers, { "x-ratelimit-remaining-tokens": "1000" });
+
+    const replayEndpoint = await startServer(t, { apiKey: "mock-key", fixturesDirectory: recordedFixtures });
+    assert.equal((await (await postChat(replayEndpoint)).json()).choices[0].message.content, "endpoint-ok");
+});
+
+test("marks the committed fixtures as synthetic samples keyed by their messages", async () => {
+    const files = await readdir(defaultFixturesDirectory);
+    assert.ok(files.length > 0);
+    for (const file of files) {
+        const fixture = JSON.parse(await readFile(path.join(defaultFixturesDirectory, file), "utf8"));
+        assert.equal(fixture.synthetic, true, file);
+        assert.equal(file, `${hashMessages(fixture.messages)}.json`);
+        assert.match(fixture.body.id, /^chatcmpl-synthetic-/, file);
+    }
+});
+
+test("testEndpoint accepts http://localhost only when opted in", async (t) => {
+    const fixturesDirectory = await createFixturesDirectory(t);
+    await writeFixture(fixturesDirectory, messages, "endpoint-ok");
+    const endpoint = await startServer(t, { apiKey: "mock-key", fixturesDirectory });
+    const environment = {
+        FOUNDRY_ENDPOINT: endpoint,
+        FOUNDRY_MODEL_NAME: "gpt-test",
+        FOUNDRY_MODEL_API_VERSION: "2024-10-21",
+        FOUNDRY_API_KEY: "mock-key",
+    };
+    t.mock.method(console, "log", () => {});
+
+    assert.throws(() => loadConfiguration(environment), /pass --allow-localhost/);
+    assert.throws(() => loadConfiguration({ ...environment, FOUNDRY_ENDPOINT: "http://example.com/" }, { allowLocalhost: true }), /must use HTTPS/);
+    await assert.rejects(testEndpoint({ ...loadConfiguration(environment, { allowLocalhost: true }) }), /pass --allow-localhost/);
+
+    const configuration = loadConfiguration({ ...environment, FOUNDRY_ALLOW_LOCALHOST: "true" });
+    await testEndpoint(configuration, { allowLocalhost: true });
+    assert.ok(console.log.mock.calls.some((call) => call.arguments[0] === "  Response: endpoint-ok"));
+});
+
+test("parses mock server arguments", () => {
+    const options = parseArgs(["--port", "9000", "--api-version", "2024-10-21, 2025-01-01-preview", "--record"]);
+
+    assert.equal(options.port, 9000);
+    assert.equal(options.apiKey, "mock-api-key");
+    assert.deepEqual(options.apiVersions, ["2024-10-21", "2025-01-01-preview"]);
+    assert.deepEqual(options.deployments, []);
+    assert.equal(options.record, true);
+    assert.throws(() => parseArgs(["--fixtures"]), /--fixtures requires a value/);
+});
@@ -7,14 +7,31 @@ import { DefaultAzureCredential } from "@azure/identity";
 import dotenv from "dotenv";
 
 const scriptDirectory = path.dirname(fileURLToPath(import.meta.url));
-const defaultEnvPath = path.resolve(scriptDirectory, "..", "..", "mcp-tools", ".env");
+export const defaultEnvPath = path.resolve(scriptDirectory, "..", "..", "mcp-tools", ".env");
 const credentialScope = "https://cognitiveservices.azure.com/.default";
+const localHostnames = new Set(["localhost", "127.0.0.1", "[::1]"]);
 
 function parseBoolean(value) {
   return ["1", "true", "yes"].includes(String(value ?? "").trim().toLowerCase());
 }
 
-export function loadConfiguration(environment) {
+// Endpoints must use HTTPS. With allowLocalhost, http://localhost is accepted too, for the
+// offline mock server (mock-server.js).
+function validateEndpoint(endpoint, { allowLocalhost = false } = {}) {
+  const endpointUrl = new URL(endpoint);
+  if (endpointUrl.protocol === "https:") {
+    return;
+  }
+  if (endpointUrl.protocol === "http:" && localHostnames.has(endpointUrl.hostname)) {
+    if (allowLocalhost) {
+      return;
+    }
+    throw new Error("FOUNDRY_ENDPOINT uses http://localhost; pass --allow-localhost or set FOUNDRY_ALLOW_LOCALHOST=true to test a local server.");
+  }
+  throw new Error("FOUNDRY_ENDPOINT must use HTTPS.");
+}
+
+export function loadConfiguration(environment, { allowLocalhost = parseBoolean(environment.FOUNDRY_ALLOW_LOCALHOST) } = {}) {
   const endpoint = environment.FOUNDRY_ENDPOINT;
   const deployment = environment.FOUNDRY_MODEL_NAME
     ?? environment.FOUNDRY_MODEL
@@ -35,10 +52,7 @@ export function loadConfiguration(environment) {
     throw new Error(`Missing required configuration: ${missing.join(", ")}`);
   }
 
-  const endpointUrl = new URL(endpoint);
-  if (endpointUrl.protocol !== "https:") {
-    throw new Error("FOUNDRY_ENDPOINT must use HTTPS.");
-  }
+  validateEndpoint(endpoint, { allowLocalhost });
 
   return {
     endpoint,
@@ -56,7 +70,7 @@ export function buildChatCompletionsUrl({ endpoint, deployment, apiVersion }) {
   return url;
 }
 
-async function buildAuthorizationHeaders(configuration) {
+export async function buildAuthorizationHeaders(configuration) {
   if (configuration.apiKey) {
     return { "api-key": configuration.apiKey };
   }
@@ -66,37 +80,97 @@ async function buildAuthorizationHeaders(configuration) {
   return { Authorization: `Bearer ${accessToken.token}` };
 }
 
-export async function testEndpoint(configuration) {
+const endpointTestMessages = [
+  { role: "user", content: "Reply with exactly: endpoint-ok" },
+];
+
+// The generator's GenerativeAIClient retries up to 5 times, starting at 1 second and doubling
+export const defaultRetryPolicy = { maxRetries: 5, baseDelayMs: 1_000 };
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+// Returns the delay a 429 or 503 response asks for in milliseconds, or null
+export function parseRetryAfter(headers) {
+  const milliseconds = Number(headers.get("retry-after-ms"));
+  if (headers.get("retry-after-ms") !== null && Number.isFinite(milliseconds)) {
+    return milliseconds;
+  }
+  const seconds = Number(headers.get("retry-after"));
+  return headers.get("retry-after") !== null && Number.isFinite(seconds) ? seconds * 1_000 : null;
+}
+
+// Sends one chat-completion request, retrying HTTP 429 and 5xx responses with exponential
+// backoff (or the delay in retry-after). latencyMs is the final attempt; elapsedMs
+// includes earlier attempts and waits.
+export async function sendChatCompletion(requestUrl, authorizationHeaders, body, {
+  maxRetries = 0,
+  baseDelayMs = defaultRetryPolicy.baseDelayMs,
+  sleep = (milliseconds) => new Promise((resolve) => setTimeout(resolve, milliseconds)),
+  onRetry,
+} = {}) {
+  const started = performance.now();
+  for (let attempt = 0; ; attempt++) {
+    const attemptStarted = performance.now();
+    const response = await fetch(requestUrl, {
+      method: "POST",
+      headers: {
+        ...authorizationHeaders,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(30_000),
+    });
+    const text = await response.text();
+    const latencyMs = performance.now() - attemptStarted;
+
+    if (isRetryableStatus(response.status) && attempt < maxRetries) {
+      const delayMs = parseRetryAfter(response.headers) ?? baseDelayMs * 2 ** attempt;
+      onRetry?.({ status: response.status, attempt: attempt + 1, delayMs });
+      await sleep(delayMs);
+      continue;
+    }
+
+    return {
+      ok: response.ok,
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers,
+      text,
+      latencyMs,
+      elapsedMs: performance.now() - started,
+      retries: attempt,
+    };
+  }
+}
+
+async function prepareRequest(configuration, allowLocalhost) {
+  validateEndpoint(configuration.endpoint, { allowLocalhost });
   const requestUrl = buildChatCompletionsUrl(configuration);
   const addresses = await lookup(requestUrl.hostname, { all: true });
   console.log(`✓ DNS resolved ${requestUrl.hostname}: ${addresses.map(({ address }) => address).join(", ")}`);
 
   const authorizationHeaders = await buildAuthorizationHeaders(configuration);
   console.log(`✓ Authentication ready (${configuration.apiKey ? "API key" : "DefaultAzureCredential"})`);
+  return { requestUrl, authorizationHeaders };
+}
 
-  const response = await fetch(requestUrl, {
-    method: "POST",
-    headers: {
-      ...authorizationHeaders,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({
-      messages: [
-        { role: "user", content: "Reply with exactly: endpoint-ok" },
-      ],
-    }),
-    signal: AbortSignal.timeout(30_000),
+export async function testEndpoint(configuration, { allowLocalhost = false } = {}) {
+  const { requestUrl, authorizationHeaders } = await prepareRequest(configuration, allowLocalhost);
+
+  const response = await sendChatCompletion(requestUrl, authorizationHeaders, {
+    messages: endpointTestMessages,
   });
 
-  const responseText = await response.text();
   if (!response.ok) {
     throw new Error(
       `Azure OpenAI returned HTTP ${response.status} ${response.statusText}: `
-      + responseText.slice(0, 2_000),
+      + response.text.slice(0, 2_000),
     );
   }
 
-  const responseBody = JSON.parse(responseText);
+  const responseBody = JSON.parse(response.text);
   const reply = responseBody.choices?.[0]?.message?.content;
   if (!reply) {
     throw new Error("Azure OpenAI returned a successful response without assistant content.");
@@ -106,6 +180,288 @@ export async function testEndpoint(configuration) {
   console.log(`  Response: ${reply.trim()}`);
 }
 
+// Nearest-rank percentile of a list of numbers
+export function percentile(values, percent) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((left, right) => left - right);
+  return sorted[Math.max(0, Math.ceil((percent / 100) * sorted.length) - 1)];
+}
+
+function sumUsage(responses) {
+  const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+  for (const response of responses) {
+    let body;
+    try {
+      body = JSON.parse(response.text);
+    } catch {
+      continue;
+    }
+    usage.promptTokens += body.usage?.prompt_tokens ?? 0;
+    usage.completionTokens += body.usage?.completion_tokens ?? 0;
+    usage.totalTokens += body.usage?.total_tokens ?? 0;
+  }
+  return usage;
+}
+
+// Sends `requests` endpoint-test requests, `concurrency` at a time, with the pipeline's
+// retry policy, and summarizes latency, throttling, rate-limit headers and token usage.
+// The deployment can sustain the concurrency when every request eventually succeeds
+// and the last response leaves at least `concurrency` requests in the rate-limit window.
+export async function diagnoseEndpoint(configuration, {
+  requests = 10,
+  concurrency = 1,
+  allowLocalhost = false,
+  maxRetries = defaultRetryPolicy.maxRetries,
+  baseDelayMs = defaultRetryPolicy.baseDelayMs,
+  sleep,
+} = {}) {
+  const { requestUrl, authorizationHeaders } = await prepareRequest(configuration, allowLocalhost);
+  const retriedStatuses = [];
+  const responses = [];
+  const errors = [];
+  let nextRequest = 0;
+
+  const worker = async () => {
+    while (nextRequest < requests) {
+      nextRequest++;
+      try {
+        const response = await sendChatCompletion(requestUrl, authorizationHeaders, { messages: endpointTestMessages }, {
+          maxRetries,
+          baseDelayMs,
+          sleep,
+          onRetry: ({ status }) => retriedStatuses.push(status),
+        });
+        responses.push(response);
+        if (!response.ok) {
+          errors.push(`HTTP ${response.status} ${response.statusText}: ${response.text.slice(0, 200)}`);
+        }
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, requests) }, worker));
+
+  const succeeded = responses.filter((response) => response.ok);
+  const latencies = succeeded.map((response) => response.latencyMs);
+  const lastHeaders = responses.at(-1)?.headers;
+  const rateLimit = lastHeaders
+    ? Object.fromEntries([...lastHeaders].filter(([name]) => /^(x-ratelimit-|retry-after)/i.test(name)))
+    : {};
+  const remainingRequests = rateLimit["x-ratelimit-remaining-requests"] === undefined
+    ? null
+    : Number(rateLimit["x-ratelimit-remaining-requests"]);
+  const throttled = retriedStatuses.filter((status) => status === 429).length;
+  const usage = sumUsage(succeeded);
+
+  let verdict;
+  if (errors.length > 0) {
+    verdict = `${errors.length} of ${requests} requests failed after retries; lower the concurrency or raise the deployment's quota.`;
+  } else if (remainingRequests !== null && remainingRequests < concurrency) {
+    verdict = `Only ${remainingRequests} requests remain in the rate-limit window, fewer than the concurrency of ${concurrency}.`;
+  } else if (throttled > 0) {
+    verdict = `All requests succeeded, but ${throttled} responses were HTTP 429; expect retries at concurrency ${concurrency}.`;
+  } else {
+    verdict = `All ${requests} requests succeeded at concurrency ${concurrency} without throttling.`;
+  }
+
+  return {
+    requests,
+    concurrency,
+    succeeded: succeeded.length,
+    errors,
+    retries: retriedStatuses.length,
+    retriedStatuses,
+    throttled,
+    latencyMs: {
+      p50: percentile(latencies, 50),
+      p95: percentile(latencies, 95),
+      max: latencies.length > 0 ? Math.max(...latencies) : null,
+    },
+    slowestElapsedMs: responses.length > 0 ? Math.max(...responses.map((response) => response.elapsedMs)) : null,
+    rateLimit,
+    usage: {
+      ...usage,
+      averageTotalTokens: succeeded.length > 0 ? Math.round(usage.totalTokens / succeeded.length) : null,
+    },
+    sustainable: errors.length === 0 && (remainingRequests === null || remainingRequests >= concurrency),
+    verdict,
+  };
+}
+
+function formatMilliseconds(value) {
+  return value === null ? "n/a" : `${Math.round(value)} ms`;
+}
+
+export function printDiagnosis(diagnosis) {
+  console.log(`${diagnosis.succeeded === diagnosis.requests ? "✓" : "✗"} ${diagnosis.succeeded}/${diagnosis.requests} requests succeeded (concurrency ${diagnosis.concurrency})`);
+  console.log(`  Latency: p50 ${formatMilliseconds(diagnosis.latencyMs.p50)}, p95 ${formatMilliseconds(diagnosis.latencyMs.p95)}, max ${formatMilliseconds(diagnosis.latencyMs.max)}`);
+  console.log(`  Slowest request including retries: ${formatMilliseconds(diagnosis.slowestElapsedMs)}`);
+  console.log(`  Retries: ${diagnosis.retries}${diagnosis.retries > 0 ? ` (HTTP ${diagnosis.retriedStatuses.join(", ")})` : ""}`);
+  console.log(`  Tokens: ${diagnosis.usage.totalTokens} total (${diagnosis.usage.promptTokens} prompt, ${diagnosis.usage.completionTokens} completion), ${diagnosis.usage.averageTotalTokens ?? "n/a"} per request`);
+  const rateLimitHeaders = Object.entries(diagnosis.rateLimit);
+  console.log(`  Rate-limit headers: ${rateLimitHeaders.length > 0 ? rateLimitHeaders.map(([name, value]) => `${name}=${value}`).join(", ") : "none"}`);
+  for (const error of diagnosis.errors) {
+    console.log(`  ✗ ${error}`);
+  }
+  console.log(`${diagnosis.sustainable ? (diagnosis.throttled > 0 ? "⚠" : "✓") : "✗"} ${diagnosis.verdict}`);
+}
+
+// Joins the content deltas of a server-sent-events chat-completion stream, or returns
+// null if the text is not a stream
+export function readStreamedContent(text) {
+  const events = text.split(/\r?\n/)
+    .filter((line) => line.startsWith("data:"))
+    .map((line) => line.slice(5).trim());
+  if (events.length === 0 || events.at(-1) !== "[DONE]") {
+    return null;
+  }
+  return events.slice(0, -1)
+    .map((event) => JSON.parse(event).choices?.[0]?.delta?.content ?? "")
+    .join("");
+}
+
+// Returns the message of an Azure OpenAI error response, or the raw text
+function readErrorMessage(text) {
+  try {
+    return String(JSON.parse(text).error?.message ?? text);
+  } catch {
+    return text;
+  }
+}
+
+function readReply(response) {
+  return JSON.parse(response.text).choices?.[0]?.message?.content ?? "";
+}
+
+// Every probe sends its own messages, so the mock server (which keys fixtures by
+// messages) records and replays a separate response for each probe
+const probeMessages = {
+  system: [
+    { role: "system", content: "You are a connectivity probe. Reply with exactly: probe-ok" },
+    { role: "user", content: "Run the probe." },
+  ],
+  json: [
+    { role: "system", content: "Reply with a JSON object with one property, \"status\", set to \"ok\"." },
+    { role: "user", content: "Run the probe." },
+  ],
+  maxTokens: [{ role: "user", content: "Reply with exactly: max-tokens-ok" }],
+  maxCompletionTokens: [{ role: "user", content: "Reply with exactly: max-completion-tokens-ok" }],
+  streaming: [{ role: "user", content: "Reply with exactly: streaming-ok" }],
+};
+
+// Each probe sends one request and checks a successful response. tokenLimit probes are
+// alternatives: model families accept max_tokens, max_completion_tokens, or both.
+export const capabilityProbes = [
+  {
+    name: "system-message",
+    description: "System messages are followed",
+    body: { messages: probeMessages.system },
+    check: (response) => {
+      const reply = readReply(response);
+      return { supported: reply.includes("probe-ok"), detail: `Reply: ${reply.trim().slice(0, 80)}` };
+    },
+  },
+  {
+    name: "json-mode",
+    description: "response_format json_object returns a JSON object",
+    body: { messages: probeMessages.json, response_format: { type: "json_object" } },
+    check: (response) => {
+      const reply = readReply(response);
+      try {
+        const value = JSON.parse(reply);
+        return { supported: value !== null && typeof value === "object", detail: `Reply: ${reply.trim().slice(0, 80)}` };
+      } catch {
+        return { supported: false, detail: `Reply is not JSON: ${reply.trim().slice(0, 80)}` };
+      }
+    },
+  },
+  {
+    name: "max-tokens",
+    description: "max_tokens limits the response",
+    tokenLimit: true,
+    body: { messages: probeMessages.maxTokens, max_tokens: 1_000 },
+    check: (response) => ({ supported: true, detail: `Reply: ${readReply(response).trim().slice(0, 80)}` }),
+  },
+  {
+    name: "max-completion-tokens",
+    description: "max_completion_tokens limits the response",
+    tokenLimit: true,
+    body: { messages: probeMessages.maxCompletionTokens, max_completion_tokens: 1_000 },
+    check: (response) => ({ supported: true, detail: `Reply: ${readReply(response).trim().slice(0, 80)}` }),
+  },
+  {
+    name: "streaming",
+    description: "stream: true returns server-sent events",
+    body: { messages: probeMessages.streaming, stream: true },
+    check: (response) => {
+      const content = readStreamedContent(response.text);
+      return content === null
+        ? { supported: false, detail: `Response is not an event stream (${response.headers.get("content-type")})` }
+        : { supported: true, detail: `Streamed: ${content.trim().slice(0, 80)}` };
+    },
+  },
+];
+
+// Runs each probe against the configured deployment and API version. An HTTP 400 means the
+// deployment rejects the capability; other HTTP errors and network failures are errors.
+// compatible is false if a probe fails, or if neither token-limit parameter works.
+export async function probeCapabilities(configuration, { allowLocalhost = false, probes = capabilityProbes } = {}) {
+  const { requestUrl, authorizationHeaders } = await prepareRequest(configuration, allowLocalhost);
+  const results = [];
+  for (const probe of probes) {
+    const result = { name: probe.name, description: probe.description, tokenLimit: probe.tokenLimit === true };
+    try {
+      const response = await sendChatCompletion(requestUrl, authorizationHeaders, probe.body);
+      if (response.ok) {
+        const { supported, detail } = probe.check(response);
+        results.push({ ...result, outcome: supported ? "supported" : "unsupported", supported, httpStatus: response.status, detail });
+      } else {
+        results.push({
+          ...result,
+          outcome: response.status === 400 ? "unsupported" : "error",
+          supported: false,
+          httpStatus: response.status,
+          detail: `HTTP ${response.status}: ${readErrorMessage(response.text).slice(0, 300)}`,
+        });
+      }
+    } catch (error) {
+      results.push({ ...result, outcome: "error", supported: false, httpStatus: null, detail: error.message });
+    }
+  }
+
+  const tokenLimitResults = results.filter((result) => result.tokenLimit);
+  const compatible = results.filter((result) => !result.tokenLimit).every((result) => result.supported)
+    && (tokenLimitResults.length === 0 || tokenLimitResults.some((result) => result.supported));
+  return { apiVersion: configuration.apiVersion, deployment: configuration.deployment, results, compatible };
+}
+
+export function printProbeResults(report) {
+  console.log(`Capabilities of deployment '${report.deployment}' with api-version ${report.apiVersion}:`);
+  for (const result of report.results) {
+    const symbol = result.supported ? "✓" : result.tokenLimit ? "⚠" : "✗";
+    console.log(`${symbol} ${result.name}: ${result.outcome} - ${result.description}`);
+    console.log(`  ${result.detail}`);
+  }
+  console.log(report.compatible
+    ? "✓ The deployment supports every capability the pipeline relies on."
+    : "✗ The deployment or API version is missing a capability the pipeline relies on.");
+}
+
+function readNumberArgument(name, defaultValue) {
+  const index = process.argv.indexOf(name);
+  if (index < 0) {
+    return defaultValue;
+  }
+  const value = Number(process.argv[index + 1]);
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`${name} requires a positive integer`);
+  }
+  return value;
+}
+
 async function main() {
   const envArgumentIndex = process.argv.indexOf("--env");
   const envPath = envArgumentIndex >= 0 && process.argv[envArgumentIndex + 1]
@@ -117,8 +473,33 @@ async function main() {
     throw new Error(`Unable to load environment file '${envPath}': ${envResult.error.message}`);
   }
 
+  const allowLocalhost = process.argv.includes("--allow-localhost")
+    || parseBoolean(process.env.FOUNDRY_ALLOW_LOCALHOST);
+
   console.log(`Testing Azure OpenAI configuration from ${envPath}`);
-  await testEndpoint(loadConfiguration(process.env));
+  const configuration = loadConfiguration(process.env, { allowLocalhost });
+  if (process.argv.includes("--probe")) {
+    const report = await probeCapabilities(configuration, { allowLocalhost });
+    printProbeResults(report);
+    if (!report.compatible) {
+      process.exitCode = 1;
+    }
+    return;
+  }
+  if (!process.argv.includes("--diagnose")) {
+    await testEndpoint(configuration, { allowLocalhost });
+    return;
+  }
+
+  const diagnosis = await diagnoseEndpoint(configuration, {
+    allowLocalhost,
+    requests: readNumberArgument("--requests", 10),
+    concurrency: readNumberArgument("--concurrency", 1),
+  });
+  printDiagnosis(diagnosis);
+  if (!diagnosis.sustainable) {
+    process.exitCode = 1;
+  }
 }
 
 const isMainModule = process.argv[1]
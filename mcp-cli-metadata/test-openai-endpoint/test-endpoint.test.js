@@ -1,11 +1,56 @@
 import assert from "node:assert/strict";
+import { mkdtemp, readdir, rm } from "node:fs/promises";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
 import test from "node:test";
 
+import { startMockServer } from "./mock-server.js";
 import {
     buildChatCompletionsUrl,
+    diagnoseEndpoint,
     loadConfiguration,
+    parseRetryAfter,
+    percentile,
+    probeCapabilities,
+    readStreamedContent,
+    sendChatCompletion,
 } from "./test-endpoint.js";
 
+// Starts a fake chat-completions server. script is a list of responses sent in order
+// (repeating the last one), or a function from the request body to a response:
+// { status, headers?, body? }
+async function startFakeServer(t, script) {
+    let requestCount = 0;
+    const server = http.createServer((request, response) => {
+        const chunks = [];
+        request.on("data", (chunk) => chunks.push(chunk));
+        request.on("end", () => {
+            const { status, headers = {}, body = {} } = typeof script === "function"
+                ? script(JSON.parse(Buffer.concat(chunks).toString("utf8")))
+                : script[Math.min(requestCount, script.length - 1)];
+            requestCount++;
+            response.writeHead(status, { ...headers, "Content-Type": "application/json" });
+            response.end(typeof body === "string" ? body : JSON.stringify(body));
+        });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    t.after(() => new Promise((resolve) => server.close(resolve)));
+    return {
+        endpoint: `http://localhost:${server.address().port}/`,
+        requestCount: () => requestCount,
+    };
+}
+
+const completion = {
+    choices: [{ message: { role: "assistant", content: "endpoint-ok" } }],
+    usage: { prompt_tokens: 14, completion_tokens: 3, total_tokens: 17 },
+};
+
+function localConfiguration(endpoint) {
+    return { endpoint, deployment: "gpt-test", apiVersion: "2024-10-21", apiKey: "key" };
+}
+
 test("builds the Azure OpenAI deployment URL from environment configuration", () => {
     const url = buildChatCompletionsUrl({
         endpoint: "https://example.cognitiveservices.azure.com/",
@@ -42,3 +87,200 @@ test("rejects incomplete endpoint configuration", () => {
         /FOUNDRY_MODEL_NAME.*FOUNDRY_MODEL_API_VERSION/,
     );
 });
+
+test("reads retry-after-ms and retry-after headers", () => {
+    assert.equal(parseRetryAfter(new Headers({ "retry-after-ms": "250", "retry-after": "3" })), 250);
+    assert.equal(parseRetryAfter(new Headers({ "retry-after": "3" })), 3_000);
+    assert.equal(parseRetryAfter(new Headers({ "retry-after": "Wed, 21 Oct 2026 07:28:00 GMT" })), null);
+    assert.equal(parseRetryAfter(new Headers()), null);
+});
+
+test("computes nearest-rank percentiles", () => {
+    assert.equal(percentile([50, 10, 40, 20, 30], 50), 30);
+    assert.equal(percentile([50, 10, 40, 20, 30], 95), 50);
+    assert.equal(percentile([], 50), null);
+});
+
+test("retries 429 and 5xx responses with exponential backoff", async (t) => {
+    const fake = await startFakeServer(t, [
+        { status: 429, headers: { "retry-after-ms": "5" } },
+        { status: 503 },
+        { status: 500 },
+        { status: 200, body: completion },
+    ]);
+    const delays = [];
+
+    const response = await sendChatCompletion(
+        buildChatCompletionsUrl(localConfiguration(fake.endpoint)),
+        { "api-key": "key" },
+        { messages: [] },
+        { maxRetries: 5, baseDelayMs: 100, sleep: async (milliseconds) => delays.push(milliseconds) },
+    );
+
+    assert.equal(response.status, 200);
+    assert.equal(response.retries, 3);
+    assert.deepEqual(delays, [5, 200, 400]);
+    assert.equal(fake.requestCount(), 4);
+});
+
+test("does not retry client errors or past the retry limit", async (t) => {
+    const fake = await startFakeServer(t, [{ status: 400 }]);
+    const url = buildChatCompletionsUrl(localConfiguration(fake.endpoint));
+    const sleep = async () => {};
+
+    assert.equal((await sendChatCompletion(url, {}, { messages: [] }, { maxRetries: 5, sleep })).retries, 0);
+
+    const throttled = await startFakeServer(t, [{ status: 429 }]);
+    const response = await sendChatCompletion(buildChatCompletionsUrl(localConfiguration(throttled.endpoint)), {}, { messages: [] }, { maxRetries: 2, sleep });
+    assert.equal(response.status, 429);
+    assert.equal(throttled.requestCount(), 3);
+});
+
+test("diagnoses latency, throttling, rate-limit headers and token usage", async (t) => {
+    const fake = await startFakeServer(t, [
+        { status: 429, headers: { "retry-after": "1" } },
+        {
+            status: 200,
+            headers: { "x-ratelimit-remaining-requests": "40", "x-ratelimit-remaining-tokens": "9000", "x-request-id": "ignored" },
+            body: completion,
+        },
+    ]);
+    t.mock.method(console, "log", () => {});
+
+    const diagnosis = await diagnoseEndpoint(localConfiguration(fake.endpoint), {
+        allowLocalhost: true,
+        requests: 6,
+        concurrency: 3,
+        sleep: async () => {},
+    });
+
+    assert.equal(diagnosis.succeeded, 6);
+    assert.deepEqual(diagnosis.errors, []);
+    assert.equal(diagnosis.retries, 1);
+    assert.equal(diagnosis.throttled, 1);
+    assert.equal(fake.requestCount(), 7);
+    assert.ok(diagnosis.latencyMs.p50 <= diagnosis.latencyMs.p95);
+    assert.deepEqual(diagnosis.rateLimit, { "x-ratelimit-remaining-requests": "40", "x-ratelimit-remaining-tokens": "9000" });
+    assert.deepEqual(diagnosis.usage, { promptTokens: 84, completionTokens: 18, totalTokens: 102, averageTotalTokens: 17 });
+    assert.equal(diagnosis.sustainable, true);
+    assert.match(diagnosis.verdict, /1 responses were HTTP 429/);
+});
+
+test("reports a deployment that cannot sustain the concurrency", async (t) => {
+    const failing = await startFakeServer(t, [{ status: 503 }]);
+    t.mock.method(console, "log", () => {});
+
+    const failed = await diagnoseEndpoint(localConfiguration(failing.endpoint), {
+        allowLocalhost: true,
+        requests: 2,
+        maxRetries: 1,
+        sleep: async () => {},
+    });
+    assert.equal(failed.sustainable, false);
+    assert.equal(failed.errors.length, 2);
+    assert.match(failed.verdict, /^2 of 2 requests failed after retries/);
+
+    const nearlyExhausted = await startFakeServer(t, [{ status: 200, headers: { "x-ratelimit-remaining-requests": "2" }, body: completion }]);
+    const limited = await diagnoseEndpoint(localConfiguration(nearlyExhausted.endpoint), {
+        allowLocalhost: true,
+        requests: 4,
+        concurrency: 4,
+    });
+    assert.equal(limited.sustainable, false);
+    assert.match(limited.verdict, /Only 2 requests remain/);
+});
+
+test("joins streamed content deltas", () => {
+    const stream = [
+        'data: {"choices":[{"delta":{"role":"assistant","content":"endpoint"}}]}',
+        "",
+        'data: {"choices":[{"delta":{"content":"-ok"}}]}',
+        'data: {"choices":[{"delta":{},"finish_reason":"stop"}]}',
+        "data: [DONE]",
+        "",
+    ].join("\n");
+
+    assert.equal(readStreamedContent(stream), "endpoint-ok");
+    assert.equal(readStreamedContent(JSON.stringify(completion)), null);
+});
+
+test("probes every capability against the offline mock server", async (t) => {
+    const { server, endpoint } = await startMockServer({ apiKey: "key", apiVersions: ["2024-10-21"] });
+    t.after(() => new Promise((resolve) => server.close(resolve)));
+    t.mock.method(console, "log", () => {});
+
+    const report = await probeCapabilities(localConfiguration(endpoint), { allowLocalhost: true });
+
+    assert.equal(report.apiVersion, "2024-10-21");
+    assert.deepEqual(report.results.map((result) => [result.name, result.outcome]), [
+        ["system-message", "supported"],
+        ["json-mode", "supported"],
+        ["max-tokens", "supported"],
+        ["max-completion-tokens", "supported"],
+        ["streaming", "supported"],
+    ]);
+    assert.equal(report.results[4].detail, "Streamed: streaming-ok");
+    assert.equal(report.compatible, true);
+});
+
+test("reports rejected parameters, failed checks and errors", async (t) => {
+    const fake = await startFakeServer(t, (body) => {
+        if (body.max_tokens !== undefined) {
+            return { status: 400, body: { error: { code: "unsupported_parameter", message: "Unsupported parameter: 'max_tokens'. Use 'max_completion_tokens' instead." } } };
+        }
+        if (body.response_format) {
+            return { status: 200, body: { choices: [{ message: { content: "status: ok" } }] } };
+        }
+        if (body.stream) {
+            return { status: 500, body: { error: { code: "InternalServerError", message: "Stream failed" } } };
+        }
+        return { status: 200, body: { choices: [{ message: { content: "probe-ok" } }] } };
+    });
+    t.mock.method(console, "log", () => {});
+
+    const report = await probeCapabilities(localConfiguration(fake.endpoint), { allowLocalhost: true });
+
+    assert.deepEqual(report.results.map((result) => [result.name, result.outcome, result.httpStatus]), [
+        ["system-message", "supported", 200],
+        ["json-mode", "unsupported", 200],
+        ["max-tokens", "unsupported", 400],
+        ["max-completion-tokens", "supported", 200],
+        ["streaming", "error", 500],
+    ]);
+    assert.equal(report.results[1].detail, "Reply is not JSON: status: ok");
+    assert.equal(report.results[2].detail, "HTTP 400: Unsupported parameter: 'max_tokens'. Use 'max_completion_tokens' instead.");
+    assert.equal(report.compatible, false);
+
+    const onlyTokenLimits = await probeCapabilities(localConfiguration(fake.endpoint), {
+        allowLocalhost: true,
+        probes: [],
+    });
+    assert.equal(onlyTokenLimits.compatible, true);
+});
+
+test("records and replays a separate fixture for every probe", async (t) => {
+    const fake = await startFakeServer(t, (body) => body.max_tokens !== undefined
+        ? { status: 400, body: { error: { code: "unsupported_parameter", message: "Unsupported parameter: 'max_tokens'." } } }
+        : { status: 200, body: { choices: [{ message: { content: body.response_format ? "{\"status\":\"ok\"}" : "probe-ok" } }] } });
+    const fixturesDirectory = await mkdtemp(path.join(os.tmpdir(), "probe-fixtures-test-"));
+    t.after(() => rm(fixturesDirectory, { recursive: true, force: true }));
+    t.mock.method(console, "log", () => {});
+
+    const recording = await startMockServer({ apiKey: "key", fixturesDirectory, upstream: localConfiguration(fake.endpoint) });
+    t.after(() => new Promise((resolve) => recording.server.close(resolve)));
+    await probeCapabilities(localConfiguration(recording.endpoint), { allowLocalhost: true });
+    assert.equal((await readdir(fixturesDirectory)).length, 5);
+
+    const replay = await startMockServer({ apiKey: "key", fixturesDirectory });
+    t.after(() => new Promise((resolve) => replay.server.close(resolve)));
+    const report = await probeCapabilities(localConfiguration(replay.endpoint), { allowLocalhost: true });
+
+    assert.equal(fake.requestCount(), 5);
+    assert.deepEqual(report.results.map((result) => [result.name, result.outcome, result.httpStatus]), [
+        ["system-message", "supported", 200],
+        ["json-mode", "supported", 200],
+        ["max-tokens", "unsupported", 400],
+        ["max-completion-tokens", "supported", 200],
+        ["streaming", "supported", 200],
+    ]);
+});
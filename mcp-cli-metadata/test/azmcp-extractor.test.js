@@ -0,0 +1,176 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs/promises");
+const os = require("node:os");
+const path = require("node:path");
+const test = require("node:test");
+
+const {
+    resolveAzmcp,
+    runAzmcpExtractor,
+    stripInvalidControlCharacters,
+} = require("../azmcp-extractor");
+const {
+    REQUIRED_ARTIFACTS,
+    createVersionSnapshot,
+    parseArgs,
+} = require("../create-version-snapshot");
+const { readSnapshotManifest, verifySnapshotManifest } = require("../snapshot-manifest");
+
+const version = "3.0.0-beta.38+abcdef123456";
+
+// Answers --version, tools list and tools list --namespace-mode like azmcp. The
+// description of "acr registry list" contains a raw 0x1A character.
+const fakeAzmcpSource = `
+const args = process.argv.slice(2).join(" ");
+if (process.env.FAKE_AZMCP_FAIL === args) {
+    console.error("Simulated failure");
+    process.exit(3);
+}
+if (args === "--version") {
+    console.log(${JSON.stringify(version)});
+} else if (args === "tools list") {
+    process.stdout.write('{"status":200,"message":"Success","results":[' +
+        '{"id":"1","name":"list","description":"List registries.\\u001A","command":"acr registry list","option":[]},' +
+        '{"id":"2","name":"get","description":"Get a secret.","command":"keyvault secret get","option":[]},' +
+        '{"id":"3","name":"run","description":"Run.","command":"unknown run","option":[]}]}\\n');
+} else if (args === "tools list --namespace-mode") {
+    console.log(JSON.stringify({ status: 200, message: "Success", results: [
+        { id: "", name: "acr", description: "Registries.", command: "acr" },
+        { id: "", name: "keyvault", description: "Key Vault.", command: "keyvault" },
+    ] }));
+} else {
+    console.error("Unknown command: " + args);
+    process.exit(1);
+}
+`;
+
+const brandMappings = [
+    { brandName: "Azure Container Registry", mcpServerName: "acr", shortName: "ACR", fileName: "azure-container-registry" },
+    { brandName: "Azure Key Vault", mcpServerName: "keyvault", shortName: "Key Vault", fileName: "azure-key-vault" },
+];
+
+async function createFixture(t) {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), "azmcp-extractor-test-"));
+    t.after(() => fs.rm(directory, { recursive: true, force: true }));
+    const rootDir = path.join(directory, "mcp-cli-metadata");
+    await fs.mkdir(rootDir);
+    const azmcpPath = path.join(directory, "fake-azmcp.js");
+    await fs.writeFile(azmcpPath, fakeAzmcpSource);
+    const brandMappingPath = path.join(directory, "brand-to-server-mapping.json");
+    await fs.writeFile(brandMappingPath, JSON.stringify(brandMappings));
+    return { directory, rootDir, azmcpPath, brandMappingPath };
+}
+
+async function readJson(filePath) {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+}
+
+test("strips raw control characters inside JSON strings only", () => {
+    assert.equal(
+        stripInvalidControlCharacters('{\n\t"a": "x\u001Ay\\u001A\\"\u0085",\r\n"b": 1}'),
+        '{\n\t"a": "xy\\u001A\\"",\r\n"b": 1}',
+    );
+});
+
+test("writes the four metadata artifacts from azmcp output", async (t) => {
+    const { directory, rootDir, azmcpPath, brandMappingPath } = await createFixture(t);
+    const outputDirectory = path.join(directory, "output");
+    const messages = [];
+
+    const invocation = await runAzmcpExtractor(outputDirectory, {
+        rootDir,
+        azmcpPath,
+        brandMappingPath,
+        log: (message) => messages.push(message),
+    });
+
+    const cliDirectory = path.join(outputDirectory, "cli");
+    assert.deepEqual((await fs.readdir(cliDirectory)).sort(), [...REQUIRED_ARTIFACTS].sort());
+    assert.deepEqual(await readJson(path.join(cliDirectory, "cli-version.json")), { version });
+    const cliOutput = await readJson(path.join(cliDirectory, "cli-output.json"));
+    assert.equal(cliOutput.results[0].description, "List registries.");
+    assert.equal(cliOutput.results.length, 3);
+    assert.deepEqual(
+        (await readJson(path.join(cliDirectory, "cli-namespace.json"))).results.map((namespace) => namespace.name),
+        ["acr", "keyvault"],
+    );
+
+    const mapping = await readJson(path.join(cliDirectory, "namespace-mapping.json"));
+    assert.equal(mapping.source_version, version);
+    assert.equal(mapping.namespace_count, 2);
+    assert.equal(mapping.tool_count, 2);
+    assert.deepEqual(mapping.namespaces.acr, {
+        display_name: "Azure Container Registry",
+        file_name: "azure-container-registry",
+        short_name: "ACR",
+        merge_group: null,
+        tools: ["list"],
+    });
+    assert.deepEqual(mapping.namespaces.keyvault.tools, ["get"]);
+    assert.deepEqual(mapping.unmatched_tools, ["run"]);
+    assert.ok(messages.includes("⚠️  Warning: 1 tools did not match any namespace prefix"));
+
+    assert.deepEqual(invocation, {
+        command: "fake-azmcp.js",
+        args: ["--version", "tools list", "tools list --namespace-mode"],
+        exitCode: 0,
+    });
+});
+
+test("creates a version snapshot with the azmcp extractor", async (t) => {
+    const { rootDir, azmcpPath, brandMappingPath } = await createFixture(t);
+
+    const versionDirectory = await createVersionSnapshot({
+        rootDir,
+        runExtractor: (temporaryOutputDirectory) => runAzmcpExtractor(temporaryOutputDirectory, {
+            rootDir,
+            azmcpPath,
+            brandMappingPath,
+        }),
+    });
+
+    assert.equal(versionDirectory, path.join(rootDir, version));
+    assert.deepEqual(await verifySnapshotManifest(versionDirectory), []);
+    assert.equal((await readSnapshotManifest(versionDirectory)).extractor.command, "fake-azmcp.js");
+    assert.equal(await fs.readFile(path.join(rootDir, "tracked-version.txt"), "utf8"), "3.0.0-beta.38\n");
+});
+
+test("reports azmcp failures with the command and its error output", async (t) => {
+    const { directory, rootDir, azmcpPath, brandMappingPath } = await createFixture(t);
+    process.env.FAKE_AZMCP_FAIL = "tools list --namespace-mode";
+    t.after(() => delete process.env.FAKE_AZMCP_FAIL);
+
+    await assert.rejects(
+        runAzmcpExtractor(path.join(directory, "output"), { rootDir, azmcpPath, brandMappingPath }),
+        /azmcp tools list --namespace-mode failed with exit code 3: Simulated failure/,
+    );
+});
+
+test("resolves azmcp from the @azure/mcp package", async (t) => {
+    const { rootDir } = await createFixture(t);
+
+    await assert.rejects(resolveAzmcp({ rootDir }), /@azure\/mcp is not installed/);
+    await assert.rejects(resolveAzmcp({ rootDir, azmcpPath: path.join(rootDir, "missing") }), /azmcp not found/);
+
+    const packageDirectory = path.join(rootDir, "node_modules", "@azure", "mcp");
+    await fs.mkdir(packageDirectory, { recursive: true });
+    await fs.writeFile(path.join(packageDirectory, "package.json"), JSON.stringify({ bin: { azmcp: "index.js" } }));
+    await fs.writeFile(path.join(packageDirectory, "index.js"), "");
+
+    assert.deepEqual(await resolveAzmcp({ rootDir }), {
+        path: path.join(packageDirectory, "index.js"),
+        command: process.execPath,
+        prefixArgs: [path.join(packageDirectory, "index.js")],
+    });
+});
+
+test("parses the snapshot extractor options", () => {
+    assert.equal(parseArgs([]).extractor, "dotnet");
+    assert.equal(parseArgs(["--extractor", "azmcp"]).extractor, "azmcp");
+    assert.deepEqual(
+        [parseArgs(["--azmcp", "bin/azmcp"]).extractor, parseArgs(["--azmcp", "bin/azmcp"]).azmcpPath],
+        ["azmcp", "bin/azmcp"],
+    );
+    assert.throws(() => parseArgs(["--extractor", "python"]), /Unknown extractor "python"/);
+    assert.throws(() => parseArgs(["--extractor", "dotnet", "--azmcp", "azmcp"]), /--azmcp can only be used/);
+});
@@ -0,0 +1,146 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs/promises");
+const os = require("node:os");
+const path = require("node:path");
+const test = require("node:test");
+
+const {
+    checkAnnotationFlips,
+    findAnnotationFlips,
+    parseArguments,
+    waiveFlips,
+} = require("../check-annotation-flips");
+
+function tool(command, flags) {
+    const metadata = {};
+    for (const [flag, value] of Object.entries(flags)) {
+        metadata[flag] = { value, description: "" };
+    }
+    return { command, description: "", option: [], metadata };
+}
+
+async function writeSnapshot(rootDir, version, tools) {
+    const directory = path.join(rootDir, version);
+    await fs.mkdir(directory);
+    await fs.writeFile(path.join(directory, "cli-version.json"), JSON.stringify({ version }));
+    await fs.writeFile(path.join(directory, "cli-output.json"), JSON.stringify({ status: 200, results: tools }));
+}
+
+test("reports each flipped safety flag and treats a missing flag as false", () => {
+    const flips = findAnnotationFlips(
+        {
+            tools: [
+                tool("storage account delete", { destructive: false, readOnly: true }),
+                tool("keyvault secret get", { secret: true }),
+                tool("acr registry list", { readOnly: true }),
+            ],
+        },
+        {
+            tools: [
+                tool("storage account delete", { destructive: true, readOnly: false }),
+                tool("keyvault secret get", {}),
+                tool("acr registry list", { readOnly: true }),
+                tool("acr registry get", { destructive: true }),
+            ],
+        },
+    );
+
+    assert.deepEqual(flips, [
+        { tool: "keyvault secret get", flag: "secret", from: true, to: false },
+        { tool: "storage account delete", flag: "destructive", from: false, to: true },
+        { tool: "storage account delete", flag: "readOnly", from: true, to: false },
+    ]);
+});
+
+test("waivers match the annotation file and tool, optionally by flag, with the verifier rules", () => {
+    const flips = [
+        { tool: "storage account delete", flag: "destructive", from: false, to: true },
+        { tool: "storage account delete", flag: "readOnly", from: true, to: false },
+        { tool: "sql db update", flag: "idempotent", from: true, to: false },
+    ];
+    const waiver = (fields) => ({ ruleId: "annotation-safety-flip", ...fields });
+    const storageFile = "includes/tools/annotations/azure-storage-account-delete-annotations.md";
+    const sqlFile = "includes/tools/annotations/azure-sql-database-db-update-annotations.md";
+
+    const { failures, waived, problems } = waiveFlips(flips, [
+        waiver({ number: 1, file: storageFile, tool: "storage account delete", flag: "destructive", reason: "Docs updated." }),
+        waiver({ number: 2, file: sqlFile, tool: "sql db update", reason: "Upstream fix.", expires: "2026-07-01" }),
+        waiver({ number: 3, file: storageFile, tool: "storage account delete", flag: "readOnly" }),
+        waiver({ number: 4, file: sqlFile, tool: "sql db update", reason: "Old.", expires: "2026-05-31" }),
+        waiver({ number: 5, file: storageFile, tool: "storage account delete", flag: "secret", reason: "Stale." }),
+    ], { now: new Date("2026-06-15T12:00:00Z") });
+
+    assert.deepEqual(failures.map((finding) => [finding.file, finding.tool, finding.flag, finding.message]), [
+        [storageFile, "storage account delete", "readOnly", "storage account delete: readOnly true → false"],
+    ]);
+    assert.deepEqual(waived.map((finding) => [finding.tool, finding.flag, finding.waiver]), [
+        ["storage account delete", "destructive", { reason: "Docs updated.", expires: null }],
+        ["sql db update", "idempotent", { reason: "Upstream fix.", expires: "2026-07-01" }],
+    ]);
+    assert.deepEqual(problems, [
+        `Waiver 3 (\`annotation-safety-flip\` for \`${storageFile}\`, tool \`storage account delete\`, flag \`readOnly\`) has no reason`,
+        `Waiver 4 (\`annotation-safety-flip\` for \`${sqlFile}\`, tool \`sql db update\`) expired on 2026-05-31: Old.`,
+        `Waiver 5 (\`annotation-safety-flip\` for \`${storageFile}\`, tool \`storage account delete\`, flag \`secret\`) matches no finding; remove it`,
+    ]);
+});
+
+test("compares a new snapshot against the snapshot before it", async (t) => {
+    const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), "mcp-cli-flips-test-"));
+    t.after(() => fs.rm(rootDir, { recursive: true, force: true }));
+
+    await writeSnapshot(rootDir, "3.0.0-beta.5+aaa", [tool("sql db delete", { destructive: false })]);
+    await writeSnapshot(rootDir, "3.0.0-beta.6+bbb", [tool("sql db delete", { destructive: true })]);
+    // create-version-snapshot.js has already moved tracked-version.txt to the new snapshot
+    await fs.writeFile(path.join(rootDir, "tracked-version.txt"), "3.0.0-beta.6\n");
+    const waiversPath = path.join(rootDir, "validation-waivers.json");
+    await fs.writeFile(waiversPath, JSON.stringify({
+        schemaVersion: "1.0",
+        waivers: [{ ruleId: "another-rule", tool: "sql db delete", reason: "Unrelated." }],
+    }));
+
+    const result = await checkAnnotationFlips({ rootDir, snapshot: "3.0.0-beta.6", waiversPath });
+
+    assert.equal(result.fromVersion, "3.0.0-beta.5+aaa");
+    assert.equal(result.toVersion, "3.0.0-beta.6+bbb");
+    assert.deepEqual(result.failures, [{
+        ruleId: "annotation-safety-flip",
+        severity: "error",
+        file: "includes/tools/annotations/azure-sql-database-db-delete-annotations.md",
+        tool: "sql db delete",
+        flag: "destructive",
+        from: false,
+        to: true,
+        message: "sql db delete: destructive false → true",
+    }]);
+    assert.deepEqual(result.waived, []);
+    assert.deepEqual(result.problems, []);
+});
+
+test("resolves --previous through the catalog and refuses to compare a snapshot with itself", async (t) => {
+    const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), "mcp-cli-flips-test-"));
+    t.after(() => fs.rm(rootDir, { recursive: true, force: true }));
+
+    await writeSnapshot(rootDir, "3.0.0-beta.5+aaa", [tool("sql db delete", { destructive: false })]);
+    await writeSnapshot(rootDir, "3.0.0-beta.6+bbb", [tool("sql db delete", { destructive: false })]);
+    const waiversPath = path.join(rootDir, "no-waivers.json");
+
+    const result = await checkAnnotationFlips({ rootDir, snapshot: "3.0.0-beta.6+bbb", previous: "3.0.0-beta.5", waiversPath });
+    assert.equal(result.fromVersion, "3.0.0-beta.5+aaa");
+    assert.deepEqual(result.failures, []);
+
+    await assert.rejects(
+        checkAnnotationFlips({ rootDir, snapshot: "3.0.0-beta.6", previous: "3.0.0-beta.6+bbb", waiversPath }),
+        /Cannot compare 3\.0\.0-beta\.6\+bbb with itself/,
+    );
+    await assert.rejects(checkAnnotationFlips({ rootDir, snapshot: "3.0.0-beta.5", waiversPath }), /No snapshot before 3\.0\.0-beta\.5\+aaa/);
+    await assert.rejects(checkAnnotationFlips({ rootDir, snapshot: "9.9.9", waiversPath }), /No snapshot found for version 9\.9\.9/);
+});
+
+test("rejects options without a value", () => {
+    assert.deepEqual(parseArguments(["3.0.0-beta.6", "--previous", "3.0.0-beta.5"]), {
+        positional: ["3.0.0-beta.6"],
+        options: { previous: "3.0.0-beta.5" },
+    });
+    assert.throws(() => parseArguments(["3.0.0-beta.6", "--previous"]), /--previous requires a value/);
+    assert.throws(() => parseArguments(["3.0.0-beta.6", "--waivers", "--previous", "x"]), /--waivers requires a value/);
+});
@@ -8,11 +8,54 @@ const {
     REQUIRED_ARTIFACTS,
     createVersionSnapshot,
 } = require("../create-version-snapshot");
+const {
+    MANIFEST_FILE,
+    readSnapshotManifest,
+    verifySnapshotManifest,
+} = require("../snapshot-manifest");
+const { FINGERPRINTS_FILE } = require("../tool-fingerprints");
 
 async function createTempRoot() {
     return fs.mkdtemp(path.join(os.tmpdir(), "mcp-cli-snapshot-test-"));
 }
 
+function buildArtifacts(version) {
+    return {
+        "cli-version.json": { version },
+        "cli-output.json": {
+            status: 200,
+            message: "Success",
+            results: [{
+                id: "tool-1",
+                name: "list",
+                description: "List registries.",
+                command: "acr registry list",
+                option: [{ name: "--tenant", description: "The tenant.", type: "string" }],
+            }],
+        },
+        "cli-namespace.json": {
+            status: 200,
+            message: "Success",
+            results: [{ id: "", name: "acr", description: "Registries.", command: "acr" }],
+        },
+        "namespace-mapping.json": {
+            source_version: version,
+            namespace_count: 1,
+            tool_count: 1,
+            namespaces: { acr: { file_name: "azure-container-registry", tools: ["list"] } },
+            unmatched_tools: [],
+        },
+    };
+}
+
+async function writeArtifacts(cliDirectory, artifacts) {
+    await fs.mkdir(cliDirectory, { recursive: true });
+    await Promise.all(Object.entries(artifacts).map(([fileName, document]) => fs.writeFile(
+        path.join(cliDirectory, fileName),
+        JSON.stringify(document),
+    )));
+}
+
 test("creates a version-named directory containing the four metadata artifacts", async (t) => {
     const rootDir = await createTempRoot();
     t.after(() => fs.rm(rootDir, { recursive: true, force: true }));
@@ -23,22 +66,21 @@ test("creates a version-named directory containing the four metadata artifacts",
         rootDir,
         runExtractor: async (outputDirectory) => {
             temporaryOutputDirectory = outputDirectory;
-            const cliDirectory = path.join(temporaryOutputDirectory, "cli");
-            await fs.mkdir(cliDirectory, { recursive: true });
-            await Promise.all(REQUIRED_ARTIFACTS.map((fileName) => {
-                const contents = fileName === "cli-version.json"
-                    ? JSON.stringify({ version })
-                    : JSON.stringify({ fileName });
-                return fs.writeFile(path.join(cliDirectory, fileName), contents);
-            }));
+            await writeArtifacts(path.join(temporaryOutputDirectory, "cli"), buildArtifacts(version));
+            return { command: "fake-extractor", args: ["<output-directory>"], exitCode: 0 };
         },
     });
 
     assert.equal(outputDirectory, path.join(rootDir, version));
     assert.deepEqual(
         (await fs.readdir(outputDirectory)).sort(),
-        [...REQUIRED_ARTIFACTS].sort(),
+        [...REQUIRED_ARTIFACTS, FINGERPRINTS_FILE, MANIFEST_FILE].sort(),
     );
+    const manifest = await readSnapshotManifest(outputDirectory);
+    assert.deepEqual(Object.keys(manifest.artifacts), [...REQUIRED_ARTIFACTS, FINGERPRINTS_FILE].sort());
+    assert.equal(manifest.extractor.command, "fake-extractor");
+    assert.ok(manifest.extractor.startedAt <= manifest.extractor.completedAt);
+    assert.deepEqual(await verifySnapshotManifest(outputDirectory), []);
     assert.equal(
         JSON.parse(await fs.readFile(path.join(outputDirectory, "cli-version.json"), "utf8")).version,
         version,
@@ -110,3 +152,36 @@ test("removes temporary output when an artifact is missing", async (t) => {
     );
     await assert.rejects(fs.access(temporaryOutputDirectory));
 });
+
+test("rejects structurally invalid metadata before creating the version directory", async (t) => {
+    const rootDir = await createTempRoot();
+    t.after(() => fs.rm(rootDir, { recursive: true, force: true }));
+
+    const version = "3.0.0-beta.35+abcdef123456";
+    await fs.writeFile(path.join(rootDir, "tracked-version.txt"), "3.0.0-beta.34\n");
+    const artifacts = buildArtifacts(version);
+    artifacts["cli-output.json"].results.push({ ...artifacts["cli-output.json"].results[0] });
+    artifacts["namespace-mapping.json"].source_version = "3.0.0-beta.34+000000";
+
+    await assert.rejects(
+        createVersionSnapshot({
+            rootDir,
+            runExtractor: (temporaryOutputDirectory) => writeArtifacts(
+                path.join(temporaryOutputDirectory, "cli"),
+                artifacts,
+            ),
+        }),
+        (error) => {
+            assert.match(error.message, /Invalid CLI metadata/);
+            assert.match(error.message, /duplicate tool id "tool-1"/);
+            assert.match(error.message, /duplicate tool command "acr registry list"/);
+            assert.match(error.message, /source_version/);
+            return true;
+        },
+    );
+    await assert.rejects(fs.access(path.join(rootDir, version)));
+    assert.equal(
+        await fs.readFile(path.join(rootDir, "tracked-version.txt"), "utf8"),
+        "3.0.0-beta.34\n",
+    );
+});
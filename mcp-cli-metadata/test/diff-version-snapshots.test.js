@@ -0,0 +1,142 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs/promises");
+const os = require("node:os");
+const path = require("node:path");
+const test = require("node:test");
+
+const {
+    diffSnapshots,
+    parseArguments,
+    diffVersionSnapshots,
+    renderDiffMarkdown,
+} = require("../diff-version-snapshots");
+
+function snapshot(version, tools, namespaces = []) {
+    return { version, tools, namespaces };
+}
+
+test("reports added, removed and changed tools by command", () => {
+    const diff = diffSnapshots(
+        snapshot("1.0.0", [
+            {
+                command: "storage account list",
+                description: "List accounts.\r\nIncludes SKU.",
+                option: [
+                    { name: "--subscription", type: "string", description: "Subscription." },
+                    { name: "--top", type: "string", description: "Top." },
+                    { name: "--learn", type: "string", description: "Learn." },
+                ],
+            },
+            { command: "storage blob get", description: "Get a blob.", option: [] },
+        ]),
+        snapshot("1.1.0", [
+            {
+                command: "storage account list",
+                description: "List accounts.\nIncludes SKU.",
+                option: [
+                    { name: "--subscription", type: "string", description: "Subscription." },
+                    { name: "--top", type: "integer", description: "Top." },
+                    { name: "--resource-group", type: "string", description: "Group.", required: true },
+                ],
+            },
+            { command: "storage blob get", description: "Get one blob.", option: [] },
+            { command: "storage table list", description: "List tables.", option: [] },
+        ]),
+    );
+
+    assert.deepEqual(diff.tools.added, [
+        { command: "storage table list", description: "List tables." },
+    ]);
+    assert.deepEqual(diff.tools.removed, []);
+    assert.deepEqual(diff.tools.changed, [
+        {
+            command: "storage account list",
+            description: null,
+            options: {
+                added: [{ name: "--resource-group", type: "string", required: true }],
+                removed: [{ name: "--learn", type: "string", required: false }],
+                retyped: [{ name: "--top", from: "string", to: "integer" }],
+            },
+        },
+        {
+            command: "storage blob get",
+            description: { from: "Get a blob.", to: "Get one blob." },
+            options: { added: [], removed: [], retyped: [] },
+        },
+    ]);
+    assert.equal(diff.summary.changedTools, 2);
+});
+
+test("reports namespace changes from cli-namespace.json", () => {
+    const diff = diffSnapshots(
+        snapshot("1.0.0", [], [
+            { name: "acr", command: "acr", description: "Registries." },
+            { name: "old", command: "old", description: "Gone." },
+        ]),
+        snapshot("1.1.0", [], [
+            { name: "acr", command: "acr", description: "Container registries." },
+            { name: "new", command: "new", description: "Added." },
+        ]),
+    );
+
+    assert.deepEqual(diff.namespaces.added, [{ name: "new", command: "new", description: "Added." }]);
+    assert.deepEqual(diff.namespaces.removed, [{ name: "old", command: "old", description: "Gone." }]);
+    assert.deepEqual(diff.namespaces.changed, [{
+        name: "acr",
+        command: null,
+        description: { from: "Registries.", to: "Container registries." },
+    }]);
+});
+
+test("renders a Markdown report with one section per change type", () => {
+    const markdown = renderDiffMarkdown(diffSnapshots(
+        snapshot("1.0.0", [{ command: "acr registry list", description: "Old.", option: [] }]),
+        snapshot("1.1.0", [{ command: "acr registry get", description: "Get | one.", option: [] }]),
+    ));
+
+    assert.match(markdown, /^# CLI metadata changes: 1\.0\.0 → 1\.1\.0/);
+    assert.match(markdown, /## Added tools\n\n\| Command \| Description \|\n\|-+\|-+\|\n\| `acr registry get` \| Get \\\| one\. \|/);
+    assert.match(markdown, /## Removed tools[\s\S]*`acr registry list`/);
+    assert.doesNotMatch(markdown, /## Changed tools/);
+});
+
+test("loads two snapshot directories relative to the metadata root", async (t) => {
+    const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), "mcp-cli-diff-test-"));
+    t.after(() => fs.rm(rootDir, { recursive: true, force: true }));
+
+    for (const [version, commands] of [["1.0.0+a", ["acr registry list"]], ["1.1.0+b", []]]) {
+        const directory = path.join(rootDir, version);
+        await fs.mkdir(directory);
+        await fs.writeFile(path.join(directory, "cli-version.json"), JSON.stringify({ version }));
+        await fs.writeFile(path.join(directory, "cli-output.json"), JSON.stringify({
+            status: 200,
+            results: commands.map((command) => ({ command, description: "", option: [] })),
+        }));
+        await fs.writeFile(
+            path.join(directory, "cli-namespace.json"),
+            `\uFEFF${JSON.stringify({ status: 200, results: [] })}`,
+        );
+    }
+
+    const diff = await diffVersionSnapshots({ rootDir, from: "1.0.0+a", to: "1.1.0+b" });
+    assert.equal(diff.fromVersion, "1.0.0+a");
+    assert.equal(diff.toVersion, "1.1.0+b");
+    assert.deepEqual(diff.tools.removed, [{ command: "acr registry list", description: "" }]);
+
+    const byVersion = await diffVersionSnapshots({ rootDir, from: "1.0.0", to: "1.1.0" });
+    assert.equal(byVersion.fromVersion, "1.0.0+a");
+    assert.equal(byVersion.toVersion, "1.1.0+b");
+    await assert.rejects(
+        diffVersionSnapshots({ rootDir, from: "1.0.0", to: "9.9.9" }),
+        /No snapshot found for version 9\.9\.9/,
+    );
+});
+
+test("rejects report options without a path", () => {
+    assert.deepEqual(parseArguments(["1.0.0", "1.1.0", "--json", "out.json"]), {
+        positional: ["1.0.0", "1.1.0"],
+        options: { json: "out.json" },
+    });
+    assert.throws(() => parseArguments(["1.0.0", "1.1.0", "--json"]), /--json requires a value/);
+    assert.throws(() => parseArguments(["1.0.0", "--markdown", "--json", "out.json"]), /--markdown requires a value/);
+});
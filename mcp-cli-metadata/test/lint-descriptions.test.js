@@ -0,0 +1,142 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs/promises");
+const os = require("node:os");
+const path = require("node:path");
+const test = require("node:test");
+
+const {
+    lintDescriptions,
+    lintSnapshot,
+    lintText,
+    loadLintData,
+} = require("../lint-descriptions");
+
+const dataFiles = {
+    "acronym-definitions.json": [
+        {
+            Acronym: "MCP",
+            Expansion: "Model Context Protocol",
+            ContextPattern: "Azure MCP Server",
+            ExpandedForm: "Azure Model Context Protocol (MCP) Server",
+        },
+        { Acronym: "VM", Expansion: "virtual machine" },
+        { Acronym: "AKS", Expansion: "Azure Kubernetes Service" },
+    ],
+    "compound-words.json": { eventhub: "event-hub", hostpool: "host-pool", fs: "file-system", runtime: "run-time" },
+    "stop-words.json": ["a", "or", "and", "the", "in"],
+    "static-text-replacement.json": [
+        { Parameter: "e.g.", NaturalLanguage: "for example" },
+        { Parameter: "VMSS", NaturalLanguage: "Virtual machine scale set (VMSS)" },
+        { Parameter: "via", NaturalLanguage: "through" },
+    ],
+};
+
+async function writeDataDirectory(directory) {
+    await fs.mkdir(directory, { recursive: true });
+    for (const [fileName, document] of Object.entries(dataFiles)) {
+        await fs.writeFile(path.join(directory, fileName), `\uFEFF${JSON.stringify(document)}`);
+    }
+    return directory;
+}
+
+async function createFixture(t) {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), "mcp-cli-lint-test-"));
+    t.after(() => fs.rm(directory, { recursive: true, force: true }));
+    return { directory, data: await loadLintData(await writeDataDirectory(path.join(directory, "data"))) };
+}
+
+function rules(result) {
+    return result.findings.map((finding) => finding.rule);
+}
+
+test("normalizes line breaks, whitespace, data-driven wording and terminal punctuation", async (t) => {
+    const { data } = await createFixture(t);
+
+    const result = lintText(
+        "Lists  hostpools via the API, e.g. for a VM\r\nscale set:\r\n\r\n- One VMSS\r\n- Two Eventhubs\r\n",
+        data,
+    );
+
+    assert.deepEqual(rules(result), [
+        "line-ending",
+        "hard-wrap",
+        "whitespace",
+        "static-text",
+        "static-text",
+        "static-text",
+        "compound-word",
+        "compound-word",
+        "undefined-acronym",
+        "terminal-punctuation",
+    ]);
+    assert.equal(
+        result.suggestion,
+        "Lists host pools through the API, for example for a virtual machine (VM) scale set:\n\n"
+        + "- One Virtual machine scale set (VMSS)\n- Two Event hubs.",
+    );
+    assert.deepEqual(lintText(result.suggestion, data).findings, []);
+});
+
+test("leaves code spans, defined acronyms and filename-only compound words alone", async (t) => {
+    const { data } = await createFixture(t);
+
+    assert.deepEqual(lintText("Runs `azmcp eventhub list via VM` in the runtime of an fs share.", data).findings, []);
+    assert.deepEqual(lintText("Resize a virtual machine (VM). Stop the VM first?", data).findings, []);
+    assert.deepEqual(lintText("Start a VM.", data, { checkAcronyms: false }).findings, []);
+    assert.equal(lintText("AKS clusters in the Azure MCP Server.", data).suggestion,
+        "Azure Kubernetes Service (AKS) clusters in the Azure Model Context Protocol (MCP) Server.");
+    assert.equal(lintText("The resource group (Default: none):", data).suggestion, "The resource group (Default: none).");
+    assert.deepEqual(rules(lintText("  \r\n", data)), ["empty-description"]);
+});
+
+test("reports shared option descriptions once and flags reworded variants", async (t) => {
+    const { data } = await createFixture(t);
+    const resourceGroup = (description) => ({ name: "--resource-group", type: "string", description });
+    const snapshot = {
+        version: "3.0.0-beta.2",
+        tools: [
+            { command: "storage account list", description: "List accounts.", option: [resourceGroup("The resource group")] },
+            { command: "acr registry list", description: "List registries", option: [resourceGroup("The resource group")] },
+            { command: "aks cluster list", description: "List clusters.", option: [resourceGroup("Resource group.")] },
+            { command: "sql server list", description: "List servers.", option: [resourceGroup("Name of the server's group.")] },
+        ],
+    };
+
+    const report = lintSnapshot(snapshot, data);
+
+    assert.deepEqual(report.tools.map((entry) => [entry.command, rules(entry), entry.suggestion]), [
+        ["acr registry list", ["terminal-punctuation"], "List registries."],
+    ]);
+    assert.deepEqual(report.options.map((entry) => [entry.description, entry.tools, rules(entry), entry.suggestion]), [
+        ["Resource group.", ["aks cluster list"], ["option-description-variant"], "The resource group."],
+        ["The resource group", ["acr registry list", "storage account list"], ["terminal-punctuation"], "The resource group."],
+    ]);
+    assert.equal(report.summary.findings, 3);
+    assert.equal(report.summary.rules["option-description-variant"], 1);
+});
+
+test("lints the tracked snapshot or a requested version", async (t) => {
+    const { directory } = await createFixture(t);
+    const rootDir = path.join(directory, "snapshots");
+    const writeSnapshot = async (version, description) => {
+        const snapshotDirectory = path.join(rootDir, version);
+        await fs.mkdir(snapshotDirectory, { recursive: true });
+        await fs.writeFile(path.join(snapshotDirectory, "cli-version.json"), JSON.stringify({ version }));
+        await fs.writeFile(path.join(snapshotDirectory, "cli-output.json"), JSON.stringify({
+            status: 200,
+            results: [{ command: "acr registry list", description, option: [] }],
+        }));
+    };
+    await writeSnapshot("3.0.0-beta.1+aaa", "List registries.");
+    await writeSnapshot("3.0.0-beta.2+bbb", "List registries via ARM");
+    await fs.writeFile(path.join(rootDir, "tracked-version.txt"), "3.0.0-beta.1\n");
+    const dataDirectory = path.join(directory, "data");
+
+    const tracked = await lintDescriptions({ rootDir, dataDirectory });
+    assert.equal(tracked.version, "3.0.0-beta.1+aaa");
+    assert.deepEqual(tracked.tools, []);
+
+    const latest = await lintDescriptions({ rootDir, dataDirectory, version: "3.0.0-beta.2" });
+    assert.deepEqual(latest.tools.map((entry) => entry.suggestion), ["List registries through ARM."]);
+    await assert.rejects(lintDescriptions({ rootDir, dataDirectory, version: "9.9.9" }), /No snapshot found for version 9\.9\.9/);
+});
@@ -0,0 +1,237 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs/promises");
+const os = require("node:os");
+const path = require("node:path");
+const test = require("node:test");
+
+const {
+    convertMcpTool,
+    listMcpTools,
+    runMcpExtractor,
+    startMcpClient,
+} = require("../mcp-extractor");
+const { REQUIRED_ARTIFACTS, createVersionSnapshot, parseArgs } = require("../create-version-snapshot");
+const { verifySnapshotManifest } = require("../snapshot-manifest");
+const { validateSnapshotDirectory } = require("../validate-cli-output");
+
+// A tiny MCP server over stdio. It logs to stdout and pings the client before
+// answering initialize, and returns tools/list in pages of one tool.
+// FAKE_MCP_MODE=no-tools omits the tools capability; FAKE_MCP_MODE=loop repeats the cursor.
+const fakeServerSource = `
+const readline = require("node:readline");
+const mode = process.env.FAKE_MCP_MODE;
+const tools = [
+    {
+        name: "azmcp_acr_registry_list",
+        description: "List registries.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                subscription: { type: "string", description: "The subscription." },
+                resourceGroup: { type: ["string", "null"], description: "The resource group." },
+            },
+            required: ["subscription"],
+        },
+        annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: false },
+    },
+    {
+        name: "azmcp_keyvault_secret_get",
+        description: "Get a secret.",
+        inputSchema: { type: "object", properties: { max_results: { type: "integer", description: "The limit." } } },
+    },
+];
+const send = (message) => process.stdout.write(JSON.stringify({ jsonrpc: "2.0", ...message }) + "\\n");
+readline.createInterface({ input: process.stdin }).on("line", (line) => {
+    const message = JSON.parse(line);
+    if (message.method === "initialize") {
+        console.log("fake server starting");
+        send({ method: "notifications/message", params: { level: "info", data: "hello" } });
+        send({ id: "server-1", method: "ping" });
+        send({ id: message.id, result: {
+            protocolVersion: message.params.protocolVersion,
+            capabilities: mode === "no-tools" ? {} : { tools: {} },
+            serverInfo: { name: "fake-mcp", version: "1.2.3" },
+        } });
+    } else if (message.method === "tools/list") {
+        const index = mode === "loop" ? 0 : Number(message.params.cursor ?? 0);
+        send({ id: message.id, result: {
+            tools: [tools[index]],
+            ...(index + 1 < tools.length ? { nextCursor: String(index + 1) } : {}),
+        } });
+    } else if (message.id !== undefined && message.method) {
+        send({ id: message.id, error: { code: -32601, message: "Method not found" } });
+    } else if (message.id === "server-1") {
+        process.stderr.write("ping answered\\n");
+    }
+});
+`;
+
+const brandMappings = [
+    { brandName: "Azure Container Registry", mcpServerName: "acr", shortName: "ACR", fileName: "azure-container-registry" },
+];
+
+async function createFixture(t) {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), "mcp-extractor-test-"));
+    t.after(() => fs.rm(directory, { recursive: true, force: true }));
+    const serverPath = path.join(directory, "fake-mcp-server.js");
+    await fs.writeFile(serverPath, fakeServerSource);
+    const brandMappingPath = path.join(directory, "brand-to-server-mapping.json");
+    await fs.writeFile(brandMappingPath, JSON.stringify(brandMappings));
+    return { directory, serverPath, brandMappingPath };
+}
+
+async function readJson(filePath) {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+}
+
+test("converts an MCP tool into the cli-output.json shape", () => {
+    assert.deepEqual(convertMcpTool({
+        name: "azmcp_storage_blob_get",
+        description: "Get a blob.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                accountName: { type: "string", description: "The account." },
+                "blob-name": { description: "The blob." },
+            },
+            required: ["blob-name"],
+        },
+        annotations: { readOnlyHint: true },
+    }, { toolPrefix: "azmcp_" }), {
+        id: "azmcp_storage_blob_get",
+        name: "get",
+        description: "Get a blob.",
+        command: "storage blob get",
+        option: [
+            { name: "--account-name", description: "The account.", type: "string" },
+            { name: "--blob-name", description: "The blob.", type: "string", required: true },
+        ],
+        metadata: {
+            destructive: { value: true },
+            idempotent: { value: false },
+            openWorld: { value: true },
+            readOnly: { value: true },
+        },
+    });
+});
+
+test("pages through tools/list after the initialize handshake", async (t) => {
+    const { serverPath } = await createFixture(t);
+    const client = startMcpClient(process.execPath, [serverPath]);
+    t.after(() => client.close());
+
+    const { initializeResult, tools } = await listMcpTools(client);
+
+    assert.equal(initializeResult.serverInfo.version, "1.2.3");
+    assert.deepEqual(tools.map((tool) => tool.name), ["azmcp_acr_registry_list", "azmcp_keyvault_secret_get"]);
+    assert.deepEqual(await client.close(), { exitCode: 0, signal: null });
+});
+
+test("writes the four metadata artifacts from an MCP server", async (t) => {
+    const { directory, serverPath, brandMappingPath } = await createFixture(t);
+    const outputDirectory = path.join(directory, "output");
+
+    const invocation = await runMcpExtractor(outputDirectory, {
+        command: process.execPath,
+        args: [serverPath],
+        toolPrefix: "azmcp_",
+        brandMappingPath,
+    });
+
+    const cliDirectory = path.join(outputDirectory, "cli");
+    assert.deepEqual((await fs.readdir(cliDirectory)).sort(), [...REQUIRED_ARTIFACTS].sort());
+    assert.deepEqual(await readJson(path.join(cliDirectory, "cli-version.json")), { version: "1.2.3" });
+    const cliOutput = await readJson(path.join(cliDirectory, "cli-output.json"));
+    assert.deepEqual(cliOutput.results.map((tool) => tool.command), ["acr registry list", "keyvault secret get"]);
+    assert.deepEqual(cliOutput.results[0].option, [
+        { name: "--subscription", description: "The subscription.", type: "string", required: true },
+        { name: "--resource-group", description: "The resource group.", type: "string" },
+    ]);
+    assert.deepEqual(cliOutput.results[0].metadata.readOnly, { value: true });
+    assert.deepEqual(cliOutput.results[1].option, [{ name: "--max-results", description: "The limit.", type: "integer" }]);
+    assert.deepEqual(
+        (await readJson(path.join(cliDirectory, "cli-namespace.json"))).results.map((namespace) => namespace.name),
+        ["acr", "keyvault"],
+    );
+    const mapping = await readJson(path.join(cliDirectory, "namespace-mapping.json"));
+    assert.deepEqual(mapping.namespaces.acr.tools, ["list"]);
+    assert.deepEqual(mapping.unmatched_tools, ["get"]);
+    assert.deepEqual(await validateSnapshotDirectory(cliDirectory), []);
+
+    assert.equal(invocation.protocolVersion, "2025-06-18");
+    assert.deepEqual(invocation.server, { name: "fake-mcp", version: "1.2.3" });
+});
+
+test("creates a version snapshot with the MCP extractor", async (t) => {
+    const { directory, serverPath, brandMappingPath } = await createFixture(t);
+    const rootDir = path.join(directory, "snapshots");
+    await fs.mkdir(rootDir);
+
+    await fs.writeFile(path.join(rootDir, "tracked-version.txt"), "1.0.0\n");
+    let previousDirectory;
+
+    const versionDirectory = await createVersionSnapshot({
+        rootDir,
+        runExtractor: (temporaryOutputDirectory) => runMcpExtractor(temporaryOutputDirectory, {
+            command: process.execPath,
+            args: [serverPath],
+            brandMappingPath,
+        }),
+        trackVersion: false,
+        afterCreate: (step) => {
+            previousDirectory = step.previousDirectory;
+        },
+    });
+
+    assert.equal(versionDirectory, path.join(rootDir, "1.2.3"));
+    assert.equal(previousDirectory, null);
+    assert.equal(await fs.readFile(path.join(rootDir, "tracked-version.txt"), "utf8"), "1.0.0\n");
+    assert.deepEqual(await verifySnapshotManifest(versionDirectory), []);
+    assert.equal(
+        (await readJson(path.join(versionDirectory, "cli-output.json"))).results[0].command,
+        "azmcp acr registry list",
+    );
+});
+
+test("reports servers without tools, cursor loops and failed launches", async (t) => {
+    const { directory, serverPath, brandMappingPath } = await createFixture(t);
+    const extract = (options) => runMcpExtractor(path.join(directory, "output"), {
+        command: process.execPath,
+        args: [serverPath],
+        brandMappingPath,
+        ...options,
+    });
+
+    await assert.rejects(
+        extract({ env: { ...process.env, FAKE_MCP_MODE: "no-tools" } }),
+        /does not declare the tools capability/,
+    );
+    await assert.rejects(
+        extract({ env: { ...process.env, FAKE_MCP_MODE: "loop" } }),
+        /returned cursor "1" twice/,
+    );
+    await assert.rejects(
+        extract({ args: ["-e", "process.exit(4)"] }),
+        /MCP server .* exited with code 4/,
+    );
+    await assert.rejects(
+        extract({ command: path.join(directory, "missing-server") }),
+        /Unable to start MCP server/,
+    );
+});
+
+test("parses the MCP server command after --", () => {
+    const options = parseArgs(["--tool-prefix", "azmcp_", "--root", "snapshots", "--", "npx", "-y", "@azure/mcp", "server", "start", "--mode", "all"]);
+
+    assert.equal(options.extractor, "mcp");
+    assert.deepEqual(options.serverCommand, ["npx", "-y", "@azure/mcp", "server", "start", "--mode", "all"]);
+    assert.equal(options.toolPrefix, "azmcp_");
+    assert.equal(options.rootDir, path.resolve("snapshots"));
+    assert.throws(() => parseArgs(["--extractor", "mcp"]), /requires the MCP server command after --/);
+    assert.throws(() => parseArgs(["--", "npx", "@azure/mcp"]), /requires --root <directory>/);
+    assert.throws(
+        () => parseArgs(["--root", path.join(__dirname, ".."), "--", "npx", "@azure/mcp"]),
+        /cannot write into the azmcp snapshots/,
+    );
+    assert.throws(() => parseArgs(["--tool-prefix", "azmcp_"]), /can only be used with --extractor mcp/);
+});
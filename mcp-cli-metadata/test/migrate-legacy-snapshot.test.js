@@ -0,0 +1,123 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs/promises");
+const os = require("node:os");
+const path = require("node:path");
+const test = require("node:test");
+
+const { migrateLegacySnapshot } = require("../migrate-legacy-snapshot");
+const { buildNamespaceMapping } = require("../namespace-mapping");
+const { MANIFEST_FILE } = require("../snapshot-manifest");
+const { loadSnapshot } = require("../snapshot-reader");
+const { validateSnapshotDirectory } = require("../validate-cli-output");
+
+const brandMappings = [
+    { brandName: "Azure Container Registry", mcpServerName: "acr", shortName: "ACR", fileName: "azure-container-registry" },
+    { brandName: "Azure Advisor", mcpServerName: "extension", shortName: "Extension", fileName: "azure-extension" },
+    { brandName: "Azure Quick Review CLI", mcpServerName: "extension_azqr", shortName: "azqr", fileName: "azure-quick-review", mergeGroup: "azure-extension" },
+];
+
+const legacyTools = {
+    status: 200,
+    message: "Success",
+    results: [
+        { id: "1", name: "list", command: "acr registry list", description: "List registries.", option: [] },
+        { id: "2", name: "azqr", command: "extension azqr", description: "Run azqr.", option: [] },
+        { id: "3", name: "query", command: "extension cli generate", description: "Generate.", option: [] },
+        { id: "4", name: "subscribe", command: "eventgrid subscription list", description: "List.", option: [] },
+    ],
+};
+
+async function createLegacySnapshot(t) {
+    const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), "mcp-cli-migrate-test-"));
+    t.after(() => fs.rm(rootDir, { recursive: true, force: true }));
+    const directory = path.join(rootDir, "2.0.0-beta.21+abc");
+    await fs.mkdir(directory);
+    await fs.writeFile(path.join(directory, "tools-list.json"), JSON.stringify(legacyTools, null, 2));
+    const brandMappingPath = path.join(rootDir, "brand-to-server-mapping.json");
+    await fs.writeFile(brandMappingPath, JSON.stringify(brandMappings));
+    return { directory, brandMappingPath };
+}
+
+test("assigns tools to the longest matching server name", () => {
+    const mapping = buildNamespaceMapping({
+        brandMappings,
+        tools: legacyTools.results,
+        version: "2.0.0-beta.21+abc",
+        generatedAt: "2025-01-01T00:00:00.000Z",
+    });
+
+    assert.deepEqual(mapping.namespaces.extension_azqr.tools, ["azqr"]);
+    assert.equal(mapping.namespaces.extension_azqr.merge_group, "azure-extension");
+    assert.deepEqual(mapping.namespaces.extension.tools, ["query"]);
+    assert.deepEqual(mapping.unmatched_tools, ["subscribe"]);
+    assert.equal(mapping.namespace_count, 3);
+    assert.equal(mapping.tool_count, 3);
+});
+
+test("loads a legacy snapshot from tools-list.json", async (t) => {
+    const { directory } = await createLegacySnapshot(t);
+
+    const snapshot = await loadSnapshot(directory);
+
+    assert.equal(snapshot.version, "2.0.0-beta.21+abc");
+    assert.deepEqual(snapshot.tools, legacyTools.results);
+    assert.equal(snapshot.namespaces, null);
+});
+
+test("derives the current artifact layout and marks derived fields", async (t) => {
+    const { directory, brandMappingPath } = await createLegacySnapshot(t);
+
+    assert.deepEqual(
+        await migrateLegacySnapshot(directory, { brandMappingPath, dryRun: true }),
+        ["cli-version.json", "cli-output.json", "cli-namespace.json", "namespace-mapping.json"],
+    );
+    assert.deepEqual(await fs.readdir(directory), ["tools-list.json"]);
+
+    await migrateLegacySnapshot(directory, { brandMappingPath });
+
+    assert.deepEqual(await validateSnapshotDirectory(directory), []);
+    assert.deepEqual(
+        await fs.readFile(path.join(directory, "cli-output.json")),
+        await fs.readFile(path.join(directory, "tools-list.json")),
+    );
+    const versionDocument = JSON.parse(await fs.readFile(path.join(directory, "cli-version.json"), "utf8"));
+    assert.equal(versionDocument.version, "2.0.0-beta.21+abc");
+    assert.deepEqual(versionDocument.derived.fields, ["version"]);
+    const namespaceDocument = JSON.parse(await fs.readFile(path.join(directory, "cli-namespace.json"), "utf8"));
+    assert.deepEqual(namespaceDocument.results.map((namespace) => namespace.name), [
+        "acr",
+        "eventgrid",
+        "extension",
+        "extension_azqr",
+    ]);
+    assert.deepEqual(namespaceDocument.derived.fields, ["results"]);
+    const mapping = JSON.parse(await fs.readFile(path.join(directory, "namespace-mapping.json"), "utf8"));
+    assert.equal(mapping.source_version, "2.0.0-beta.21+abc");
+    assert.deepEqual(mapping.derived.sources, ["tools-list.json", "brand-to-server-mapping.json"]);
+
+    assert.deepEqual(await migrateLegacySnapshot(directory, { brandMappingPath }), []);
+});
+
+test("only fills in the artifacts a partial snapshot is missing", async (t) => {
+    const { directory, brandMappingPath } = await createLegacySnapshot(t);
+    await fs.rename(path.join(directory, "tools-list.json"), path.join(directory, "cli-output.json"));
+    await fs.writeFile(path.join(directory, "cli-version.json"), "{\"version\":\"2.0.0-beta.21+abc\"}");
+
+    const written = await migrateLegacySnapshot(directory, { brandMappingPath });
+
+    assert.deepEqual(written, ["cli-namespace.json", "namespace-mapping.json"]);
+    assert.equal(await fs.readFile(path.join(directory, "cli-version.json"), "utf8"), "{\"version\":\"2.0.0-beta.21+abc\"}");
+    const mapping = JSON.parse(await fs.readFile(path.join(directory, "namespace-mapping.json"), "utf8"));
+    assert.deepEqual(mapping.derived.sources, ["cli-output.json", "brand-to-server-mapping.json"]);
+});
+
+test("refuses to migrate a snapshot that has a manifest", async (t) => {
+    const { directory, brandMappingPath } = await createLegacySnapshot(t);
+    await fs.writeFile(path.join(directory, MANIFEST_FILE), "{\"formatVersion\":1,\"artifacts\":{}}");
+
+    await assert.rejects(
+        migrateLegacySnapshot(directory, { brandMappingPath }),
+        /Snapshot 2\.0\.0-beta\.21\+abc has snapshot-manifest\.json but is missing cli-version\.json, cli-output\.json/,
+    );
+    assert.deepEqual(await fs.readdir(directory), [MANIFEST_FILE, "tools-list.json"].sort());
+});
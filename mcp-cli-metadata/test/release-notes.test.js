@@ -0,0 +1,241 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs/promises");
+const os = require("node:os");
+const path = require("node:path");
+const test = require("node:test");
+
+const { createVersionSnapshot, parseArgs } = require("../create-version-snapshot");
+const {
+    buildReleaseNotes,
+    createReleaseNotesStep,
+    generateReleaseNotes,
+    renderReleaseNotes,
+} = require("../release-notes");
+
+function metadata(flags = {}) {
+    return Object.fromEntries(["destructive", "idempotent", "openWorld", "readOnly", "secret", "localRequired"]
+        .map((flag) => [flag, { value: flags[flag] === true }]));
+}
+
+function tool(id, command, { description = "Does things. More detail.", option = [], flags } = {}) {
+    return { id, name: command.split(" ").at(-1), description, command, option, metadata: metadata(flags) };
+}
+
+function namespace(displayName, fileName, tools, mergeGroup = null) {
+    return { display_name: displayName, file_name: fileName, short_name: displayName, merge_group: mergeGroup, tools };
+}
+
+const previousTools = [
+    tool("1", "acr registry list", { flags: { readOnly: true } }),
+    tool("2", "storage blob get", { option: [{ name: "--account", type: "string", description: "The account." }] }),
+    tool("3", "storage queue peek"),
+];
+
+const currentTools = [
+    tool("1", "acr registry list", { flags: { readOnly: false, destructive: true } }),
+    tool("2", "storage blob get", {
+        option: [
+            { name: "--account", type: "string", description: "The account.", required: true },
+            { name: "--container", type: "string", description: "The container.", required: true },
+            { name: "--tier", type: "string", description: "The tier." },
+        ],
+    }),
+    tool("4", "iothub device list", { description: "List devices in a hub. Returns names." }),
+    tool("5", "extension azqr", { description: "Run a quick review" }),
+    tool("6", "extension cli generate", { description: "Generate a CLI command." }),
+];
+
+// extension_azqr is merged into the extension article; extension_cli_generate names a
+// merge group too, but split namespaces keep their own article.
+const brandMappings = [
+    { mcpServerName: "extension_azqr", fileName: "azure-quick-review", composition: "merge", mergeGroup: "azure-extension" },
+    {
+        mcpServerName: "extension_cli_generate",
+        fileName: "azure-cli-extension-generate",
+        composition: "split",
+        mergeGroup: "azure-cli-extension",
+    },
+];
+
+function snapshot(version, tools, namespaces) {
+    return {
+        version,
+        tools,
+        namespaces: null,
+        namespaceMapping: { namespaces },
+    };
+}
+
+const previousSnapshot = snapshot("3.0.0-beta.1+aaa", previousTools, {
+    acr: namespace("Azure Container Registry", "azure-container-registry", ["list"]),
+    storage: namespace("Azure Storage", "azure-storage", ["get", "peek"]),
+    iothub: namespace("Azure IoT Hub", "azure-iot-hub", []),
+});
+
+const currentSnapshot = snapshot("3.0.0-beta.2+bbb", currentTools, {
+    acr: namespace("Azure Container Registry", "azure-container-registry", ["list"]),
+    storage: namespace("Azure Storage", "azure-storage", ["get"]),
+    iothub: namespace("Azure IoT Hub", "azure-iot-hub", ["list"]),
+    extension: namespace("Azure Extension", "azure-extension", []),
+    extension_azqr: namespace("Azure Quick Review CLI", "azure-quick-review", ["azqr"], "azure-extension"),
+    extension_cli_generate: namespace("Azure CLI Extension", "azure-cli-extension-generate", ["generate"], "azure-cli-extension"),
+});
+
+test("collects new namespaces, added and removed tools, required options and annotation changes", () => {
+    const notes = buildReleaseNotes(previousSnapshot, currentSnapshot, { brandMappings });
+
+    assert.deepEqual(notes.namespaces, [
+        { namespace: "extension_cli_generate", displayName: "Azure CLI Extension", fileName: "azure-cli-extension-generate", toolCount: 1 },
+        { namespace: "iothub", displayName: "Azure IoT Hub", fileName: "azure-iot-hub", toolCount: 1 },
+        { namespace: "extension_azqr", displayName: "Azure Quick Review CLI", fileName: "azure-extension", toolCount: 1 },
+    ]);
+    assert.deepEqual(notes.addedTools.map((entry) => [entry.command, entry.summary, entry.article?.fileName]), [
+        ["extension azqr", "Run a quick review", "azure-extension"],
+        ["extension cli generate", "Generate a CLI command.", "azure-cli-extension-generate"],
+        ["iothub device list", "List devices in a hub.", "azure-iot-hub"],
+    ]);
+    assert.deepEqual(notes.removedTools.map((entry) => [entry.command, entry.article.fileName]), [
+        ["storage queue peek", "azure-storage"],
+    ]);
+    assert.deepEqual(notes.requiredOptions.map((entry) => [entry.command, entry.options]), [
+        ["storage blob get", [{ name: "--account", added: false }, { name: "--container", added: true }]],
+    ]);
+    assert.deepEqual(notes.annotationChanges.map((entry) => [entry.command, entry.flags]), [
+        ["acr registry list", [
+            { flag: "destructive", from: false, to: true },
+            { flag: "readOnly", from: true, to: false },
+        ]],
+    ]);
+    // Without a merge composition every tool links to its namespace's own file_name
+    assert.equal(buildReleaseNotes(previousSnapshot, currentSnapshot).addedTools[0].article.fileName, "azure-quick-review");
+});
+
+test("renders a grouped Markdown release note with article links", () => {
+    const markdown = renderReleaseNotes(buildReleaseNotes(previousSnapshot, currentSnapshot, { brandMappings }));
+
+    assert.equal(markdown, [
+        "## 3.0.0-beta.2",
+        "",
+        "Changes since 3.0.0-beta.1.",
+        "",
+        "### New namespaces",
+        "",
+        "- [Azure CLI Extension](tools/azure-cli-extension-generate.md): 1 tool",
+        "- [Azure IoT Hub](tools/azure-iot-hub.md): 1 tool",
+        "- [Azure Quick Review CLI](tools/azure-extension.md): 1 tool",
+        "",
+        "### New tools",
+        "",
+        "- [`extension azqr`](tools/azure-extension.md): Run a quick review",
+        "- [`extension cli generate`](tools/azure-cli-extension-generate.md): Generate a CLI command.",
+        "- [`iothub device list`](tools/azure-iot-hub.md): List devices in a hub.",
+        "",
+        "### Removed tools",
+        "",
+        "- [`storage queue peek`](tools/azure-storage.md)",
+        "",
+        "### New required parameters",
+        "",
+        "- [`storage blob get`](tools/azure-storage.md): `--account`, `--container` (new)",
+        "",
+        "### Annotation changes",
+        "",
+        "- [`acr registry list`](tools/azure-container-registry.md): Destructive ❌ → ✅, Read Only ✅ → ❌",
+        "",
+    ].join("\n"));
+
+    const linked = renderReleaseNotes(buildReleaseNotes(previousSnapshot, currentSnapshot, { brandMappings }), {
+        articleBase: "https://learn.microsoft.com/azure/developer/azure-mcp-server/tools/",
+    });
+    assert.match(linked, /\[Azure IoT Hub\]\(https:\/\/learn\.microsoft\.com\/azure\/developer\/azure-mcp-server\/tools\/azure-iot-hub\.md\)/);
+});
+
+test("notes when there are no tool changes and links unmapped tools as plain code", () => {
+    const unmapped = snapshot("3.0.0-beta.3", [tool("9", "other run")], {});
+    const markdown = renderReleaseNotes(buildReleaseNotes(snapshot("3.0.0-beta.2", [], {}), unmapped));
+
+    assert.match(markdown, /### New tools\n\n- `other run`: Does things\.\n/);
+    assert.match(
+        renderReleaseNotes(buildReleaseNotes(unmapped, unmapped)),
+        /No documentation-relevant tool changes\./,
+    );
+});
+
+async function writeSnapshot(directory, { version, tools, namespaces }) {
+    await fs.mkdir(directory, { recursive: true });
+    const documents = {
+        "cli-version.json": { version },
+        "cli-output.json": { status: 200, message: "Success", results: tools },
+        "cli-namespace.json": {
+            status: 200,
+            message: "Success",
+            results: Object.keys(namespaces).map((name) => ({ id: "", name, description: name, command: name })),
+        },
+        "namespace-mapping.json": {
+            source_version: version,
+            namespace_count: Object.keys(namespaces).length,
+            tool_count: Object.values(namespaces).reduce((total, entry) => total + entry.tools.length, 0),
+            namespaces,
+            unmatched_tools: [],
+        },
+    };
+    for (const [fileName, document] of Object.entries(documents)) {
+        await fs.writeFile(path.join(directory, fileName), JSON.stringify(document));
+    }
+}
+
+test("writes release notes as a createVersionSnapshot post-step", async (t) => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), "mcp-cli-release-notes-test-"));
+    t.after(() => fs.rm(directory, { recursive: true, force: true }));
+    const rootDir = path.join(directory, "mcp-cli-metadata");
+    const outputPath = path.join(directory, "release-notes.md");
+    const previous = { version: "3.0.0-beta.1+aaa", tools: previousTools, namespaces: previousSnapshot.namespaceMapping.namespaces };
+    await writeSnapshot(path.join(rootDir, previous.version), previous);
+    await fs.writeFile(path.join(rootDir, "tracked-version.txt"), "3.0.0-beta.1\n");
+
+    const versionDirectory = await createVersionSnapshot({
+        rootDir,
+        runExtractor: (temporaryOutputDirectory) => writeSnapshot(path.join(temporaryOutputDirectory, "cli"), {
+            version: "3.0.0-beta.2+bbb",
+            tools: currentTools,
+            namespaces: currentSnapshot.namespaceMapping.namespaces,
+        }),
+        afterCreate: createReleaseNotesStep({ outputPath }),
+    });
+
+    const markdown = await fs.readFile(outputPath, "utf8");
+    assert.equal(markdown, (await generateReleaseNotes({
+        previousDirectory: path.join(rootDir, previous.version),
+        currentDirectory: versionDirectory,
+    })).markdown);
+    assert.match(markdown, /^## 3\.0\.0-beta\.2\n\nChanges since 3\.0\.0-beta\.1\./);
+
+    const step = createReleaseNotesStep({ outputPath: path.join(directory, "first.md") });
+    assert.equal(await step({ versionDirectory, previousDirectory: null }), null);
+    await assert.rejects(fs.access(path.join(directory, "first.md")));
+});
+
+test("reports a failed post-step after creating the snapshot", async (t) => {
+    const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), "mcp-cli-release-notes-test-"));
+    t.after(() => fs.rm(rootDir, { recursive: true, force: true }));
+    let received;
+
+    await assert.rejects(
+        createVersionSnapshot({
+            rootDir,
+            runExtractor: (temporaryOutputDirectory) => writeSnapshot(path.join(temporaryOutputDirectory, "cli"), {
+                version: "3.0.0-beta.2+bbb",
+                tools: currentTools,
+                namespaces: currentSnapshot.namespaceMapping.namespaces,
+            }),
+            afterCreate: async (context) => {
+                received = context;
+                throw new Error("disk full");
+            },
+        }),
+        /Created .*3\.0\.0-beta\.2\+bbb, but the post-step failed: disk full/,
+    );
+    assert.deepEqual(received, { versionDirectory: path.join(rootDir, "3.0.0-beta.2+bbb"), previousDirectory: null });
+    await fs.access(path.join(rootDir, "3.0.0-beta.2+bbb"));
+    assert.equal(parseArgs(["--release-notes", "notes.md"]).releaseNotesPath, path.resolve("notes.md"));
+});
@@ -0,0 +1,136 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs/promises");
+const os = require("node:os");
+const path = require("node:path");
+const test = require("node:test");
+
+const {
+    compareVersions,
+    loadSnapshotCatalog,
+    loadSnapshotCatalogSync,
+    parseVersion,
+    satisfiesRange,
+} = require("../snapshot-catalog");
+
+async function createCatalogRoot(t, names, trackedVersion) {
+    const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), "mcp-cli-catalog-test-"));
+    t.after(() => fs.rm(rootDir, { recursive: true, force: true }));
+    for (const name of names) {
+        await fs.mkdir(path.join(rootDir, name));
+    }
+    if (trackedVersion) {
+        await fs.writeFile(path.join(rootDir, "tracked-version.txt"), `${trackedVersion}\n`);
+    }
+    return rootDir;
+}
+
+test("parses versions with prerelease and build metadata", () => {
+    assert.deepEqual(parseVersion("3.0.0-beta.37+19951cae"), {
+        major: 3,
+        minor: 0,
+        patch: 0,
+        prerelease: ["beta", "37"],
+        build: ["19951cae"],
+    });
+    assert.equal(parseVersion("test-openai-endpoint"), null);
+    assert.equal(parseVersion("3.0"), null);
+});
+
+test("orders prerelease identifiers numerically and ignores build metadata", () => {
+    const ordered = [
+        "2.0.0-beta.36+b",
+        "3.0.0-beta.5+a",
+        "3.0.0-beta.37+c",
+        "3.0.0-rc.1",
+        "3.0.0",
+    ].map(parseVersion);
+
+    for (let index = 1; index < ordered.length; index++) {
+        assert.equal(compareVersions(ordered[index - 1], ordered[index]), -1);
+    }
+    assert.equal(compareVersions(parseVersion("3.0.0-beta.5+a"), parseVersion("3.0.0-beta.5+b")), 0);
+});
+
+test("matches caret, tilde, x-range and comparator ranges including prereleases", () => {
+    const version = parseVersion("3.0.0-beta.20+abc");
+
+    assert.equal(satisfiesRange(version, "^3.0.0-beta.10"), true);
+    assert.equal(satisfiesRange(version, "~3.0.0-beta.21"), false);
+    assert.equal(satisfiesRange(version, "3.x"), true);
+    assert.equal(satisfiesRange(version, "2.x || 4.x"), false);
+    assert.equal(satisfiesRange(version, ">=3.0.0-beta.16 <3.0.0-beta.21"), true);
+    assert.equal(satisfiesRange(version, "3.0.0-beta.20"), true);
+    assert.equal(satisfiesRange(version, "*"), true);
+    assert.throws(() => satisfiesRange(version, "latest"), /Invalid version range/);
+});
+
+test("includes the prereleases of a caret or tilde lower bound", () => {
+    const matches = (text, range) => satisfiesRange(parseVersion(text), range);
+
+    assert.equal(matches("2.0.0-beta.3", "^2.0.0"), true);
+    assert.equal(matches("2.0.0-beta.3", "~2.0.0"), true);
+    assert.equal(matches("2.0.0-beta.3", "^2.0.0-beta.4"), false);
+    assert.equal(matches("3.0.0-beta.1", "^2.0.0"), false);
+    assert.equal(matches("1.9.0", "^2.0.0"), false);
+    // Comparators with a full version keep exact precedence
+    assert.equal(matches("2.0.0-beta.3", ">=2.0.0"), false);
+    assert.equal(matches("2.0.0-beta.3", "=2.0.0"), false);
+});
+
+test("compares partial versions against every version they name", () => {
+    const matches = (text, range) => satisfiesRange(parseVersion(text), range);
+
+    assert.equal(matches("3.0.5", ">3.0"), false);
+    assert.equal(matches("3.1.0-beta.1", ">3.0"), true);
+    assert.equal(matches("3.0.5", "<=3.0"), true);
+    assert.equal(matches("3.1.0-beta.1", "<=3.0"), false);
+    assert.equal(matches("3.9.0", ">3"), false);
+    assert.equal(matches("4.0.0-beta.1", ">3"), true);
+    assert.equal(matches("3.0.0-beta.1", ">=3.0"), true);
+    assert.equal(matches("3.0.0-beta.1", "<3.0"), false);
+    assert.equal(matches("2.9.9", "<3.0"), true);
+    assert.equal(matches("3.0.7", "3.0"), true);
+});
+
+test("enumerates snapshot directories in semantic version order", async (t) => {
+    const rootDir = await createCatalogRoot(t, [
+        "3.0.0-beta.37+ccc",
+        "3.0.0-beta.5+aaa",
+        "2.0.0-beta.36+zzz",
+        "3.0.0-beta.10+bbb",
+        "test",
+    ], "3.0.0-beta.10");
+    await fs.writeFile(path.join(rootDir, "3.0.0-beta.9+file"), "");
+
+    const catalog = await loadSnapshotCatalog(rootDir);
+
+    assert.deepEqual(catalog.snapshots.map((snapshot) => snapshot.name), [
+        "2.0.0-beta.36+zzz",
+        "3.0.0-beta.5+aaa",
+        "3.0.0-beta.10+bbb",
+        "3.0.0-beta.37+ccc",
+    ]);
+    assert.equal(catalog.latest().name, "3.0.0-beta.37+ccc");
+    assert.equal(catalog.tracked().name, "3.0.0-beta.10+bbb");
+    assert.equal(catalog.tracked().directory, path.join(rootDir, "3.0.0-beta.10+bbb"));
+    assert.equal(catalog.previous("3.0.0-beta.10").name, "3.0.0-beta.5+aaa");
+    assert.equal(catalog.previous("3.0.0-beta.5+aaa").name, "2.0.0-beta.36+zzz");
+    assert.equal(catalog.previous("2.0.0-beta.36"), null);
+    assert.throws(() => catalog.previous("3.0.0-beta.6"), /No snapshot found/);
+    assert.equal(catalog.resolve("<3.0.0-beta.37").name, "3.0.0-beta.10+bbb");
+    assert.equal(catalog.resolve("^2.0.0-beta.1").name, "2.0.0-beta.36+zzz");
+    assert.equal(catalog.resolve("4.x"), null);
+
+    const syncCatalog = loadSnapshotCatalogSync(rootDir);
+    assert.deepEqual(syncCatalog.snapshots, catalog.snapshots);
+    assert.equal(syncCatalog.tracked().name, "3.0.0-beta.10+bbb");
+});
+
+test("reports a tracked version without a snapshot directory", async (t) => {
+    const rootDir = await createCatalogRoot(t, ["3.0.0-beta.5+aaa"], "3.0.0-beta.6");
+
+    const catalog = await loadSnapshotCatalog(rootDir);
+
+    assert.equal(catalog.trackedVersion, "3.0.0-beta.6");
+    assert.throws(() => catalog.tracked(), /No snapshot directory found for tracked version 3\.0\.0-beta\.6/);
+});
@@ -0,0 +1,114 @@
+const assert = require("node:assert/strict");
+const crypto = require("node:crypto");
+const fs = require("node:fs/promises");
+const os = require("node:os");
+const path = require("node:path");
+const test = require("node:test");
+
+const {
+    MANIFEST_FILE,
+    backfillSnapshotManifest,
+    parseArgs,
+    verifySnapshotManifest,
+    verifySnapshots,
+    writeSnapshotManifest,
+} = require("../snapshot-manifest");
+const { packSnapshot } = require("../snapshot-store");
+
+const artifacts = {
+    "cli-version.json": "{\"version\":\"3.0.0-beta.5+aaa\"}",
+    "cli-output.json": "{\r\n  \"status\": 200,\r\n  \"results\": []\r\n}",
+};
+
+async function createSnapshot(t) {
+    const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), "mcp-cli-manifest-test-"));
+    t.after(() => fs.rm(rootDir, { recursive: true, force: true }));
+    const directory = path.join(rootDir, "3.0.0-beta.5+aaa");
+    await fs.mkdir(directory);
+    for (const [fileName, contents] of Object.entries(artifacts)) {
+        await fs.writeFile(path.join(directory, fileName), contents);
+    }
+    return directory;
+}
+
+test("records the hash and size of every artifact with the extractor details", async (t) => {
+    const directory = await createSnapshot(t);
+
+    const manifest = await writeSnapshotManifest(directory, {
+        fileNames: Object.keys(artifacts),
+        extractor: { command: "dotnet", args: ["run"], exitCode: 0 },
+    });
+
+    const output = Buffer.from(artifacts["cli-output.json"]);
+    assert.deepEqual(manifest.artifacts["cli-output.json"], {
+        sha256: crypto.createHash("sha256").update(output).digest("hex"),
+        size: output.length,
+    });
+    assert.deepEqual(manifest.extractor, { command: "dotnet", args: ["run"], exitCode: 0 });
+    assert.deepEqual(
+        JSON.parse(await fs.readFile(path.join(directory, MANIFEST_FILE), "utf8")),
+        manifest,
+    );
+    assert.deepEqual(await verifySnapshotManifest(directory), []);
+});
+
+test("reports edited, missing and unlisted files", async (t) => {
+    const directory = await createSnapshot(t);
+    await writeSnapshotManifest(directory, { fileNames: Object.keys(artifacts) });
+
+    await fs.writeFile(path.join(directory, "cli-output.json"), artifacts["cli-output.json"].replace(/\r\n/g, "\n"));
+    await fs.rm(path.join(directory, "cli-version.json"));
+    await fs.writeFile(path.join(directory, "tools-list.json"), "{}");
+
+    const errors = await verifySnapshotManifest(directory);
+
+    assert.equal(errors.length, 4);
+    assert.match(errors[0], /^cli-output\.json: size is \d+ bytes, manifest records \d+$/);
+    assert.match(errors[1], /^cli-output\.json: SHA-256 is [0-9a-f]{64}, manifest records [0-9a-f]{64}$/);
+    assert.equal(errors[2], "cli-version.json: file is missing");
+    assert.equal(errors[3], `tools-list.json: file is not listed in ${MANIFEST_FILE}`);
+});
+
+test("verifies packed snapshots and skips snapshots without a manifest", async (t) => {
+    const directory = await createSnapshot(t);
+    assert.equal(await verifySnapshotManifest(directory), null);
+
+    await writeSnapshotManifest(directory, { fileNames: Object.keys(artifacts) });
+    await packSnapshot(directory);
+
+    assert.deepEqual(await verifySnapshotManifest(directory), []);
+});
+
+test("fails snapshots without a manifest in strict mode", async (t) => {
+    const directory = await createSnapshot(t);
+    const rootDir = path.dirname(directory);
+
+    assert.deepEqual(await verifySnapshots({ rootDir }), [{ name: "3.0.0-beta.5+aaa", errors: null }]);
+    assert.deepEqual(await verifySnapshots({ rootDir, versions: ["3.0.0-beta.5"], strict: true }), [
+        { name: "3.0.0-beta.5+aaa", errors: [`${MANIFEST_FILE} is missing`] },
+    ]);
+    await assert.rejects(verifySnapshots({ rootDir, versions: ["9.9.9"] }), /No snapshot found for version 9\.9\.9/);
+
+    assert.deepEqual(parseArgs(["verify", "--strict", "3.0.0-beta.5"]), {
+        command: "verify",
+        strict: true,
+        versions: ["3.0.0-beta.5"],
+    });
+    assert.throws(() => parseArgs(["write", "--strict"]), /Usage/);
+    assert.throws(() => parseArgs(["verify", "--all"]), /Usage/);
+});
+
+test("backfills manifests for older snapshots without replacing existing ones", async (t) => {
+    const directory = await createSnapshot(t);
+    await packSnapshot(directory);
+
+    const manifest = await backfillSnapshotManifest(directory);
+
+    assert.deepEqual(Object.keys(manifest.artifacts), ["cli-output.json", "cli-version.json"]);
+    assert.equal(manifest.extractor, null);
+    assert.equal(manifest.backfilled, true);
+    assert.deepEqual(await verifySnapshots({ rootDir: path.dirname(directory), strict: true }), [
+        { name: "3.0.0-beta.5+aaa", errors: [] },
+    ]);
+    assert.equal(await backfillSnapshotManifest(directory), null);
+});
@@ -0,0 +1,107 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs/promises");
+const os = require("node:os");
+const path = require("node:path");
+const test = require("node:test");
+
+const { loadSnapshot, loadSnapshotSync } = require("../snapshot-reader");
+const {
+    PACKED_MANIFEST,
+    STORE_DIRECTORY,
+    listSnapshotArtifacts,
+    packSnapshot,
+    readSnapshotArtifact,
+    readSnapshotArtifactSync,
+    splitArtifact,
+    unpackSnapshot,
+    verifyPackedSnapshot,
+} = require("../snapshot-store");
+
+function cliOutputText(tools) {
+    const results = tools.map((tool) => JSON.stringify(tool, null, 2).replace(/\n/g, "\r\n    "));
+    return `{\r\n  "status": 200,\r\n  "results": [\r\n    ${results.join(",\r\n    ")}\r\n  ],\r\n  "duration": 35\r\n}`;
+}
+
+async function writeSnapshot(rootDir, version, tools) {
+    const directory = path.join(rootDir, version);
+    await fs.mkdir(directory);
+    await fs.writeFile(path.join(directory, "cli-version.json"), `{"version":"${version.replace("+", "\\u002B")}"}`);
+    await fs.writeFile(path.join(directory, "cli-output.json"), cliOutputText(tools));
+    await fs.writeFile(path.join(directory, "namespace-mapping.json"), "\uFEFF{\r\n  \"tool_count\": 1\r\n}");
+    return directory;
+}
+
+async function readFiles(directory) {
+    const files = {};
+    for (const fileName of await fs.readdir(directory)) {
+        files[fileName] = await fs.readFile(path.join(directory, fileName));
+    }
+    return files;
+}
+
+const listTool = { id: "1", command: "acr registry list", description: "List – registries.", option: [] };
+const getTool = { id: "2", command: "acr registry get", description: "Get a \"registry\" [by name].", option: [] };
+
+test("splits the results array into one record per tool plus surrounding text", () => {
+    const buffer = Buffer.from(cliOutputText([listTool, getTool]), "utf8");
+
+    const parts = splitArtifact(buffer);
+
+    assert.equal(parts.length, 5);
+    assert.deepEqual(JSON.parse(parts[1].toString("utf8")), listTool);
+    assert.deepEqual(JSON.parse(parts[3].toString("utf8")), getTool);
+    assert.ok(Buffer.concat(parts).equals(buffer));
+    assert.equal(splitArtifact(Buffer.from("{\"version\":\"1.0.0\"}")).length, 1);
+});
+
+test("packs snapshots into shared records and reads them back byte for byte", async (t) => {
+    const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), "mcp-cli-store-test-"));
+    t.after(() => fs.rm(rootDir, { recursive: true, force: true }));
+
+    const older = await writeSnapshot(rootDir, "3.0.0-beta.5+aaa", [listTool, getTool]);
+    const newer = await writeSnapshot(rootDir, "3.0.0-beta.6+bbb", [listTool, { ...getTool, description: "Changed." }]);
+    const originalOlder = await readFiles(older);
+    const originalNewer = await readFiles(newer);
+
+    await packSnapshot(older);
+    await packSnapshot(newer);
+
+    assert.deepEqual(await fs.readdir(older), [PACKED_MANIFEST]);
+    assert.deepEqual(await listSnapshotArtifacts(older), Object.keys(originalOlder).sort());
+    const olderManifest = JSON.parse(await fs.readFile(path.join(older, PACKED_MANIFEST), "utf8"));
+    const newerManifest = JSON.parse(await fs.readFile(path.join(newer, PACKED_MANIFEST), "utf8"));
+    assert.equal(olderManifest.store, `../${STORE_DIRECTORY}`);
+    assert.equal(olderManifest.artifacts["cli-output.json"].parts[1], newerManifest.artifacts["cli-output.json"].parts[1]);
+    assert.notEqual(olderManifest.artifacts["cli-output.json"].parts[3], newerManifest.artifacts["cli-output.json"].parts[3]);
+
+    for (const [fileName, buffer] of Object.entries(originalNewer)) {
+        assert.ok((await readSnapshotArtifact(newer, fileName)).equals(buffer), fileName);
+        assert.ok(readSnapshotArtifactSync(newer, fileName).equals(buffer), fileName);
+    }
+    const snapshot = await loadSnapshot(older);
+    assert.equal(snapshot.version, "3.0.0-beta.5+aaa");
+    assert.deepEqual(snapshot.tools, [listTool, getTool]);
+    assert.deepEqual(loadSnapshotSync(older), snapshot);
+    assert.throws(() => readSnapshotArtifactSync(older, "tools-list.json"), { code: "ENOENT" });
+    assert.deepEqual(await verifyPackedSnapshot(older), []);
+
+    await unpackSnapshot(older);
+    assert.deepEqual(await readFiles(older), originalOlder);
+});
+
+test("detects a corrupted store record", async (t) => {
+    const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), "mcp-cli-store-test-"));
+    t.after(() => fs.rm(rootDir, { recursive: true, force: true }));
+
+    const directory = await writeSnapshot(rootDir, "3.0.0-beta.5+aaa", [listTool]);
+    const manifest = await packSnapshot(directory);
+    const hash = manifest.artifacts["cli-output.json"].parts[1];
+    await fs.writeFile(path.join(rootDir, STORE_DIRECTORY, "objects", hash.slice(0, 2), hash), "{}");
+
+    const errors = await verifyPackedSnapshot(directory);
+
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /^cli-output\.json: Snapshot store object is corrupt/);
+    assert.throws(() => readSnapshotArtifactSync(directory, "cli-output.json"), /corrupt/);
+    await assert.rejects(unpackSnapshot(directory), /corrupt/);
+});
@@ -0,0 +1,223 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs/promises");
+const os = require("node:os");
+const path = require("node:path");
+const test = require("node:test");
+
+const {
+    FINGERPRINTS_FILE,
+    buildFingerprints,
+    buildRegenerationPlan,
+    fingerprintTool,
+    loadFingerprints,
+    planRegeneration,
+    writeFingerprints,
+} = require("../tool-fingerprints");
+const { createVersionSnapshot } = require("../create-version-snapshot");
+
+const baseTool = {
+    id: "796f8778-2fa7-4343-87ad-06bdcf6b296c",
+    name: "list",
+    description: "List registries.\r\nFilter by resource group.",
+    command: "acr registry list",
+    option: [
+        { name: "--tenant", description: "The tenant.", type: "string" },
+        { name: "--subscription", description: "The subscription.\r\n", type: "string", required: true },
+    ],
+    metadata: {
+        readOnly: { value: true, description: "Only reads." },
+        destructive: { value: false, description: "Does not delete." },
+    },
+};
+
+function withChanges(changes) {
+    return { ...structuredClone(baseTool), ...changes };
+}
+
+test("ignores ids, line endings, option order and metadata descriptions", () => {
+    const fingerprint = fingerprintTool(baseTool);
+
+    assert.match(fingerprint, /^[0-9a-f]{64}$/);
+    assert.equal(fingerprintTool(withChanges({ id: "0e4a3c3a-9f0b-4b7e-8a58-7d2f0c7c4a11" })), fingerprint);
+    assert.equal(fingerprintTool(withChanges({ description: "List registries.\nFilter by resource group.\n" })), fingerprint);
+    assert.equal(fingerprintTool(withChanges({ option: [...baseTool.option].reverse() })), fingerprint);
+    assert.equal(fingerprintTool(withChanges({
+        metadata: {
+            destructive: { value: false, description: "Reworded." },
+            readOnly: { value: true, description: "Reworded." },
+        },
+    })), fingerprint);
+});
+
+test("changes with the description, options and metadata values", () => {
+    const fingerprint = fingerprintTool(baseTool);
+    const changed = [
+        withChanges({ description: "List container registries." }),
+        withChanges({ option: [baseTool.option[0]] }),
+        withChanges({ option: [baseTool.option[0], { ...baseTool.option[1], required: false }] }),
+        withChanges({ option: [{ ...baseTool.option[0], description: "The Entra tenant." }, baseTool.option[1]] }),
+        withChanges({ metadata: { ...baseTool.metadata, readOnly: { value: false } } }),
+        withChanges({ metadata: { ...baseTool.metadata, secret: { value: false } } }),
+    ];
+
+    for (const tool of changed) {
+        assert.notEqual(fingerprintTool(tool), fingerprint);
+    }
+});
+
+function namespaceMapping(namespaces) {
+    return {
+        namespaces: Object.fromEntries(Object.entries(namespaces).map(([key, [fileName, mergeGroup = null]]) => [
+            key,
+            { file_name: fileName, merge_group: mergeGroup, tools: [] },
+        ])),
+    };
+}
+
+function planInput(version, tools, namespaces) {
+    return {
+        fingerprints: buildFingerprints({ version, tools }),
+        namespaceMapping: namespaceMapping(namespaces),
+    };
+}
+
+test("plans the tools and namespaces whose fingerprints changed", () => {
+    const previous = planInput("3.0.0-beta.1", [
+        baseTool,
+        { command: "storage blob get", description: "Get a blob." },
+        { command: "storage queue peek", description: "Peek." },
+        { command: "extension azqr", description: "Run azqr." },
+    ], {
+        acr: ["azure-container-registry"],
+        storage: ["azure-storage"],
+        extension: ["azure-extension"],
+    });
+    const current = planInput("3.0.0-beta.2", [
+        withChanges({ id: "new-id", description: "List registries.\nFilter by resource group." }),
+        { command: "storage blob get", description: "Get a blob from a container." },
+        { command: "extension azqr", description: "Run azqr." },
+        { command: "extension cli generate", description: "Generate a command." },
+        { command: "iothub device list", description: "List devices." },
+        { command: "other run", description: "Run." },
+    ], {
+        acr: ["azure-container-registry"],
+        storage: ["azure-storage"],
+        extension: ["azure-extension"],
+        extension_azqr: ["azure-quick-review", "azure-extension"],
+        extension_cli_generate: ["azure-cli-extension-generate", "azure-cli-extension"],
+        iothub: ["azure-iot-hub"],
+    });
+    // Only merge namespaces share the merge group's article; split ones keep their own
+    const brandMappings = [
+        { mcpServerName: "extension_azqr", composition: "merge", mergeGroup: "azure-extension" },
+        { mcpServerName: "extension_cli_generate", composition: "split", mergeGroup: "azure-cli-extension" },
+    ];
+
+    const plan = buildRegenerationPlan(previous, current, { brandMappings });
+
+    assert.equal(plan.fromVersion, "3.0.0-beta.1");
+    assert.equal(plan.toVersion, "3.0.0-beta.2");
+    assert.deepEqual(plan.tools, [
+        { command: "extension azqr", change: "moved", namespace: "extension_azqr", previousNamespace: "extension" },
+        { command: "extension cli generate", change: "added", namespace: "extension_cli_generate" },
+        { command: "iothub device list", change: "added", namespace: "iothub" },
+        { command: "other run", change: "added", namespace: null },
+        { command: "storage blob get", change: "changed", namespace: "storage" },
+        { command: "storage queue peek", change: "removed", namespace: "storage" },
+    ]);
+    assert.deepEqual(plan.namespaces, [
+        { namespace: "extension", fileName: "azure-extension", tools: ["extension azqr"] },
+        { namespace: "extension_azqr", fileName: "azure-extension", tools: ["extension azqr"] },
+        { namespace: "extension_cli_generate", fileName: "azure-cli-extension-generate", tools: ["extension cli generate"] },
+        { namespace: "iothub", fileName: "azure-iot-hub", tools: ["iothub device list"] },
+        { namespace: "storage", fileName: "azure-storage", tools: ["storage blob get", "storage queue peek"] },
+    ]);
+    assert.deepEqual(plan.unmatchedTools, ["other run"]);
+    assert.deepEqual(plan.summary, {
+        currentToolCount: 6,
+        regenerateTools: 5,
+        added: 3,
+        changed: 1,
+        moved: 1,
+        removed: 1,
+        unchanged: 1,
+        namespaces: 5,
+    });
+});
+
+async function writeSnapshot(rootDir, version, tools) {
+    const directory = path.join(rootDir, version);
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(path.join(directory, "cli-version.json"), JSON.stringify({ version }));
+    await fs.writeFile(path.join(directory, "cli-output.json"), JSON.stringify({ status: 200, results: tools }));
+    await fs.writeFile(path.join(directory, "namespace-mapping.json"), `\uFEFF${JSON.stringify(namespaceMapping({ acr: ["azure-container-registry"] }))}`);
+    return directory;
+}
+
+test("writes fingerprint maps and plans from the snapshot before the target", async (t) => {
+    const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), "mcp-cli-fingerprints-test-"));
+    t.after(() => fs.rm(rootDir, { recursive: true, force: true }));
+    const trackedDirectory = await writeSnapshot(rootDir, "3.0.0-beta.1+aaa", [baseTool]);
+    await writeSnapshot(rootDir, "3.0.0-beta.2+bbb", [withChanges({ id: "other" })]);
+    await writeSnapshot(rootDir, "3.0.0-beta.3+ccc", [withChanges({ description: "List all registries." })]);
+
+    const written = await writeFingerprints(trackedDirectory);
+    assert.deepEqual(JSON.parse(await fs.readFile(path.join(trackedDirectory, FINGERPRINTS_FILE), "utf8")), written);
+    assert.deepEqual(written, {
+        formatVersion: 1,
+        algorithm: "sha256",
+        version: "3.0.0-beta.1+aaa",
+        toolCount: 1,
+        tools: { "acr registry list": fingerprintTool(baseTool) },
+    });
+    // Snapshots without the file are fingerprinted on the fly
+    assert.deepEqual((await loadFingerprints(path.join(rootDir, "3.0.0-beta.2+bbb"))).tools, written.tools);
+
+    const latestPlan = await planRegeneration({ rootDir });
+    assert.equal(latestPlan.fromVersion, "3.0.0-beta.2+bbb");
+    assert.equal(latestPlan.toVersion, "3.0.0-beta.3+ccc");
+    assert.deepEqual(latestPlan.namespaces, [
+        { namespace: "acr", fileName: "azure-container-registry", tools: ["acr registry list"] },
+    ]);
+    const unchangedPlan = await planRegeneration({ rootDir, to: "3.0.0-beta.2" });
+    assert.deepEqual(unchangedPlan.tools, []);
+    await assert.rejects(planRegeneration({ rootDir, from: "9.9.9" }), /No snapshot found for version 9\.9\.9/);
+    await assert.rejects(planRegeneration({ rootDir, to: "3.0.0-beta.1" }), /No snapshot before 3\.0\.0-beta\.1\+aaa/);
+});
+
+test("plans the changes of a snapshot that npm run snapshot just created", async (t) => {
+    const parentDir = await fs.mkdtemp(path.join(os.tmpdir(), "mcp-cli-fingerprints-test-"));
+    t.after(() => fs.rm(parentDir, { recursive: true, force: true }));
+    const rootDir = path.join(parentDir, "snapshots");
+    await fs.mkdir(rootDir);
+    const snapshot = (version, tool) => createVersionSnapshot({
+        rootDir,
+        runExtractor: async (outputDirectory) => {
+            const cliDirectory = path.join(outputDirectory, "cli");
+            await fs.mkdir(cliDirectory);
+            await fs.writeFile(path.join(cliDirectory, "cli-version.json"), JSON.stringify({ version }));
+            await fs.writeFile(path.join(cliDirectory, "cli-output.json"), JSON.stringify({ status: 200, results: [tool] }));
+            await fs.writeFile(path.join(cliDirectory, "cli-namespace.json"), JSON.stringify({
+                status: 200,
+                results: [{ id: "", name: "acr", description: "Registries.", command: "acr" }],
+            }));
+            await fs.writeFile(path.join(cliDirectory, "namespace-mapping.json"), JSON.stringify({
+                source_version: version,
+                namespace_count: 1,
+                tool_count: 1,
+                namespaces: { acr: { file_name: "azure-container-registry", tools: ["list"] } },
+                unmatched_tools: [],
+            }));
+            return { command: "fake-extractor", args: [], exitCode: 0 };
+        },
+    });
+    await snapshot("3.0.0-beta.1+aaa", baseTool);
+    await snapshot("3.0.0-beta.2+bbb", withChanges({ description: "List all registries." }));
+
+    // The new snapshot is both the tracked and the latest snapshot now
+    assert.equal(await fs.readFile(path.join(rootDir, "tracked-version.txt"), "utf8"), "3.0.0-beta.2\n");
+    const plan = await planRegeneration({ rootDir });
+    assert.equal(plan.fromVersion, "3.0.0-beta.1+aaa");
+    assert.equal(plan.toVersion, "3.0.0-beta.2+bbb");
+    assert.deepEqual(plan.tools.map((tool) => [tool.command, tool.change]), [["acr registry list", "changed"]]);
+});
@@ -0,0 +1,94 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs/promises");
+const os = require("node:os");
+const path = require("node:path");
+const test = require("node:test");
+
+const {
+    buildToolTimelines,
+    formatVersionRuns,
+    loadToolTimelines,
+    queryToolTimelines,
+    renderTimelineTable,
+} = require("../tool-timeline");
+
+function listTool({ options = [], readOnly = true, description = "List accounts." } = {}) {
+    return {
+        id: "1",
+        command: "storage account list",
+        description,
+        option: options,
+        metadata: { readOnly: { value: readOnly }, secret: { value: false } },
+    };
+}
+
+const learn = { name: "--learn", description: "Discover sub-commands.", type: "string" };
+const resourceGroup = { name: "--resource-group", description: "The resource group.", type: "string" };
+
+const snapshots = [
+    { version: "3.0.0-beta.1", tools: [listTool()] },
+    { version: "3.0.0-beta.2", tools: [listTool({ options: [learn], description: "List accounts.\r\n" })] },
+    { version: "3.0.0-beta.3", tools: [listTool({ options: [learn, { ...resourceGroup, required: true }], readOnly: false })] },
+    { version: "3.0.0-beta.4", tools: [] },
+    { version: "3.0.0-beta.5", tools: [listTool({ options: [{ ...resourceGroup, description: "Resource group name." }] })] },
+];
+
+test("records option, description and metadata changes per version", () => {
+    const timeline = buildToolTimelines(snapshots).get("storage account list");
+
+    assert.equal(timeline.firstSeen, "3.0.0-beta.1");
+    assert.equal(timeline.lastSeen, "3.0.0-beta.5");
+    assert.deepEqual(timeline.versions, ["3.0.0-beta.1", "3.0.0-beta.2", "3.0.0-beta.3", "3.0.0-beta.5"]);
+    assert.deepEqual(timeline.options["--learn"], ["3.0.0-beta.2", "3.0.0-beta.3"]);
+    assert.deepEqual(timeline.events, [
+        { version: "3.0.0-beta.1", type: "added" },
+        { version: "3.0.0-beta.2", type: "option-added", option: "--learn", required: false },
+        { version: "3.0.0-beta.3", type: "option-added", option: "--resource-group", required: true },
+        { version: "3.0.0-beta.3", type: "metadata-changed", flag: "readOnly", from: true, to: false },
+        { version: "3.0.0-beta.4", type: "removed" },
+        { version: "3.0.0-beta.5", type: "added" },
+    ]);
+});
+
+test("reports option description, required flag and metadata value changes", () => {
+    const changed = [
+        snapshots[2],
+        { version: "3.0.0-beta.6", tools: [listTool({ options: [learn, { ...resourceGroup, description: "Name." }] })] },
+    ];
+
+    const timeline = buildToolTimelines(changed).get("storage account list");
+
+    assert.deepEqual(timeline.events.slice(1), [
+        { version: "3.0.0-beta.6", type: "option-description-changed", option: "--resource-group", from: "The resource group.", to: "Name." },
+        { version: "3.0.0-beta.6", type: "option-required-changed", option: "--resource-group", from: true, to: false },
+        { version: "3.0.0-beta.6", type: "metadata-changed", flag: "readOnly", from: false, to: true },
+    ]);
+});
+
+test("filters timelines to a single option and renders version runs", () => {
+    const versions = snapshots.map((snapshot) => snapshot.version);
+    const timelines = buildToolTimelines(snapshots);
+
+    const [timeline] = queryToolTimelines(timelines, { tool: "Storage Account List", option: "--learn" });
+
+    assert.deepEqual(timeline.events.map((event) => event.type), ["added", "option-added", "removed", "added"]);
+    assert.deepEqual(queryToolTimelines(timelines, { option: "--missing" }), []);
+    assert.equal(formatVersionRuns(timeline.versions, versions), "3.0.0-beta.1 … 3.0.0-beta.3, 3.0.0-beta.5");
+    const table = renderTimelineTable([timeline], { versions, option: "--learn" });
+    assert.match(table, /--learn present in: 3\.0\.0-beta\.2 … 3\.0\.0-beta\.3/);
+    assert.match(table, /3\.0\.0-beta\.2 +--learn added/);
+});
+
+test("loads snapshots in version order without build metadata in labels", async (t) => {
+    const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), "mcp-cli-timeline-test-"));
+    t.after(() => fs.rm(rootDir, { recursive: true, force: true }));
+    for (const [name, snapshot] of [["3.0.0-beta.10+bbb", snapshots[1]], ["3.0.0-beta.9+aaa", snapshots[0]]]) {
+        await fs.mkdir(path.join(rootDir, name));
+        await fs.writeFile(path.join(rootDir, name, "tools-list.json"), JSON.stringify({ results: snapshot.tools }));
+    }
+
+    const { versions, timelines } = await loadToolTimelines({ rootDir, range: ">=3.0.0-beta.9" });
+
+    assert.deepEqual(versions, ["3.0.0-beta.9", "3.0.0-beta.10"]);
+    assert.deepEqual(timelines.get("storage account list").options["--learn"], ["3.0.0-beta.10"]);
+});
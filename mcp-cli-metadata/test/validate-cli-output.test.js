@@ -0,0 +1,77 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs/promises");
+const os = require("node:os");
+const path = require("node:path");
+const test = require("node:test");
+
+const {
+    validateSnapshotDirectory,
+    validateSnapshotDocuments,
+} = require("../validate-cli-output");
+
+function buildDocuments() {
+    const version = "3.0.0-beta.37+abc";
+    return {
+        versionDocument: { version },
+        cliOutput: {
+            status: 200,
+            message: "Success",
+            results: [
+                {
+                    id: "a",
+                    command: "acr registry list",
+                    option: [{ name: "--tenant", type: "string", description: "The tenant." }],
+                },
+                { id: "b", command: "acr registry get", option: [] },
+                { id: "c", command: "get", option: [] },
+            ],
+        },
+        cliNamespace: { status: 200, results: [{ name: "acr", command: "acr" }] },
+        namespaceMapping: {
+            source_version: version,
+            namespace_count: 1,
+            tool_count: 2,
+            namespaces: { acr: { tools: ["get", "list"] } },
+            unmatched_tools: ["get"],
+        },
+    };
+}
+
+test("accepts a consistent set of snapshot documents", () => {
+    assert.deepEqual(validateSnapshotDocuments(buildDocuments()), []);
+});
+
+test("reports envelope, option and namespace count problems", () => {
+    const documents = buildDocuments();
+    documents.cliOutput.status = 500;
+    documents.cliOutput.results[0].option.push({ name: "--top", type: "", description: "Top." });
+    documents.cliOutput.results[1].id = "a";
+    documents.cliNamespace = { status: 200 };
+    documents.namespaceMapping.namespace_count = 2;
+    documents.namespaceMapping.unmatched_tools = [];
+
+    assert.deepEqual(validateSnapshotDocuments(documents), [
+        "cli-output.json: expected status 200, found 500",
+        "cli-output.json: tool \"acr registry list\" option --top has no type",
+        "cli-output.json: duplicate tool id \"a\"",
+        "cli-namespace.json: expected a results array",
+        "namespace-mapping.json: namespace_count is 2, but 1 namespaces are listed",
+        "namespace-mapping.json: 2 mapped and 0 unmatched tools do not add up to the 3 tools in cli-output.json",
+    ]);
+});
+
+test("reports missing artifacts in a snapshot directory", async (t) => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), "mcp-cli-validate-test-"));
+    t.after(() => fs.rm(directory, { recursive: true, force: true }));
+    await fs.writeFile(path.join(directory, "cli-version.json"), JSON.stringify({ version: "1.0.0" }));
+    await fs.writeFile(path.join(directory, "cli-output.json"), "{ not json");
+
+    const errors = await validateSnapshotDirectory(directory);
+
+    assert.equal(errors.length, 3);
+    assert.match(errors[0], /^cli-output\.json: /);
+    assert.deepEqual(errors.slice(1), [
+        "cli-namespace.json: file is missing",
+        "namespace-mapping.json: file is missing",
+    ]);
+});
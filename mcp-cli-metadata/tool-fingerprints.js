@@ -0,0 +1,271 @@
+const crypto = require("node:crypto");
+const fs = require("node:fs/promises");
+const path = require("node:path");
+
+const { findToolNamespace, loadBrandMappings, namespaceArticle } = require("./namespace-mapping");
+const { loadSnapshotCatalog } = require("./snapshot-catalog");
+const { loadSnapshot, readOptionalJsonFile } = require("./snapshot-reader");
+
+const FINGERPRINTS_FILE = "tool-fingerprints.json";
+const FORMAT_VERSION = 1;
+
+function normalizeText(value) {
+    return String(value ?? "").replace(/\r\n/g, "\n").trim();
+}
+
+function compareKeys(left, right) {
+    return left < right ? -1 : left > right ? 1 : 0;
+}
+
+// The parts of a cli-output.json entry that the generated docs use. The id changes
+// between releases without the tool changing, so it is left out; options are sorted
+// by name and metadata is reduced to its flag values.
+function canonicalTool(tool) {
+    return {
+        command: normalizeText(tool.command),
+        description: normalizeText(tool.description),
+        options: (tool.option ?? [])
+            .map((option) => ({
+                name: normalizeText(option.name),
+                type: option.type ?? null,
+                required: option.required === true,
+                description: normalizeText(option.description),
+            }))
+            .sort((left, right) => compareKeys(left.name, right.name)),
+        metadata: Object.fromEntries(Object.keys(tool.metadata ?? {})
+            .sort(compareKeys)
+            .map((flag) => [flag, tool.metadata[flag]?.value ?? null])),
+    };
+}
+
+function fingerprintTool(tool) {
+    return crypto.createHash("sha256").update(JSON.stringify(canonicalTool(tool))).digest("hex");
+}
+
+// Builds the fingerprint map for a snapshot (a loadSnapshot result), keyed by command
+function buildFingerprints(snapshot) {
+    const tools = {};
+    for (const tool of [...snapshot.tools].sort((left, right) => compareKeys(left.command, right.command))) {
+        tools[tool.command] = fingerprintTool(tool);
+    }
+    return {
+        formatVersion: FORMAT_VERSION,
+        algorithm: "sha256",
+        version: snapshot.version,
+        toolCount: Object.keys(tools).length,
+        tools,
+    };
+}
+
+async function writeFingerprints(snapshotDirectory) {
+    const fingerprints = buildFingerprints(await loadSnapshot(snapshotDirectory));
+    await fs.writeFile(
+        path.join(snapshotDirectory, FINGERPRINTS_FILE),
+        `${JSON.stringify(fingerprints, null, 2)}\n`,
+        "utf8",
+    );
+    return fingerprints;
+}
+
+// Reads a snapshot's tool-fingerprints.json, or computes the map when the file is missing
+// or was written by another format version.
+async function loadFingerprints(snapshotDirectory) {
+    const stored = await readOptionalJsonFile(path.join(snapshotDirectory, FINGERPRINTS_FILE));
+    if (stored?.formatVersion === FORMAT_VERSION) {
+        return stored;
+    }
+    return buildFingerprints(await loadSnapshot(snapshotDirectory));
+}
+
+function namespaceOf(command, namespaceMapping) {
+    return findToolNamespace(command, namespaceMapping)?.key ?? null;
+}
+
+// Lists the tools whose fingerprints differ between two snapshots, and groups them by
+// the namespace (and so the article) that has to be regenerated. Removed tools count
+// toward the namespace they were in; a tool that moved counts toward both.
+// brandMappings decides which namespaces are merged into a shared article.
+function buildRegenerationPlan(previous, current, { brandMappings = [] } = {}) {
+    const previousTools = previous.fingerprints.tools;
+    const currentTools = current.fingerprints.tools;
+    const tools = [];
+
+    const commands = new Set([...Object.keys(previousTools), ...Object.keys(currentTools)]);
+    for (const command of [...commands].sort(compareKeys)) {
+        const inPrevious = Object.hasOwn(previousTools, command);
+        const inCurrent = Object.hasOwn(currentTools, command);
+        const previousNamespace = inPrevious ? namespaceOf(command, previous.namespaceMapping) : null;
+        const namespace = inCurrent ? namespaceOf(command, current.namespaceMapping) : null;
+        let change = null;
+        if (!inPrevious) {
+            change = "added";
+        } else if (!inCurrent) {
+            change = "removed";
+        } else if (previousTools[command] !== currentTools[command]) {
+            change = "changed";
+        } else if (previousNamespace !== namespace) {
+            change = "moved";
+        }
+        if (change) {
+            tools.push({
+                command,
+                change,
+                namespace: change === "removed" ? previousNamespace : namespace,
+                ...(change === "moved" ? { previousNamespace } : {}),
+            });
+        }
+    }
+
+    const namespaces = new Map();
+    const addToNamespace = (key, mapping, command) => {
+        if (!key) {
+            return;
+        }
+        if (!namespaces.has(key)) {
+            const entry = mapping?.namespaces?.[key] ?? {};
+            namespaces.set(key, {
+                namespace: key,
+                fileName: namespaceArticle({ key, ...entry }, brandMappings) ?? null,
+                tools: [],
+            });
+        }
+        namespaces.get(key).tools.push(command);
+    };
+    for (const tool of tools) {
+        if (tool.change === "removed") {
+            addToNamespace(tool.namespace, previous.namespaceMapping, tool.command);
+        } else {
+            addToNamespace(tool.namespace, current.namespaceMapping, tool.command);
+            if (tool.change === "moved") {
+                addToNamespace(tool.previousNamespace, previous.namespaceMapping, tool.command);
+            }
+        }
+    }
+
+    const count = (change) => tools.filter((tool) => tool.change === change).length;
+    return {
+        fromVersion: previous.fingerprints.version,
+        toVersion: current.fingerprints.version,
+        summary: {
+            currentToolCount: current.fingerprints.toolCount,
+            regenerateTools: tools.filter((tool) => tool.change !== "removed").length,
+            added: count("added"),
+            changed: count("changed"),
+            moved: count("moved"),
+            removed: count("removed"),
+            unchanged: Object.keys(currentTools).length - count("added") - count("changed") - count("moved"),
+            namespaces: namespaces.size,
+        },
+        tools,
+        namespaces: [...namespaces.values()].sort((left, right) => compareKeys(left.namespace, right.namespace)),
+        unmatchedTools: tools.filter((tool) => tool.namespace === null).map((tool) => tool.command),
+    };
+}
+
+async function loadPlanInput(snapshotDirectory) {
+    const snapshot = await loadSnapshot(snapshotDirectory);
+    return {
+        fingerprints: await loadFingerprints(snapshotDirectory),
+        namespaceMapping: snapshot.namespaceMapping,
+    };
+}
+
+// Plans the regeneration to the latest snapshot (or to) from the snapshot before it (or from).
+// The tracked snapshot is no default: after npm run snapshot it is the latest snapshot.
+async function planRegeneration({ rootDir = __dirname, from, to, brandMappingPath } = {}) {
+    const catalog = await loadSnapshotCatalog(rootDir);
+    const find = (version) => {
+        const snapshot = catalog.find(version);
+        if (!snapshot) {
+            throw new Error(`No snapshot found for version ${version}`);
+        }
+        return snapshot;
+    };
+    const current = to ? find(to) : catalog.latest();
+    if (!current) {
+        throw new Error(`No snapshots found in ${rootDir}`);
+    }
+    const previous = from ? find(from) : catalog.previous(current.name);
+    if (!previous) {
+        throw new Error(`No snapshot before ${current.name}`);
+    }
+    return buildRegenerationPlan(await loadPlanInput(previous.directory), await loadPlanInput(current.directory), {
+        brandMappings: await loadBrandMappings(brandMappingPath),
+    });
+}
+
+function parseArguments(argv) {
+    const positional = [];
+    const options = {};
+    for (let index = 0; index < argv.length; index++) {
+        const argument = argv[index];
+        if (argument === "--from" || argument === "--output") {
+            const value = argv[++index];
+            if (value === undefined || value.startsWith("--")) {
+                throw new Error(`${argument} requires a value`);
+            }
+            options[argument.slice(2)] = value;
+        } else {
+            positional.push(argument);
+        }
+    }
+    return { positional, options };
+}
+
+async function main() {
+    const [command, ...rest] = process.argv.slice(2);
+    const { positional, options } = parseArguments(rest);
+
+    if (command === "write") {
+        // Committed historical snapshots are only changed when named explicitly
+        const catalog = await loadSnapshotCatalog(__dirname);
+        const snapshots = positional.length > 0
+            ? positional.map((version) => {
+                const snapshot = catalog.find(version);
+                if (!snapshot) {
+                    throw new Error(`No snapshot found for version ${version}`);
+                }
+                return snapshot;
+            })
+            : [catalog.tracked()];
+        for (const snapshot of snapshots) {
+            const fingerprints = await writeFingerprints(snapshot.directory);
+            console.log(`✓ ${snapshot.name}: ${fingerprints.toolCount} tools`);
+        }
+        return;
+    }
+
+    if (command === "plan" && positional.length <= 1) {
+        const plan = await planRegeneration({ from: options.from, to: positional[0] });
+        const outputPath = path.resolve(options.output ?? "regeneration-plan.json");
+        await fs.writeFile(outputPath, `${JSON.stringify(plan, null, 2)}\n`, "utf8");
+        console.log(`Regeneration plan ${plan.fromVersion} → ${plan.toVersion}`);
+        console.log(`  Tools to regenerate: ${plan.summary.regenerateTools} of ${plan.summary.currentToolCount}`);
+        console.log(`  Added: ${plan.summary.added}, changed: ${plan.summary.changed}, moved: ${plan.summary.moved}, removed: ${plan.summary.removed}`);
+        console.log(`  Namespaces: ${plan.namespaces.map((namespace) => namespace.namespace).join(", ") || "none"}`);
+        console.log(`Plan: ${outputPath}`);
+        return;
+    }
+
+    throw new Error(
+        "Usage: node tool-fingerprints.js write [<version>...]\n"
+        + "       node tool-fingerprints.js plan [<version>] [--from <version>] [--output <path>]",
+    );
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(`Failed to fingerprint tools: ${error.message}`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    FINGERPRINTS_FILE,
+    buildFingerprints,
+    buildRegenerationPlan,
+    fingerprintTool,
+    loadFingerprints,
+    planRegeneration,
+    writeFingerprints,
+};
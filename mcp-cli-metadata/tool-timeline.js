@@ -0,0 +1,262 @@
+const { loadSnapshotCatalog, satisfiesRange } = require("./snapshot-catalog");
+const { loadSnapshot } = require("./snapshot-reader");
+
+function normalizeText(value) {
+    return String(value ?? "").replace(/\r\n/g, "\n").trim();
+}
+
+function metadataValue(tool, flag) {
+    return tool.metadata?.[flag]?.value ?? null;
+}
+
+function optionsByName(tool) {
+    return new Map((tool.option ?? []).filter((option) => option?.name).map((option) => [option.name, option]));
+}
+
+function compareOptionEvents(previousTool, tool) {
+    const events = [];
+    const previousOptions = optionsByName(previousTool);
+    const currentOptions = optionsByName(tool);
+
+    for (const [name, option] of currentOptions) {
+        const previousOption = previousOptions.get(name);
+        if (!previousOption) {
+            events.push({ type: "option-added", option: name, required: option.required === true });
+            continue;
+        }
+        const from = normalizeText(previousOption.description);
+        const to = normalizeText(option.description);
+        if (from !== to) {
+            events.push({ type: "option-description-changed", option: name, from, to });
+        }
+        if ((previousOption.required === true) !== (option.required === true)) {
+            events.push({
+                type: "option-required-changed",
+                option: name,
+                from: previousOption.required === true,
+                to: option.required === true,
+            });
+        }
+    }
+    for (const name of previousOptions.keys()) {
+        if (!currentOptions.has(name)) {
+            events.push({ type: "option-removed", option: name });
+        }
+    }
+    return events;
+}
+
+function compareMetadataEvents(previousTool, tool) {
+    const flags = new Set([...Object.keys(previousTool.metadata ?? {}), ...Object.keys(tool.metadata ?? {})]);
+    const events = [];
+    for (const flag of [...flags].sort((left, right) => left.localeCompare(right, "en"))) {
+        const from = metadataValue(previousTool, flag);
+        const to = metadataValue(tool, flag);
+        if (from !== to) {
+            events.push({ type: "metadata-changed", flag, from, to });
+        }
+    }
+    return events;
+}
+
+// Snapshots must already be in version order. A tool that disappears and comes back
+// gets a "removed" and a second "added" event rather than a single lifetime.
+function buildToolTimelines(snapshots) {
+    const timelines = new Map();
+    let previousByCommand = new Map();
+
+    for (const snapshot of snapshots) {
+        const currentByCommand = new Map(snapshot.tools.filter((tool) => tool?.command).map((tool) => [tool.command, tool]));
+
+        for (const [command, tool] of currentByCommand) {
+            let timeline = timelines.get(command);
+            if (!timeline) {
+                timeline = { command, firstSeen: snapshot.version, lastSeen: null, versions: [], options: {}, events: [] };
+                timelines.set(command, timeline);
+            }
+            timeline.lastSeen = snapshot.version;
+            timeline.versions.push(snapshot.version);
+            for (const name of optionsByName(tool).keys()) {
+                (timeline.options[name] ??= []).push(snapshot.version);
+            }
+
+            const previousTool = previousByCommand.get(command);
+            const changes = previousTool
+                ? [...compareOptionEvents(previousTool, tool), ...compareMetadataEvents(previousTool, tool)]
+                : [{ type: "added" }];
+            if (previousTool && normalizeText(previousTool.description) !== normalizeText(tool.description)) {
+                changes.unshift({
+                    type: "description-changed",
+                    from: normalizeText(previousTool.description),
+                    to: normalizeText(tool.description),
+                });
+            }
+            timeline.events.push(...changes.map((change) => ({ version: snapshot.version, ...change })));
+        }
+
+        for (const command of previousByCommand.keys()) {
+            if (!currentByCommand.has(command)) {
+                timelines.get(command).events.push({ version: snapshot.version, type: "removed" });
+            }
+        }
+        previousByCommand = currentByCommand;
+    }
+
+    return timelines;
+}
+
+function filterTimelineByOption(timeline, optionName) {
+    const versions = timeline.options[optionName];
+    if (!versions) {
+        return null;
+    }
+    return {
+        ...timeline,
+        options: { [optionName]: versions },
+        events: timeline.events.filter((event) => event.option === undefined
+            ? event.type === "added" || event.type === "removed"
+            : event.option === optionName),
+    };
+}
+
+function queryToolTimelines(timelines, { tool, option } = {}) {
+    let results = [...timelines.values()];
+    if (tool) {
+        const query = tool.trim().toLowerCase();
+        results = results.filter((timeline) => timeline.command.toLowerCase() === query);
+    }
+    if (option) {
+        results = results.map((timeline) => filterTimelineByOption(timeline, option)).filter(Boolean);
+    }
+    return results.sort((left, right) => left.command.localeCompare(right.command, "en"));
+}
+
+function describeEvent(event) {
+    switch (event.type) {
+        case "added":
+            return "tool added";
+        case "removed":
+            return "tool removed";
+        case "description-changed":
+            return "description changed";
+        case "option-added":
+            return `${event.option} added${event.required ? " (required)" : ""}`;
+        case "option-removed":
+            return `${event.option} removed`;
+        case "option-description-changed":
+            return `${event.option} description changed`;
+        case "option-required-changed":
+            return `${event.option} ${event.to ? "became required" : "became optional"}`;
+        case "metadata-changed":
+            return `${event.flag}: ${event.from} → ${event.to}`;
+        default:
+            return event.type;
+    }
+}
+
+// Collapses the versions an item appeared in into runs of consecutive snapshots.
+function formatVersionRuns(versions, allVersions) {
+    const present = new Set(versions);
+    const runs = [];
+    let run = null;
+    for (const version of allVersions) {
+        if (present.has(version)) {
+            run ? run.push(version) : runs.push(run = [version]);
+        } else {
+            run = null;
+        }
+    }
+    return runs.map((versionsInRun) => versionsInRun.length === 1
+        ? versionsInRun[0]
+        : `${versionsInRun[0]} … ${versionsInRun[versionsInRun.length - 1]}`).join(", ");
+}
+
+function renderTimelineTable(timelines, { versions: allVersions, option } = {}) {
+    const lines = [];
+    for (const timeline of timelines) {
+        lines.push(`${timeline.command}`);
+        lines.push(`  First seen: ${timeline.firstSeen}`);
+        lines.push(`  Last seen:  ${timeline.lastSeen}`);
+        lines.push(`  Present in: ${formatVersionRuns(timeline.versions, allVersions)}`);
+        if (option) {
+            lines.push(`  ${option} present in: ${formatVersionRuns(timeline.options[option], allVersions)}`);
+        }
+
+        const width = Math.max("Version".length, ...timeline.events.map((event) => event.version.length));
+        lines.push("");
+        lines.push(`  ${"Version".padEnd(width)}  Change`);
+        lines.push(`  ${"-".repeat(width)}  ${"-".repeat(6)}`);
+        for (const event of timeline.events) {
+            lines.push(`  ${event.version.padEnd(width)}  ${describeEvent(event)}`);
+        }
+        lines.push("");
+    }
+    return lines.join("\n");
+}
+
+async function loadToolTimelines({ rootDir = __dirname, range } = {}) {
+    const catalog = await loadSnapshotCatalog(rootDir);
+    const selected = range
+        ? catalog.snapshots.filter((snapshot) => satisfiesRange(snapshot.semver, range))
+        : catalog.snapshots;
+    const snapshots = [];
+    for (const snapshot of selected) {
+        // Label by the catalog version so build metadata does not crowd the output.
+        snapshots.push({ ...await loadSnapshot(snapshot.directory), version: snapshot.version });
+    }
+    return {
+        versions: snapshots.map((snapshot) => snapshot.version),
+        timelines: buildToolTimelines(snapshots),
+    };
+}
+
+function parseArguments(argv) {
+    const positional = [];
+    const options = {};
+    for (let index = 0; index < argv.length; index++) {
+        const argument = argv[index];
+        if (argument === "--json") {
+            options.json = true;
+        } else if (argument === "--option" || argument === "--range") {
+            options[argument.slice(2)] = argv[++index];
+        } else {
+            positional.push(argument);
+        }
+    }
+    return { tool: positional.join(" ") || undefined, ...options };
+}
+
+async function main() {
+    const { tool, option, range, json } = parseArguments(process.argv.slice(2));
+    if (!tool && !option) {
+        throw new Error(
+            "Usage: node tool-timeline.js [<tool command>] [--option <name>] [--range <version range>] [--json]",
+        );
+    }
+    const { versions, timelines } = await loadToolTimelines({ range });
+    const results = queryToolTimelines(timelines, { tool, option });
+    if (results.length === 0) {
+        throw new Error(`No snapshot contains ${tool ? `tool "${tool}"` : "any tool"}${option ? ` with option ${option}` : ""}`);
+    }
+
+    if (json) {
+        console.log(JSON.stringify({ versions, tools: results }, null, 2));
+    } else {
+        console.log(renderTimelineTable(results, { versions, option }));
+    }
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(`Failed to build tool timeline: ${error.message}`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    buildToolTimelines,
+    formatVersionRuns,
+    loadToolTimelines,
+    queryToolTimelines,
+    renderTimelineTable,
+};
@@ -0,0 +1,224 @@
+const path = require("node:path");
+
+const { loadSnapshotCatalog } = require("./snapshot-catalog");
+const { readOptionalJsonFile } = require("./snapshot-reader");
+
+function isNonEmptyString(value) {
+    return typeof value === "string" && value.trim().length > 0;
+}
+
+function validateEnvelope(document, fileName, errors) {
+    if (!document || typeof document !== "object" || Array.isArray(document)) {
+        errors.push(`${fileName}: expected a JSON object`);
+        return false;
+    }
+    if (document.status !== 200) {
+        errors.push(`${fileName}: expected status 200, found ${JSON.stringify(document.status)}`);
+    }
+    if (!Array.isArray(document.results)) {
+        errors.push(`${fileName}: expected a results array`);
+        return false;
+    }
+    return true;
+}
+
+function reportDuplicates(values, label, errors) {
+    const seen = new Set();
+    const duplicates = new Set();
+    for (const value of values) {
+        if (seen.has(value)) {
+            duplicates.add(value);
+        }
+        seen.add(value);
+    }
+    for (const value of duplicates) {
+        errors.push(`cli-output.json: duplicate tool ${label} ${JSON.stringify(value)}`);
+    }
+}
+
+function validateTools(cliOutput, errors) {
+    if (!validateEnvelope(cliOutput, "cli-output.json", errors)) {
+        return;
+    }
+
+    cliOutput.results.forEach((tool, index) => {
+        const label = isNonEmptyString(tool?.command) ? `"${tool.command}"` : `#${index}`;
+        if (!isNonEmptyString(tool?.id)) {
+            errors.push(`cli-output.json: tool ${label} has no id`);
+        }
+        if (!isNonEmptyString(tool?.command)) {
+            errors.push(`cli-output.json: tool ${label} has no command`);
+        }
+        if (tool?.option === undefined) {
+            return;
+        }
+        if (!Array.isArray(tool.option)) {
+            errors.push(`cli-output.json: tool ${label} option is not an array`);
+            return;
+        }
+        tool.option.forEach((option, optionIndex) => {
+            const optionLabel = isNonEmptyString(option?.name) ? option.name : `#${optionIndex}`;
+            for (const field of ["name", "type", "description"]) {
+                if (!isNonEmptyString(option?.[field])) {
+                    errors.push(`cli-output.json: tool ${label} option ${optionLabel} has no ${field}`);
+                }
+            }
+        });
+    });
+
+    reportDuplicates(
+        cliOutput.results.map((tool) => tool?.id).filter(isNonEmptyString),
+        "id",
+        errors,
+    );
+    reportDuplicates(
+        cliOutput.results.map((tool) => tool?.command).filter(isNonEmptyString),
+        "command",
+        errors,
+    );
+}
+
+function validateNamespaceMapping(namespaceMapping, cliOutput, versionDocument, errors) {
+    if (!namespaceMapping || typeof namespaceMapping.namespaces !== "object" || namespaceMapping.namespaces === null) {
+        errors.push("namespace-mapping.json: expected a namespaces object");
+        return;
+    }
+
+    const namespaces = Object.values(namespaceMapping.namespaces);
+    const namespaceCount = namespaces.length;
+    if (namespaceMapping.namespace_count !== namespaceCount) {
+        errors.push(
+            `namespace-mapping.json: namespace_count is ${namespaceMapping.namespace_count}, `
+            + `but ${namespaceCount} namespaces are listed`,
+        );
+    }
+
+    const mappedToolCount = namespaces.reduce(
+        (total, namespace) => total + (Array.isArray(namespace.tools) ? namespace.tools.length : 0),
+        0,
+    );
+    if (namespaceMapping.tool_count !== mappedToolCount) {
+        errors.push(
+            `namespace-mapping.json: tool_count is ${namespaceMapping.tool_count}, `
+            + `but ${mappedToolCount} tools are listed in namespaces`,
+        );
+    }
+
+    if (Array.isArray(cliOutput?.results)) {
+        const unmatchedCount = Array.isArray(namespaceMapping.unmatched_tools)
+            ? namespaceMapping.unmatched_tools.length
+            : 0;
+        if (mappedToolCount + unmatchedCount !== cliOutput.results.length) {
+            errors.push(
+                `namespace-mapping.json: ${mappedToolCount} mapped and ${unmatchedCount} unmatched tools `
+                + `do not add up to the ${cliOutput.results.length} tools in cli-output.json`,
+            );
+        }
+    }
+
+    if (versionDocument && namespaceMapping.source_version !== versionDocument.version) {
+        errors.push(
+            `namespace-mapping.json: source_version ${JSON.stringify(namespaceMapping.source_version)} `
+            + `does not match cli-version.json version ${JSON.stringify(versionDocument.version)}`,
+        );
+    }
+}
+
+function validateSnapshotDocuments({
+    versionDocument,
+    cliOutput,
+    cliNamespace,
+    namespaceMapping,
+}) {
+    const errors = [];
+
+    if (!isNonEmptyString(versionDocument?.version)) {
+        errors.push("cli-version.json: expected a version string");
+    }
+    validateTools(cliOutput, errors);
+    if (validateEnvelope(cliNamespace, "cli-namespace.json", errors)) {
+        const namespaceNames = cliNamespace.results.map((namespace) => namespace?.name);
+        if (namespaceNames.some((name) => !isNonEmptyString(name))) {
+            errors.push("cli-namespace.json: every namespace needs a name");
+        }
+    }
+    validateNamespaceMapping(namespaceMapping, cliOutput, versionDocument, errors);
+
+    return errors;
+}
+
+async function validateSnapshotDirectory(snapshotDirectory) {
+    const directory = path.resolve(snapshotDirectory);
+    const documents = {};
+    const errors = [];
+
+    for (const [key, fileName] of [
+        ["versionDocument", "cli-version.json"],
+        ["cliOutput", "cli-output.json"],
+        ["cliNamespace", "cli-namespace.json"],
+        ["namespaceMapping", "namespace-mapping.json"],
+    ]) {
+        try {
+            documents[key] = await readOptionalJsonFile(path.join(directory, fileName));
+            if (documents[key] === null) {
+                errors.push(`${fileName}: file is missing`);
+            }
+        } catch (error) {
+            errors.push(`${fileName}: ${error.message}`);
+            documents[key] = null;
+        }
+    }
+
+    if (errors.length > 0) {
+        return errors;
+    }
+    return validateSnapshotDocuments(documents);
+}
+
+async function assertValidSnapshotDirectory(snapshotDirectory) {
+    const errors = await validateSnapshotDirectory(snapshotDirectory);
+    if (errors.length > 0) {
+        throw new Error(
+            `Invalid CLI metadata in ${snapshotDirectory}:\n${errors.map((error) => `  - ${error}`).join("\n")}`,
+        );
+    }
+}
+
+async function main() {
+    const rootDir = __dirname;
+    const snapshots = process.argv.slice(2);
+    const directories = snapshots.length > 0
+        ? snapshots.map((snapshot) => path.resolve(rootDir, snapshot))
+        : [(await loadSnapshotCatalog(rootDir)).tracked().directory];
+
+    let invalidCount = 0;
+    for (const directory of directories) {
+        const errors = await validateSnapshotDirectory(directory);
+        if (errors.length === 0) {
+            console.log(`✓ ${path.basename(directory)}`);
+            continue;
+        }
+        invalidCount++;
+        console.error(`✗ ${path.basename(directory)}`);
+        for (const error of errors) {
+            console.error(`  - ${error}`);
+        }
+    }
+
+    if (invalidCount > 0) {
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(`Failed to validate CLI metadata: ${error.message}`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    assertValidSnapshotDirectory,
+    validateSnapshotDirectory,
+    validateSnapshotDocuments,
+};
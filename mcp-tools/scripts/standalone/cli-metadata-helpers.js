@@ -0,0 +1,233 @@
+const fs = require('fs');
+const path = require('path');
+
+const { loadSnapshotCatalogSync } = require('../../../mcp-cli-metadata/snapshot-catalog');
+const { loadSnapshotSync } = require('../../../mcp-cli-metadata/snapshot-reader');
+
+// Shared helpers for the standalone scripts that compare published includes with
+// the CLI metadata snapshots in mcp-cli-metadata/
+
+const repoRoot = path.join(__dirname, '..', '..', '..');
+const metadataDir = path.join(repoRoot, 'mcp-cli-metadata');
+const dataDir = path.join(repoRoot, 'mcp-tools', 'data');
+const annotationTemplatePath = path.join(repoRoot, 'mcp-tools', 'templates', 'annotation-template.hbs');
+
+// Table columns rendered by mcp-tools/templates/annotation-template.hbs
+const annotationColumns = {
+    'Destructive': 'destructive',
+    'Idempotent': 'idempotent',
+    'Open World': 'openWorld',
+    'Read Only': 'readOnly',
+    'Secret': 'secret',
+    'Local Required': 'localRequired'
+};
+
+function readJson(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8').replace(/^\uFEFF/, ''));
+}
+
+function findTrackedSnapshot() {
+    return loadSnapshotCatalogSync(metadataDir).tracked().directory;
+}
+
+// Loads the tools from a snapshot directory, or from the tracked snapshot by default,
+// with mcp-cli-metadata/snapshot-reader.js, so packed snapshots are read too.
+// namespaceMapping is null for snapshots without namespace-mapping.json.
+function loadSnapshot(snapshotDir = findTrackedSnapshot()) {
+    return { name: path.basename(path.resolve(snapshotDir)), ...loadSnapshotSync(snapshotDir) };
+}
+
+// Loads the data files used by ToolFileNameBuilder
+function loadFileNameData() {
+    const brandMappings = readJson(path.join(dataDir, 'brand-to-server-mapping.json'))
+        .filter(mapping => mapping.mcpServerName && mapping.mcpServerName.trim());
+    return {
+        brandMappings: brandMappings,
+        brandFileNames: new Map(brandMappings.map(mapping => [mapping.mcpServerName, mapping.fileName])),
+        compoundWords: new Map(Object.entries(readJson(path.join(dataDir, 'compound-words.json')))),
+        stopWords: new Set(readJson(path.join(dataDir, 'stop-words.json')))
+    };
+}
+
+// Port of ToolFileNameBuilder.BuildBaseFileName in shared/DocGeneration.Core.Shared
+function buildBaseFileName(command, nameData) {
+    const parts = command.split(' ').filter(part => part.length > 0);
+    if (parts.length === 0) {
+        return 'unknown';
+    }
+
+    const area = parts[0];
+    let brandPrefix = nameData.brandFileNames.get(area)
+        || nameData.compoundWords.get(area.toLowerCase())
+        || area.toLowerCase();
+    if (!brandPrefix.toLowerCase().startsWith('azure-')) {
+        brandPrefix = `azure-${brandPrefix}`;
+    }
+
+    const cleaned = [];
+    for (const part of parts.slice(1).join('-').toLowerCase().split('-')) {
+        if (!part.trim()) {
+            continue;
+        }
+        const pieces = nameData.compoundWords.has(part) ? nameData.compoundWords.get(part).split('-') : [part];
+        cleaned.push(...pieces.map(piece => piece.toLowerCase()).filter(piece => !nameData.stopWords.has(piece)));
+    }
+
+    return cleaned.length > 0 ? `${brandPrefix}-${cleaned.join('-')}` : brandPrefix;
+}
+
+function buildAnnotationFileName(command, nameData) {
+    return `${buildBaseFileName(command, nameData)}-annotations.md`;
+}
+
+// Acronyms from TransformationConfigFactory.BuildLegacyAcronyms in shared/DocGeneration.Core.TextTransformation
+const parameterAcronyms = {
+    id: 'ID', ids: 'IDs', uri: 'URI', url: 'URL', urls: 'URLs', ai: 'AI', api: 'API', apis: 'APIs',
+    cpu: 'CPU', gpu: 'GPU', ip: 'IP', sql: 'SQL', vm: 'VM', vms: 'VMs', dns: 'DNS', sku: 'SKU',
+    skus: 'SKUs', tls: 'TLS', ssl: 'SSL', http: 'HTTP', https: 'HTTPS', json: 'JSON', xml: 'XML',
+    yaml: 'YAML', oauth: 'OAuth', etag: 'ETag', cdn: 'CDN', rg: 'Resource group'
+};
+
+// Loads the data files used by TextNormalizer.NormalizeParameter. Lookups are
+// case-insensitive, so keys are lowercased; the first entry for a key wins.
+function loadParameterNameData() {
+    const toMap = (entries, map = new Map()) => {
+        for (const entry of entries) {
+            if (entry.Parameter && !map.has(entry.Parameter.toLowerCase())) {
+                map.set(entry.Parameter.toLowerCase(), entry.NaturalLanguage);
+            }
+        }
+        return map;
+    };
+    // nl-parameters.json entries come before static-text-replacement.json entries
+    const words = toMap(readJson(path.join(dataDir, 'nl-parameters.json')));
+    return {
+        identifiers: toMap(readJson(path.join(dataDir, 'nl-parameter-identifiers.json'))),
+        words: toMap(readJson(path.join(dataDir, 'static-text-replacement.json')), words)
+    };
+}
+
+// Port of TextNormalizer.NormalizeParameter: "--resource-group" -> "Resource group"
+function normalizeParameterName(parameterName, nameData) {
+    const name = (parameterName || '').replace(/^--/, '');
+    if (!name) {
+        return 'Unknown';
+    }
+    const key = name.toLowerCase();
+    if (nameData.identifiers.has(key)) {
+        return nameData.identifiers.get(key);
+    }
+    if (nameData.words.has(key)) {
+        return nameData.words.get(key);
+    }
+    if (!name.split('-')[0]) {
+        return 'Unknown';
+    }
+
+    const acronymForms = new Set(Object.values(parameterAcronyms));
+    const words = name.split('-').map(word => {
+        if (!word) {
+            return word;
+        }
+        const lower = word.toLowerCase();
+        return parameterAcronyms[lower] || nameData.words.get(lower) || word[0].toUpperCase() + word.slice(1);
+    });
+    return words
+        .map((word, index) => (index === 0 || acronymForms.has(word) ? word : word.toLowerCase()))
+        .join(' ')
+        .replace(/\./g, '');
+}
+
+// Shared options such as --tenant and --subscription, from data/common-parameters.json
+function loadCommonParameters() {
+    return readJson(path.join(dataDir, 'common-parameters.json'));
+}
+
+// Finds the brand mapping for a command, preferring the longest server name
+// (the same rule as NamespaceMappingEmitter)
+function findBrandMapping(command, nameData) {
+    const lowerCommand = command.toLowerCase();
+    return [...nameData.brandMappings]
+        .sort((left, right) => right.mcpServerName.length - left.mcpServerName.length)
+        .find(mapping => {
+            const prefix = mapping.mcpServerName.replace(/_/g, ' ').toLowerCase();
+            return lowerCommand === prefix || lowerCommand.startsWith(`${prefix} `);
+        }) || null;
+}
+
+// Returns { command, noMetadata, values } where values maps metadata keys to booleans
+function parseAnnotationInclude(content) {
+    const lines = content.replace(/\r\n/g, '\n').split('\n');
+    const commandComment = lines.find(line => /^#\s*azmcp\s+\S/.test(line));
+    const parsed = {
+        command: commandComment ? commandComment.replace(/^#\s*azmcp\s+/, '').trim() : null,
+        noMetadata: lines.some(line => line.trim() === 'No metadata available'),
+        values: null
+    };
+
+    const splitRow = line => line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+    for (let i = 0; i + 2 < lines.length; i++) {
+        const headers = splitRow(lines[i]);
+        if (!lines[i].trim().startsWith('|') || !headers.includes('Destructive')) {
+            continue;
+        }
+        const cells = splitRow(lines[i + 2]);
+        parsed.values = {};
+        headers.forEach((header, index) => {
+            const key = annotationColumns[header];
+            if (key && (cells[index] === '✅' || cells[index] === '❌')) {
+                parsed.values[key] = cells[index] === '✅';
+            }
+        });
+        break;
+    }
+    return parsed;
+}
+
+// Renders an annotation include the way AnnotationGenerator does: the frontmatter from
+// FrontmatterUtility.GenerateAnnotationFrontmatter followed by annotation-template.hbs.
+// The header and separator rows are read from the template so the two cannot drift.
+function renderAnnotationInclude(tool, fileName, version, now = new Date()) {
+    const tableRows = fs.readFileSync(annotationTemplatePath, 'utf-8')
+        .replace(/\r\n/g, '\n')
+        .split('\n')
+        .filter(line => line.startsWith('|') && !line.includes('{{'));
+    const metadata = tool.metadata || {};
+    const hasMetadata = Object.values(annotationColumns).some(key => metadata[key]);
+    const value = key => (metadata[key] && metadata[key].value === true ? '✅' : '❌');
+    const iso = now.toISOString();
+
+    const lines = [
+        '---',
+        'ms.topic: include',
+        `ms.date: ${iso.slice(0, 10)}`,
+        `mcp-cli.version: ${version || 'unknown'}`,
+        `generated: ${iso.slice(0, 10)} ${iso.slice(11, 19)} UTC`,
+        `# [!INCLUDE [${tool.command}](../includes/tools/annotations/${fileName})]`,
+        `# azmcp ${tool.command}`,
+        '---',
+        ''
+    ];
+    if (hasMetadata) {
+        lines.push(...tableRows, `| ${Object.values(annotationColumns).map(value).join(' | ')} |`);
+    } else {
+        lines.push('No metadata available');
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+    annotationColumns,
+    buildAnnotationFileName,
+    buildBaseFileName,
+    findBrandMapping,
+    findTrackedSnapshot,
+    loadCommonParameters,
+    loadFileNameData,
+    loadParameterNameData,
+    loadSnapshot,
+    normalizeParameterName,
+    parseAnnotationInclude,
+    renderAnnotationInclude,
+    repoRoot
+};
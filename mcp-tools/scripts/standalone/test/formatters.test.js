@@ -0,0 +1,96 @@
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const test = require('node:test');
+
+const { formatReport } = require('../verifiers/formatters');
+
+const articlesRoot = path.join(path.sep, 'repo', 'articles', 'azure-mcp-server');
+const baseDirectory = path.join(path.sep, 'repo');
+const now = new Date('2026-01-02T03:04:05Z');
+
+const result = {
+    articlesRoot: articlesRoot,
+    rules: [
+        { id: 'annotation-hint-missing', severity: 'error', description: 'Hint lines are present' },
+        { id: 'annotation-orphaned', severity: 'warning', description: 'Annotation files are included' },
+        { id: 'annotation-multiple-references', severity: 'warning', description: 'Annotation files are included once' }
+    ],
+    findings: [
+        { ruleId: 'annotation-hint-missing', severity: 'error', file: 'tools/azure-storage.md', line: 12, message: 'INCLUDE of `a & b.md` is not preceded by "hint"' },
+        { ruleId: 'annotation-orphaned', severity: 'warning', file: 'includes/tools/annotations/azure-orphan-annotations.md', message: 'Not included <anywhere>' }
+    ]
+};
+
+test('formats JSON with a summary and every finding', () => {
+    const report = JSON.parse(formatReport(result, 'json', { now }));
+
+    assert.equal(report.generatedAt, '2026-01-02T03:04:05.000Z');
+    assert.equal(report.articlesRoot, articlesRoot);
+    assert.deepEqual(report.summary, { errors: 1, warnings: 1, waived: 0 });
+    assert.deepEqual(report.rules, result.rules);
+    assert.deepEqual(report.findings, result.findings);
+});
+
+test('formats SARIF results with repo-relative locations', () => {
+    const sarif = JSON.parse(formatReport(result, 'sarif', { baseDirectory }));
+    const [run] = sarif.runs;
+
+    assert.equal(sarif.version, '2.1.0');
+    assert.deepEqual(run.tool.driver.rules.map(rule => [rule.id, rule.defaultConfiguration.level]), [
+        ['annotation-hint-missing', 'error'],
+        ['annotation-orphaned', 'warning'],
+        ['annotation-multiple-references', 'warning']
+    ]);
+    assert.deepEqual(run.results[0], {
+        ruleId: 'annotation-hint-missing',
+        ruleIndex: 0,
+        level: 'error',
+        message: { text: 'INCLUDE of `a & b.md` is not preceded by "hint"' },
+        locations: [{
+            physicalLocation: {
+                artifactLocation: { uri: 'articles/azure-mcp-server/tools/azure-storage.md', uriBaseId: '%SRCROOT%' },
+                region: { startLine: 12 }
+            }
+        }]
+    });
+    assert.equal(run.results[1].ruleIndex, 1);
+    assert.equal(run.results[1].locations[0].physicalLocation.region, undefined);
+});
+
+test('formats JUnit with a suite per rule, failing only on errors', () => {
+    const xml = formatReport(result, 'junit', { now, baseDirectory });
+
+    assert.match(xml, /^<\?xml version="1\.0" encoding="UTF-8"\?>\n<testsuites name="verify-articles" tests="3" failures="1" errors="0">/);
+    assert.match(xml, /<testsuite name="annotation-hint-missing" tests="1" failures="1" errors="0" timestamp="2026-01-02T03:04:05\.000Z">/);
+    assert.match(xml, /<testcase classname="annotation-hint-missing" name="articles\/azure-mcp-server\/tools\/azure-storage\.md:12"><failure type="annotation-hint-missing" message="INCLUDE of `a &amp; b\.md` is not preceded by &quot;hint&quot;">/);
+    assert.match(xml, /<testsuite name="annotation-orphaned" tests="1" failures="0"[^>]*>\n    <testcase classname="annotation-orphaned" name="articles\/azure-mcp-server\/includes\/tools\/annotations\/azure-orphan-annotations\.md"><system-out>warning: [^<]*Not included &lt;anywhere&gt;<\/system-out><\/testcase>/);
+    assert.match(xml, /<testcase classname="annotation-multiple-references" name="Annotation files are included once"\/>/);
+    assert.match(xml, /<\/testsuites>\n$/);
+});
+
+test('reports waived findings separately in every format', () => {
+    const waived = { ruleId: 'annotation-orphaned', severity: 'warning', file: 'includes/tools/annotations/kept.md', message: 'Not included', waiver: { reason: 'Kept for 3.0', expires: '2026-12-31' } };
+    const waivedResult = { ...result, waived: [waived] };
+
+    const markdown = formatReport(waivedResult, 'markdown', { now });
+    assert.match(markdown, /- \*\*🔕 Waived:\*\* 1/);
+    assert.match(markdown, /## 🔕 Waived Findings\n[\s\S]*\| `annotation-orphaned` \| `includes\/tools\/annotations\/kept\.md` \|  \| Not included \| Kept for 3\.0 \| 2026-12-31 \|/);
+
+    const json = JSON.parse(formatReport(waivedResult, 'json', { now }));
+    assert.deepEqual(json.summary, { errors: 1, warnings: 1, waived: 1 });
+    assert.deepEqual(json.waived, [waived]);
+
+    const [run] = JSON.parse(formatReport(waivedResult, 'sarif', { baseDirectory })).runs;
+    assert.equal(run.results.length, 3);
+    assert.deepEqual(run.results[2].suppressions, [{ kind: 'external', justification: 'Kept for 3.0' }]);
+    assert.equal(run.results[0].suppressions, undefined);
+
+    const xml = formatReport(waivedResult, 'junit', { now, baseDirectory });
+    assert.match(xml, /<testsuites name="verify-articles" tests="4" failures="1" errors="0" skipped="1">/);
+    assert.match(xml, /<testsuite name="annotation-orphaned" tests="2" failures="0" errors="0" skipped="1"[^>]*>/);
+    assert.match(xml, /name="articles\/azure-mcp-server\/includes\/tools\/annotations\/kept\.md"><skipped message="Waived: Kept for 3\.0"\/><\/testcase>/);
+});
+
+test('rejects unknown formats', () => {
+    assert.throws(() => formatReport(result, 'html'), /Unknown format "html"/);
+});
@@ -0,0 +1,168 @@
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+
+const { parseArgs, verifyAnnotationHints } = require('../verify-annotation-hints');
+
+const scriptPath = path.join(__dirname, '..', 'verify-annotation-hints.js');
+const hint = '[Tool annotation hints](index.md#tool-annotations-for-azure-mcp-server):';
+
+function include(command, fileName) {
+    return `[!INCLUDE [${command}](../includes/tools/annotations/${fileName})]`;
+}
+
+// Writes a fixture article tree outside the repo, plus a report path next to it
+async function createFixture(t) {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'verify-hints-test-'));
+    t.after(() => fs.rm(directory, { recursive: true, force: true }));
+    const articlesRoot = path.join(directory, 'articles');
+    await fs.mkdir(path.join(articlesRoot, 'tools'), { recursive: true });
+    await fs.writeFile(path.join(articlesRoot, 'tools', 'index.md'), '# Tools\n\n## Tool annotations for Azure MCP Server\n');
+    await fs.writeFile(path.join(articlesRoot, 'tools', 'azure-storage.md'), [
+        '## Account get',
+        '',
+        include('storage account get', 'azure-storage-account-get-annotations.md'),
+        '',
+        '## Account list',
+        '[Tool annotation hints](index.md#tool-annotation-hints):',
+        '',
+        include('storage account list', 'azure-storage-account-list-annotations.md'),
+        ''
+    ].join('\r\n'));
+    return { directory, articlesRoot, articlePath: path.join(articlesRoot, 'tools', 'azure-storage.md') };
+}
+
+function run(fixture, ...args) {
+    const result = spawnSync(process.execPath, [
+        scriptPath,
+        '--articles-root', fixture.articlesRoot,
+        '--waivers', path.join(fixture.directory, 'no-waivers.json'),
+        '--report', path.join(fixture.directory, 'report.md'),
+        ...args
+    ], { encoding: 'utf-8' });
+    return { status: result.status, stdout: result.stdout };
+}
+
+test('prints the fixes as a diff relative to the articles root with --dry-run', async (t) => {
+    const fixture = await createFixture(t);
+    const original = await fs.readFile(fixture.articlePath, 'utf-8');
+
+    const { status, stdout } = run(fixture, '--dry-run');
+
+    assert.equal(status, 1);
+    assert.equal(await fs.readFile(fixture.articlePath, 'utf-8'), original);
+    const diff = stdout.slice(stdout.indexOf('--- '), stdout.indexOf('✅ Tool annotation hints verification complete!'));
+    assert.equal(diff, [
+        '--- a/tools/azure-storage.md',
+        '+++ b/tools/azure-storage.md',
+        '@@ -1,9 +1,11 @@',
+        ' ## Account get',
+        ' ',
+        `+${hint}`,
+        '+',
+        ` ${include('storage account get', 'azure-storage-account-get-annotations.md')}`,
+        ' ',
+        ' ## Account list',
+        '-[Tool annotation hints](index.md#tool-annotation-hints):',
+        '-',
+        `+${hint}`,
+        '+',
+        ` ${include('storage account list', 'azure-storage-account-list-annotations.md')}`,
+        ' ',
+        ''
+    ].join('\n'));
+    assert.match(stdout, /Files that --fix would change:\n {2}azure-storage\.md \(2 hint lines\)/);
+});
+
+test('inserts missing hints and replaces stale ones with --fix, keeping line endings', async (t) => {
+    const fixture = await createFixture(t);
+
+    const { status, stdout } = run(fixture, '--fix');
+
+    assert.equal(status, 0);
+    assert.match(stdout, /Files changed:\n {2}azure-storage\.md \(2 hint lines\)/);
+    assert.equal(await fs.readFile(fixture.articlePath, 'utf-8'), [
+        '## Account get',
+        '',
+        hint,
+        '',
+        include('storage account get', 'azure-storage-account-get-annotations.md'),
+        '',
+        '## Account list',
+        hint,
+        '',
+        include('storage account list', 'azure-storage-account-list-annotations.md'),
+        ''
+    ].join('\r\n'));
+    assert.match(await fs.readFile(path.join(fixture.directory, 'report.md'), 'utf-8'), /\*\*🔧 Fixed:\*\* 2 hint lines in 1 files/);
+
+    const rerun = run(fixture, '--fix');
+    assert.equal(rerun.status, 0);
+    assert.match(rerun.stdout, /✅ All checks passed!/);
+});
+
+test('can be called as a library without writing unless fix is set', async (t) => {
+    const fixture = await createFixture(t);
+    const original = await fs.readFile(fixture.articlePath, 'utf-8');
+    const waiversPath = path.join(fixture.directory, 'no-waivers.json');
+
+    const results = verifyAnnotationHints({ articlesRoot: fixture.articlesRoot, waiversPath });
+
+    assert.equal(results.missing.length, 2);
+    assert.deepEqual(results.changedFiles.map(item => [item.file, item.hints]), [['azure-storage.md', 2]]);
+    assert.match(results.changedFiles[0].diff, /^--- a\/tools\/azure-storage\.md$/m);
+    assert.equal(await fs.readFile(fixture.articlePath, 'utf-8'), original);
+
+    verifyAnnotationHints({ articlesRoot: fixture.articlesRoot, waiversPath, fix: true });
+    assert.equal(verifyAnnotationHints({ articlesRoot: fixture.articlesRoot, waiversPath }).missing.length, 0);
+});
+
+test('parses options and never writes on a dry run', () => {
+    const options = parseArgs(['--fix', '--dry-run', '--articles-root', 'articles']);
+    assert.equal(options.fix, false);
+    assert.equal(options.dryRun, true);
+    assert.equal(options.articlesRoot, path.resolve('articles'));
+    assert.throws(() => parseArgs(['--report']), /--report requires a value/);
+    assert.throws(() => parseArgs(['--repair']), /Unknown argument "--repair"/);
+});
+
+test('writes SARIF findings with --format, without the hints --fix inserted', async (t) => {
+    const fixture = await createFixture(t);
+    const sarifPath = path.join(fixture.directory, 'report.sarif');
+
+    const { status } = run(fixture, '--format', 'sarif', '--report', sarifPath);
+
+    assert.equal(status, 1);
+    const sarif = JSON.parse(await fs.readFile(sarifPath, 'utf-8'));
+    assert.deepEqual(sarif.runs[0].results.map(result => [result.ruleId, result.locations[0].physicalLocation.region.startLine]), [
+        ['annotation-hint-missing', 3],
+        ['annotation-hint-missing', 8]
+    ]);
+
+    const fixed = run(fixture, '--fix', '--format', 'json', '--report', path.join(fixture.directory, 'report.json'));
+    assert.equal(fixed.status, 0);
+    assert.deepEqual(JSON.parse(await fs.readFile(path.join(fixture.directory, 'report.json'), 'utf-8')).findings, []);
+});
+
+test('requires the hint line the tool family template generates and replaces only the old anchor', async (t) => {
+    const template = await fs.readFile(path.join(__dirname, '..', '..', '..', 'templates', 'tool-family-page.hbs'), 'utf-8');
+    assert.ok(template.split(/\r?\n/).includes(hint));
+
+    const fixture = await createFixture(t);
+    const other = '[Tool annotation hints](other.md#hints):';
+    await fs.writeFile(fixture.articlePath, [other, include('storage account get', 'azure-storage-account-get-annotations.md'), ''].join('\n'));
+
+    run(fixture, '--fix');
+
+    assert.equal(await fs.readFile(fixture.articlePath, 'utf-8'), [
+        other,
+        '',
+        hint,
+        '',
+        include('storage account get', 'azure-storage-account-get-annotations.md'),
+        ''
+    ].join('\n'));
+});
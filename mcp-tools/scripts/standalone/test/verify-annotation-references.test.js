@@ -0,0 +1,201 @@
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+
+const { verifyArticles } = require('../verifiers');
+const { parseArgs, verifyAnnotationReferences } = require('../verify-annotation-references');
+
+const scriptPath = path.join(__dirname, '..', 'verify-annotation-references.js');
+const hint = '[Tool annotation hints](index.md#tool-annotations-for-azure-mcp-server):';
+
+function include(command, fileName) {
+    return `[!INCLUDE [${command}](../includes/tools/annotations/${fileName})]`;
+}
+
+// Writes a fixture article tree, a CLI snapshot and a report path in one temporary directory
+async function createFixture(t, files) {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'verify-references-test-'));
+    t.after(() => fs.rm(directory, { recursive: true, force: true }));
+    const articlesRoot = path.join(directory, 'articles');
+    for (const [relativePath, content] of Object.entries(files)) {
+        await fs.mkdir(path.dirname(path.join(articlesRoot, relativePath)), { recursive: true });
+        await fs.writeFile(path.join(articlesRoot, relativePath), content);
+    }
+    const snapshotDir = path.join(directory, 'snapshot');
+    await fs.mkdir(snapshotDir);
+    await fs.writeFile(path.join(snapshotDir, 'cli-version.json'), JSON.stringify({ version: '3.0.0-beta.5' }));
+    await fs.writeFile(path.join(snapshotDir, 'cli-output.json'), JSON.stringify({
+        status: 200,
+        results: [
+            { command: 'storage account get', metadata: { readOnly: { value: true } } },
+            { command: 'storage account list', metadata: { readOnly: { value: true } } }
+        ]
+    }));
+    return { directory, articlesRoot, snapshotDir, reportPath: path.join(directory, 'report.md') };
+}
+
+function run(fixture, ...args) {
+    const result = spawnSync(process.execPath, [
+        scriptPath,
+        '--articles-root', fixture.articlesRoot,
+        '--snapshot', fixture.snapshotDir,
+        '--waivers', path.join(fixture.directory, 'no-waivers.json'),
+        '--report', fixture.reportPath,
+        ...args
+    ], { encoding: 'utf-8' });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+async function exists(filePath) {
+    return fs.access(filePath).then(() => true, () => false);
+}
+
+const articleTree = {
+    'tools/index.md': '# Tools\n\n## Tool annotations for Azure MCP Server\n',
+    'tools/azure-storage.md': [
+        '## Account get',
+        '',
+        hint,
+        '',
+        include('storage account get', 'azure-storage-account-get-annotations.md'),
+        '',
+        '## Account list',
+        '',
+        hint,
+        '',
+        include('storage account list', 'azure-storage-account-list-annotations.md'),
+        ''
+    ].join('\n'),
+    'includes/tools/annotations/azure-storage-account-get-annotations.md': 'No metadata available\n',
+    'includes/tools/annotations/azure-orphan-annotations.md': 'Nothing includes this file.\n'
+};
+
+test('reports orphaned and missing files without changing them', async (t) => {
+    const fixture = await createFixture(t, articleTree);
+    const annotationsDir = path.join(fixture.articlesRoot, 'includes', 'tools', 'annotations');
+
+    const { status } = run(fixture);
+
+    assert.equal(status, 1);
+    assert.equal(await exists(path.join(annotationsDir, 'azure-orphan-annotations.md')), true);
+    assert.equal(await exists(path.join(annotationsDir, 'azure-storage-account-list-annotations.md')), false);
+    const report = await fs.readFile(fixture.reportPath, 'utf-8');
+    assert.match(report, /## ❌ Orphaned Annotation Files\n\n.*\n\n- `azure-orphan-annotations\.md`/);
+    assert.match(report, /## 🔴 Missing Annotation Files\n\n.*\n\n- \*\*azure-storage-account-list-annotations\.md\*\*/);
+    assert.doesNotMatch(report, /Repair Actions/);
+});
+
+test('archives orphans where the include checks skip them and creates missing files', async (t) => {
+    const fixture = await createFixture(t, articleTree);
+    const annotationsDir = path.join(fixture.articlesRoot, 'includes', 'tools', 'annotations');
+    const archiveDir = path.join(fixture.articlesRoot, 'includes', 'tools', 'annotations-archive', new Date().toISOString().slice(0, 10));
+
+    const { status } = run(fixture, '--repair');
+
+    assert.equal(status, 0);
+    assert.equal(await exists(path.join(annotationsDir, 'azure-orphan-annotations.md')), false);
+    assert.equal(await fs.readFile(path.join(archiveDir, 'azure-orphan-annotations.md'), 'utf-8'), 'Nothing includes this file.\n');
+    const created = await fs.readFile(path.join(annotationsDir, 'azure-storage-account-list-annotations.md'), 'utf-8');
+    assert.match(created, /^# azmcp storage account list$/m);
+    assert.match(created, /^mcp-cli\.version: 3\.0\.0-beta\.5$/m);
+
+    const report = await fs.readFile(fixture.reportPath, 'utf-8');
+    assert.match(report, /- Archived orphaned `azure-orphan-annotations\.md` to `\.\.\/annotations-archive\/\d{4}-\d{2}-\d{2}\/azure-orphan-annotations\.md`/);
+    assert.match(report, /- Created `azure-storage-account-list-annotations\.md` from the `storage account list` metadata in `snapshot`/);
+    assert.doesNotMatch(report, /Orphaned Annotation Files|Missing Annotation Files/);
+    assert.match(report, /\*\*❌ Not referenced \(orphaned\):\*\* 0/);
+
+    // The archive is not an include file, so it is neither unreachable nor orphaned
+    const { findings } = verifyArticles({
+        articlesRoot: fixture.articlesRoot,
+        ruleIds: ['include-unreachable', 'annotation-orphaned', 'annotation-include-missing'],
+        waiversPath: path.join(fixture.directory, 'no-waivers.json')
+    });
+    assert.deepEqual(findings, []);
+});
+
+test('deletes orphans with --prune and refuses to create files outside the annotations directory', async (t) => {
+    const fixture = await createFixture(t, {
+        ...articleTree,
+        'tools/azure-other.md': [hint, '', include('storage account list', '../../../../escaped.md'), ''].join('\n')
+    });
+    const annotationsDir = path.join(fixture.articlesRoot, 'includes', 'tools', 'annotations');
+
+    const { status } = run(fixture, '--prune');
+
+    assert.equal(status, 1);
+    assert.equal(await exists(path.join(annotationsDir, 'azure-orphan-annotations.md')), false);
+    assert.equal(await exists(path.join(fixture.articlesRoot, 'includes', 'tools', 'annotations-archive')), false);
+    assert.equal(await exists(path.join(fixture.directory, 'escaped.md')), false);
+    const report = await fs.readFile(fixture.reportPath, 'utf-8');
+    assert.match(report, /- Deleted orphaned `azure-orphan-annotations\.md`/);
+    assert.match(report, /- Could not create `\.\.\/\.\.\/\.\.\/\.\.\/escaped\.md` \(referenced in `azure-other\.md`\): the name resolves outside `includes\/tools\/annotations`/);
+    assert.match(report, /## 🔴 Missing Annotation Files\n\n.*\n\n- \*\*\.\.\/\.\.\/\.\.\/\.\.\/escaped\.md\*\*/);
+});
+
+test('can be called as a library and lists the repair actions it took', async (t) => {
+    const fixture = await createFixture(t, articleTree);
+    const options = {
+        articlesRoot: fixture.articlesRoot,
+        snapshotDir: fixture.snapshotDir,
+        waiversPath: path.join(fixture.directory, 'no-waivers.json')
+    };
+
+    const checked = verifyAnnotationReferences(options);
+    assert.deepEqual(checked.report.details.noReferences, ['azure-orphan-annotations.md']);
+    assert.deepEqual(checked.actions, []);
+
+    const repaired = verifyAnnotationReferences({ ...options, prune: true, repair: true });
+    assert.deepEqual(repaired.actions, [
+        'Deleted orphaned `azure-orphan-annotations.md`',
+        'Created `azure-storage-account-list-annotations.md` from the `storage account list` metadata in `snapshot`'
+    ]);
+    assert.deepEqual(repaired.report.details.noReferences, []);
+    assert.deepEqual(repaired.report.details.missingFiles, []);
+});
+
+test('parses options, with --prune implying --repair', () => {
+    const options = parseArgs(['--prune', '--snapshot', 'snapshot']);
+    assert.equal(options.repair, true);
+    assert.equal(options.snapshotDir, path.resolve('snapshot'));
+    assert.throws(() => parseArgs(['--snapshot']), /--snapshot requires a value/);
+    assert.throws(() => parseArgs(['--fix']), /Unknown argument "--fix"/);
+});
+
+test('writes JUnit and JSON findings with --format, without the ones a repair fixed', async (t) => {
+    const fixture = await createFixture(t, articleTree);
+    const junitPath = path.join(fixture.directory, 'report.xml');
+
+    const { status } = run(fixture, '--format', 'junit', '--report', junitPath);
+
+    assert.equal(status, 1);
+    const junit = await fs.readFile(junitPath, 'utf-8');
+    assert.match(junit, /<testsuite name="annotation-include-missing" tests="1" failures="1"/);
+    assert.match(junit, /<testcase classname="annotation-orphaned" name="[^"]*includes\/tools\/annotations\/azure-orphan-annotations\.md">/);
+
+    const jsonPath = path.join(fixture.directory, 'report.json');
+    const repaired = run(fixture, '--repair', '--format', 'json', '--report', jsonPath);
+    assert.equal(repaired.status, 0);
+    assert.deepEqual(JSON.parse(await fs.readFile(jsonPath, 'utf-8')).findings, []);
+    assert.throws(() => parseArgs(['--format', 'html']), /Unknown format "html"/);
+});
+
+test('keeps the earlier archived copy when a repair runs twice on the same day', async (t) => {
+    const fixture = await createFixture(t, articleTree);
+    const orphanPath = path.join(fixture.articlesRoot, 'includes', 'tools', 'annotations', 'azure-orphan-annotations.md');
+    const archiveDir = path.join(fixture.articlesRoot, 'includes', 'tools', 'annotations-archive', new Date().toISOString().slice(0, 10));
+
+    assert.equal(run(fixture, '--repair').status, 0);
+    await fs.writeFile(orphanPath, 'A second orphan with the same name.\n');
+    assert.equal(run(fixture, '--repair').status, 0);
+
+    assert.equal(await fs.readFile(path.join(archiveDir, 'azure-orphan-annotations.md'), 'utf-8'), 'Nothing includes this file.\n');
+    assert.equal(await fs.readFile(path.join(archiveDir, 'azure-orphan-annotations-2.md'), 'utf-8'), 'A second orphan with the same name.\n');
+    assert.match(
+        await fs.readFile(fixture.reportPath, 'utf-8'),
+        /- Archived orphaned `azure-orphan-annotations\.md` to `\.\.\/annotations-archive\/\d{4}-\d{2}-\d{2}\/azure-orphan-annotations-2\.md`/
+    );
+});
@@ -0,0 +1,447 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+
+const { formatReport, rules, selectRules, verifyArticles } = require('../verifiers');
+const { packSnapshot } = require('../../../../mcp-cli-metadata/snapshot-store');
+const { loadSnapshot } = require('../cli-metadata-helpers');
+const { main, parseArgs } = require('../verify-articles');
+const { main: verifyAnnotationMetadata } = require('../verify-annotation-metadata');
+
+const hint = '[Tool annotation hints](index.md#tool-annotations-for-azure-mcp-server):';
+
+function include(command, fileName) {
+    return `[!INCLUDE [${command}](../includes/tools/annotations/${fileName})]`;
+}
+
+// Writes a fixture article tree: { 'tools/x.md': 'content', ... }
+async function createArticlesRoot(t, files) {
+    const articlesRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'verify-articles-test-'));
+    t.after(() => fs.rm(articlesRoot, { recursive: true, force: true }));
+    for (const [relativePath, content] of Object.entries(files)) {
+        await fs.mkdir(path.dirname(path.join(articlesRoot, relativePath)), { recursive: true });
+        await fs.writeFile(path.join(articlesRoot, relativePath), content);
+    }
+    return articlesRoot;
+}
+
+const storageNamespace = { display_name: 'Azure Storage', file_name: 'azure-storage', short_name: 'Storage', merge_group: null };
+
+// Writes a fixture CLI snapshot with the given tools and namespace-mapping.json namespaces
+async function createSnapshot(t, tools, namespaces = { storage: storageNamespace }) {
+    const snapshotDir = await fs.mkdtemp(path.join(os.tmpdir(), 'verify-articles-snapshot-'));
+    t.after(() => fs.rm(snapshotDir, { recursive: true, force: true }));
+    await fs.writeFile(path.join(snapshotDir, 'cli-version.json'), JSON.stringify({ version: '3.0.0-beta.5' }));
+    await fs.writeFile(path.join(snapshotDir, 'cli-output.json'), JSON.stringify({ status: 200, results: tools }));
+    await fs.writeFile(path.join(snapshotDir, 'namespace-mapping.json'), JSON.stringify({ namespaces: namespaces }));
+    return snapshotDir;
+}
+
+const storageAccountGet = {
+    command: 'storage account get',
+    option: [
+        { name: '--tenant', type: 'string', description: 'The tenant.' },
+        { name: '--resource-group', type: 'string', description: 'The resource group.', required: true },
+        { name: '--account', type: 'string', description: 'The account.', required: true },
+        { name: '--max-results', type: 'integer', description: 'The page size.' }
+    ]
+};
+
+const parameterTable = [
+    '| Parameter |  Required or optional | Description |',
+    '|-----------------------|----------------------|-------------|',
+    '| **Resource group** |  Required | The resource group. |',
+    '| **Account name** |  Required | The account. |',
+    '| **Max results** |  Optional | The page size. |'
+];
+
+const validTree = {
+    'tools/index.md': '# Tools\n\n## Tool annotations for Azure MCP Server\n',
+    'tools/azure-storage.md': [
+        '## Account get',
+        '<!-- @mcpcli storage account get -->',
+        '',
+        ...parameterTable,
+        '',
+        hint,
+        '',
+        include('storage account get', 'azure-storage-account-get-annotations.md'),
+        ''
+    ].join('\r\n'),
+    'includes/tools/annotations/azure-storage-account-get-annotations.md': 'No metadata available\n'
+};
+
+test('reports no findings for a valid article tree', async (t) => {
+    const articlesRoot = await createArticlesRoot(t, validTree);
+    const snapshotDir = await createSnapshot(t, [storageAccountGet]);
+
+    const result = verifyArticles({ articlesRoot, snapshotDir });
+
+    assert.equal(result.articlesRoot, articlesRoot);
+    assert.deepEqual(result.rules.map(rule => rule.id), rules.map(rule => rule.id));
+    assert.deepEqual(result.findings, []);
+});
+
+test('reports INCLUDEs without the hint line', async (t) => {
+    const articlesRoot = await createArticlesRoot(t, {
+        ...validTree,
+        'tools/azure-storage.md': [
+            '## Account get',
+            '',
+            '[Tool annotation hints](index.md#tool-annotation-hints):',
+            '',
+            include('storage account get', 'azure-storage-account-get-annotations.md')
+        ].join('\n')
+    });
+
+    const { findings } = verifyArticles({ articlesRoot, ruleIds: ['annotation-hint-missing'] });
+
+    assert.deepEqual(findings, [{
+        ruleId: 'annotation-hint-missing',
+        severity: 'error',
+        file: 'tools/azure-storage.md',
+        line: 5,
+        tool: 'storage account get',
+        message: `INCLUDE of \`azure-storage-account-get-annotations.md\` is not preceded by \`${hint}\``
+    }]);
+});
+
+test('reports missing, orphaned and multiply included annotation files', async (t) => {
+    const articlesRoot = await createArticlesRoot(t, {
+        ...validTree,
+        'tools/azure-other.md': [
+            hint,
+            include('storage account get', 'azure-storage-account-get-annotations.md'),
+            hint,
+            include('other get', 'azure-other-get-annotations.md')
+        ].join('\n'),
+        'includes/tools/annotations/azure-orphan-annotations.md': 'No metadata available\n'
+    });
+
+    const snapshotDir = await createSnapshot(t, [storageAccountGet]);
+
+    const { findings } = verifyArticles({ articlesRoot, snapshotDir });
+
+    assert.deepEqual(findings.map(finding => [finding.ruleId, finding.severity, finding.file, finding.line]), [
+        ['annotation-include-missing', 'error', 'tools/azure-other.md', 4],
+        ['annotation-orphaned', 'warning', 'includes/tools/annotations/azure-orphan-annotations.md', undefined],
+        ['annotation-multiple-references', 'warning', 'includes/tools/annotations/azure-storage-account-get-annotations.md', undefined],
+        ['annotation-tool-unknown', 'warning', 'includes/tools/annotations/azure-orphan-annotations.md', undefined]
+    ]);
+    assert.match(findings[2].message, /included 2 times: azure-other\.md:2, azure-storage\.md:12$/);
+});
+
+test('reports broken INCLUDE and link targets, missing anchors and unreachable includes', async (t) => {
+    const articlesRoot = await createArticlesRoot(t, {
+        ...validTree,
+        'tools/azure-other.md': [
+            '# Other',
+            '',
+            '[!INCLUDE [tip](../includes/tools/parameter-consideration.md)]',
+            '[!INCLUDE [gone](../includes/tools/removed.md)]',
+            '',
+            '## Get: `other` items',
+            '',
+            'See [hints](index.md#tool-annotations-for-azure-mcp-server), [params](#parameters), [get](#get-other-items),',
+            '[missing](index.md#no-such-heading), [self](#nowhere), [start](../get-started.md) and [Learn](/azure/).',
+            'Save [50%](#50%-off) on [café](caf%E9.md).',
+            '',
+            '```markdown',
+            '[ignored](does-not-exist.md)',
+            '```',
+            '`[ignored](inline.md)`'
+        ].join('\n'),
+        'includes/tools/parameter-consideration.md': '## Parameters\n\nSee [the tools](../../tools/index.md).\n',
+        'includes/tools/unused.md': 'Nothing includes this file.\n',
+        'includes/tools/annotations/azure-orphan-annotations.md': 'Orphaned annotation files are reported by annotation-orphaned.\n'
+    });
+
+    const { findings } = verifyArticles({
+        articlesRoot,
+        ruleIds: ['link-target-missing', 'link-anchor-missing', 'include-unreachable']
+    });
+
+    assert.deepEqual(findings.map(finding => [finding.ruleId, finding.file, finding.line, finding.message]), [
+        ['link-target-missing', 'tools/azure-other.md', 4, 'INCLUDE target `../includes/tools/removed.md` does not exist (resolved to `includes/tools/removed.md`)'],
+        ['link-target-missing', 'tools/azure-other.md', 9, 'Link target `../get-started.md` does not exist (resolved to `get-started.md`)'],
+        ['link-target-missing', 'tools/azure-other.md', 10, 'Link target `#50%-off` is not valid percent-encoding'],
+        ['link-target-missing', 'tools/azure-other.md', 10, 'Link target `caf%E9.md` is not valid percent-encoding'],
+        ['link-anchor-missing', 'tools/azure-other.md', 9, 'Anchor `#no-such-heading` is not a heading in `tools/index.md`'],
+        ['link-anchor-missing', 'tools/azure-other.md', 9, 'Anchor `#nowhere` is not a heading in this file'],
+        ['include-unreachable', 'includes/tools/unused.md', undefined, 'Include file is not reachable through INCLUDEs from any tool article or tools/index.md']
+    ]);
+});
+
+test('reports missing, stale and required/optional mismatched parameters', async (t) => {
+    const articlesRoot = await createArticlesRoot(t, {
+        ...validTree,
+        'tools/azure-storage.md': [
+            '## Account get',
+            '<!-- @mcpcli storage account get -->',
+            '',
+            parameterTable[0],
+            parameterTable[1],
+            '| **Resource group** |  Optional* | The resource group. |',
+            '| `--max-results` |  Optional | The page size. |',
+            '| **Tenant** |  Optional | The tenant. |',
+            '| **Subscription** |  Optional | The subscription. |',
+            '| **Container name** |  Required | Removed. |',
+            '',
+            '## Account list',
+            '',
+            'No table here.',
+            hint,
+            include('storage account list', 'azure-storage-account-get-annotations.md')
+        ].join('\n')
+    });
+    const snapshotDir = await createSnapshot(t, [
+        storageAccountGet,
+        { command: 'storage account list', option: [{ name: '--subscription', type: 'string', description: 'The subscription.', required: true }] }
+    ]);
+
+    const { findings } = verifyArticles({
+        articlesRoot,
+        snapshotDir,
+        ruleIds: ['parameter-missing', 'parameter-stale', 'parameter-required-mismatch']
+    });
+
+    assert.deepEqual(findings.map(finding => [finding.ruleId, finding.line, finding.message]), [
+        ['parameter-missing', 4, 'Required option `--account` of `storage account get` is not documented (expected row `Account name`)'],
+        ['parameter-missing', 12, 'Required option `--subscription` of `storage account list` is not documented (expected row `Subscription`)'],
+        ['parameter-stale', 9, '`Subscription` is a common parameter that `storage account get` does not accept in ' + path.basename(snapshotDir)],
+        ['parameter-stale', 10, '`Container name` is not an option of `storage account get` in ' + path.basename(snapshotDir)],
+        ['parameter-required-mismatch', 6, '`Resource group` (`--resource-group`) is documented as Optional* but is required for `storage account get`']
+    ]);
+});
+
+test('reads packed snapshots from the snapshot store', async (t) => {
+    const articlesRoot = await createArticlesRoot(t, validTree);
+    const snapshotsRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'verify-articles-packed-'));
+    t.after(() => fs.rm(snapshotsRoot, { recursive: true, force: true }));
+    const snapshotDir = path.join(snapshotsRoot, '3.0.0-beta.5+aaa');
+    await fs.mkdir(snapshotDir);
+    await fs.writeFile(path.join(snapshotDir, 'cli-version.json'), JSON.stringify({ version: '3.0.0-beta.5+aaa' }));
+    await fs.writeFile(path.join(snapshotDir, 'cli-output.json'), JSON.stringify({ status: 200, results: [storageAccountGet] }));
+    await packSnapshot(snapshotDir);
+
+    const { findings } = verifyArticles({ articlesRoot, snapshotDir, ruleIds: ['parameter-missing', 'parameter-stale'] });
+
+    assert.deepEqual(await fs.readdir(snapshotDir), ['packed-snapshot.json']);
+    assert.deepEqual(findings, []);
+    assert.equal(loadSnapshot(snapshotDir).name, '3.0.0-beta.5+aaa');
+    assert.deepEqual(loadSnapshot(snapshotDir).tools, [storageAccountGet]);
+});
+
+test('compares annotation tables with the snapshot metadata, with waivers and SARIF output', async (t) => {
+    const annotationFile = (command, body) => ['---', `# azmcp ${command}`, '---', '', ...body, ''].join('\n');
+    const articlesRoot = await createArticlesRoot(t, {
+        ...validTree,
+        'includes/tools/annotations/azure-storage-account-get-annotations.md': annotationFile('storage account get', [
+            '| Destructive | Idempotent | Open World | Read Only | Secret | Local Required |',
+            '|:-:|:-:|:-:|:-:|:-:|:-:|',
+            '| ✅ | ❌ | ❌ | ✅ | ❌ | ❌ |'
+        ]),
+        'includes/tools/annotations/azure-storage-account-list-annotations.md': annotationFile('storage account list', ['No metadata available']),
+        'includes/tools/annotations/azure-storage-account-delete-annotations.md': annotationFile('storage account delete', ['Coming soon.']),
+        'includes/tools/annotations/azure-storage-blob-removed-annotations.md': annotationFile('storage blob removed', ['No metadata available']),
+        'includes/tools/annotations/azure-storage-blob-gone-annotations.md': annotationFile('storage blob gone', ['No metadata available'])
+    });
+    const snapshotDir = await createSnapshot(t, [
+        { ...storageAccountGet, metadata: { destructive: { value: false }, readOnly: { value: true } } },
+        { command: 'storage account list', metadata: { readOnly: { value: true } } },
+        { command: 'storage account delete' }
+    ]);
+    const waiversDir = await createArticlesRoot(t, {
+        'validation-waivers.json': JSON.stringify({
+            waivers: [{ ruleId: 'annotation-tool-unknown', file: 'includes/tools/annotations/azure-storage-blob-gone-annotations.md', reason: 'Removed in 3.0' }]
+        })
+    });
+
+    const result = verifyArticles({
+        articlesRoot,
+        snapshotDir,
+        ruleIds: ['annotation-metadata-mismatch', 'annotation-metadata-unpublished', 'annotation-tool-unknown', 'annotation-table-missing'],
+        waiversPath: path.join(waiversDir, 'validation-waivers.json')
+    });
+
+    assert.deepEqual(result.findings.map(finding => [finding.ruleId, finding.file, finding.line, finding.tool, finding.message]), [
+        ['annotation-metadata-mismatch', 'includes/tools/annotations/azure-storage-account-get-annotations.md', 7, 'storage account get',
+            'Annotation values differ from the snapshot for `storage account get`: Destructive is ✅, snapshot has ❌'],
+        ['annotation-metadata-unpublished', 'includes/tools/annotations/azure-storage-account-list-annotations.md', undefined, 'storage account list',
+            'File says "No metadata available", but `storage account list` has metadata in the snapshot'],
+        ['annotation-tool-unknown', 'includes/tools/annotations/azure-storage-blob-removed-annotations.md', undefined, 'storage blob removed',
+            'No tool in the snapshot matches `storage blob removed`; it may have been removed or renamed'],
+        ['annotation-table-missing', 'includes/tools/annotations/azure-storage-account-delete-annotations.md', undefined, 'storage account delete',
+            'No annotation table found for `storage account delete`']
+    ]);
+    assert.deepEqual(result.waived.map(finding => [finding.ruleId, finding.tool]), [['annotation-tool-unknown', 'storage blob gone']]);
+
+    const sarif = JSON.parse(formatReport(result, 'sarif', { baseDirectory: articlesRoot }));
+    assert.deepEqual(sarif.runs[0].results.map(entry => [entry.ruleId, entry.level, Boolean(entry.suppressions)]), [
+        ['annotation-metadata-mismatch', 'error', false],
+        ['annotation-metadata-unpublished', 'error', false],
+        ['annotation-tool-unknown', 'warning', false],
+        ['annotation-table-missing', 'warning', false],
+        ['annotation-tool-unknown', 'warning', true]
+    ]);
+    assert.deepEqual(sarif.runs[0].results[0].locations[0].physicalLocation.region, { startLine: 7 });
+});
+
+test('reports undocumented, removed and misplaced commands', async (t) => {
+    const articlesRoot = await createArticlesRoot(t, {
+        ...validTree,
+        'tools/azure-monitor.md': [
+            '## Workspace list',
+            '<!-- @mcpcli monitor workspace list -->',
+            '',
+            '## Workbooks list',
+            '<!-- @mcpcli workbooks list -->',
+            '',
+            '## Storage table list',
+            '<!-- @mcpcli storage table list -->',
+            '',
+            '### Overview',
+            'Not a command section.'
+        ].join('\n'),
+        'tools/azure-workbooks.md': [
+            '## Workbooks show',
+            '<!-- @mcpcli workbooks show -->'
+        ].join('\n')
+    });
+    const snapshotDir = await createSnapshot(t, [
+        storageAccountGet,
+        { command: 'storage account list', option: [] },
+        { command: 'storage table list', option: [] },
+        { command: 'monitor workspace list', option: [] },
+        { command: 'workbooks list', option: [] },
+        { command: 'workbooks delete', option: [] },
+        { command: 'keyvault key get', option: [] }
+    ], {
+        storage: storageNamespace,
+        monitor: { display_name: 'Azure Monitor', file_name: 'azure-monitor', merge_group: 'azure-monitor' },
+        workbooks: { display_name: 'Azure Workbooks', file_name: 'azure-workbooks', merge_group: 'azure-monitor' },
+        keyvault: { display_name: 'Azure Key Vault', file_name: 'azure-key-vault', merge_group: null }
+    });
+    const snapshot = path.basename(snapshotDir);
+
+    const { findings } = verifyArticles({
+        articlesRoot,
+        snapshotDir,
+        ruleIds: ['tool-undocumented', 'tool-removed', 'tool-wrong-article']
+    });
+
+    assert.deepEqual(findings.map(finding => [finding.ruleId, finding.file, finding.line, finding.message]), [
+        ['tool-undocumented', 'tools/azure-storage.md', undefined, '`storage account list` is not documented in `azure-storage.md`'],
+        ['tool-undocumented', 'tools/azure-monitor.md', undefined, '`workbooks delete` is not documented in `azure-monitor.md`'],
+        ['tool-undocumented', 'tools/azure-key-vault.md', undefined, '`keyvault key get` is not documented, and its article `azure-key-vault.md` does not exist'],
+        ['tool-removed', 'tools/azure-workbooks.md', 1, `\`workbooks show\` is documented but is not a command in ${snapshot}`],
+        ['tool-wrong-article', 'tools/azure-monitor.md', 7, '`storage table list` belongs in `azure-storage.md` (namespace `storage`)']
+    ]);
+});
+
+test('expects split namespaces in their own article even when they name a merge group', async (t) => {
+    // brand-to-server-mapping.json gives the split extension_cli_* namespaces the
+    // "azure-cli-extension" merge group, and merges workbooks into azure-monitor
+    const articlesRoot = await createArticlesRoot(t, {
+        ...validTree,
+        'tools/azure-cli-extension-generate.md': '## Generate\n<!-- @mcpcli extension cli generate -->\n',
+        'tools/azure-cli-extension.md': '## Install\n<!-- @mcpcli extension cli install -->\n',
+        'tools/azure-workbooks.md': '## Workbooks list\n<!-- @mcpcli workbooks list -->\n'
+    });
+    const snapshotDir = await createSnapshot(t, [
+        storageAccountGet,
+        { command: 'extension cli generate', option: [] },
+        { command: 'extension cli install', option: [] },
+        { command: 'workbooks list', option: [] }
+    ], {
+        storage: storageNamespace,
+        extension_cli_generate: { display_name: 'Azure CLI Extension', file_name: 'azure-cli-extension-generate', merge_group: 'azure-cli-extension' },
+        extension_cli_install: { display_name: 'Azure CLI Extension', file_name: 'azure-cli-extension-install', merge_group: 'azure-cli-extension' },
+        workbooks: { display_name: 'Azure Workbooks', file_name: 'azure-workbooks', merge_group: 'azure-monitor' }
+    });
+
+    const { findings } = verifyArticles({ articlesRoot, snapshotDir, ruleIds: ['tool-undocumented', 'tool-wrong-article'] });
+
+    assert.deepEqual(findings.map(finding => [finding.ruleId, finding.file, finding.message]), [
+        ['tool-wrong-article', 'tools/azure-cli-extension.md', '`extension cli install` belongs in `azure-cli-extension-install.md` (namespace `extension_cli_install`)'],
+        ['tool-wrong-article', 'tools/azure-workbooks.md', '`workbooks list` belongs in `azure-monitor.md` (namespace `workbooks`, merge group `azure-monitor`)']
+    ]);
+});
+
+test('coverage rules need a namespace mapping in the snapshot', async (t) => {
+    const articlesRoot = await createArticlesRoot(t, validTree);
+    const snapshotDir = await createSnapshot(t, [storageAccountGet]);
+    await fs.rm(path.join(snapshotDir, 'namespace-mapping.json'));
+
+    assert.throws(() => verifyArticles({ articlesRoot, snapshotDir, ruleIds: ['tool-undocumented'] }), /has no namespace-mapping\.json/);
+});
+
+test('selects rules by id and rejects unknown ids', () => {
+    assert.deepEqual(selectRules(['annotation-orphaned']).map(rule => rule.id), ['annotation-orphaned']);
+    assert.equal(selectRules([]), rules);
+    assert.throws(() => selectRules(['no-such-rule']), /Unknown rule "no-such-rule"\. Available rules: annotation-hint-missing/);
+});
+
+test('formats a markdown report grouped by rule', async (t) => {
+    const articlesRoot = await createArticlesRoot(t, {
+        ...validTree,
+        'includes/tools/annotations/azure-orphan-annotations.md': 'No metadata available\n'
+    });
+
+    const snapshotDir = await createSnapshot(t, [storageAccountGet]);
+
+    const report = formatReport(verifyArticles({ articlesRoot, snapshotDir }), 'markdown', { now: new Date('2026-01-02T03:04:05Z') });
+
+    assert.match(report, /^# Article Verification Report\n\n\*\*Generated:\*\* 2026-01-02T03:04:05\.000Z/);
+    assert.match(report, /\| `annotation-orphaned` \| warning \| 1 \|/);
+    assert.match(report, /\| `annotation-hint-missing` \| error \| ✅ 0 \|/);
+    assert.match(report, /## ⚠️ annotation-orphaned\n[\s\S]*\| `includes\/tools\/annotations\/azure-orphan-annotations\.md` \|  \| Annotation file is not included by any tool article \|/);
+});
+
+test('the CLI writes the report and fails only on errors', async (t) => {
+    const articlesRoot = await createArticlesRoot(t, {
+        ...validTree,
+        'includes/tools/annotations/azure-orphan-annotations.md': 'No metadata available\n'
+    });
+    const snapshotDir = await createSnapshot(t, [storageAccountGet]);
+    const reportPath = path.join(articlesRoot, 'report.md');
+    t.mock.method(console, 'log', () => {});
+
+    assert.equal(main(['--articles-root', articlesRoot, '--report', reportPath, '--snapshot', snapshotDir]), 0);
+    assert.match(await fs.readFile(reportPath, 'utf-8'), /annotation-orphaned/);
+
+    await fs.writeFile(path.join(articlesRoot, 'tools', 'azure-storage.md'), include('storage account get', 'azure-storage-account-get-annotations.md'));
+    assert.equal(main(['--articles-root', articlesRoot, '--report', reportPath, '--rules', 'annotation-hint-missing']), 1);
+    assert.doesNotMatch(await fs.readFile(reportPath, 'utf-8'), /annotation-orphaned/);
+});
+
+test('parses CLI arguments', () => {
+    const options = parseArgs(['--rules', 'annotation-orphaned, annotation-hint-missing', '--report', 'out.md']);
+
+    assert.deepEqual(options.ruleIds, ['annotation-orphaned', 'annotation-hint-missing']);
+    assert.equal(options.reportPath, path.resolve('out.md'));
+    assert.equal(options.articlesRoot, undefined);
+    assert.throws(() => parseArgs(['--report']), /--report requires a value/);
+    assert.throws(() => parseArgs(['--fix']), /Unknown argument "--fix"/);
+});
+
+test('chooses the default report path from the format', () => {
+    assert.equal(parseArgs([]).format, 'markdown');
+    assert.equal(path.basename(parseArgs([]).reportPath), 'article-verification-report.md');
+    assert.equal(path.basename(parseArgs(['--format', 'sarif']).reportPath), 'article-verification-report.sarif');
+    assert.equal(path.basename(parseArgs(['--format', 'junit']).reportPath), 'article-verification-report.xml');
+    assert.equal(path.basename(parseArgs(['--format', 'sarif'], { reportName: 'annotation-metadata-report' }).reportPath), 'annotation-metadata-report.sarif');
+    assert.throws(() => parseArgs(['--format', 'html']), /Unknown format "html"\. Available formats: markdown, json, sarif, junit/);
+});
+
+test('verify-annotation-metadata.js rejects --rules instead of replacing the metadata rules', () => {
+    assert.throws(() => verifyAnnotationMetadata(['--rules', 'tools-directory']), /--rules is not supported; this script always runs the metadata rules/);
+});
+
+test('fails when the articles root has no tools directory', async (t) => {
+    const articlesRoot = await createArticlesRoot(t, {});
+
+    assert.throws(() => verifyArticles({ articlesRoot }), /No tools directory found at /);
+});
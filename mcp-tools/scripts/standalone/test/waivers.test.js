@@ -0,0 +1,107 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+
+const { verifyArticles } = require('../verifiers');
+const { applyWaivers, loadWaivers } = require('../verifiers/waivers');
+
+const articlesRoot = path.join(path.sep, 'repo', 'articles', 'azure-mcp-server');
+const waiversPath = path.join(path.sep, 'repo', 'mcp-tools', 'data', 'validation-waivers.json');
+const now = new Date('2026-06-15T12:00:00Z');
+
+const findings = [
+    { ruleId: 'parameter-missing', severity: 'error', file: 'tools/azure-storage.md', line: 12, tool: 'storage account get', message: 'Missing --account' },
+    { ruleId: 'parameter-missing', severity: 'error', file: 'tools/azure-storage.md', line: 30, tool: 'storage account list', message: 'Missing --subscription' },
+    { ruleId: 'annotation-orphaned', severity: 'warning', file: 'includes/tools/annotations/azure-orphan-annotations.md', message: 'Not included' }
+];
+
+async function writeWaivers(t, document) {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'waivers-test-'));
+    t.after(() => fs.rm(directory, { recursive: true, force: true }));
+    const filePath = path.join(directory, 'validation-waivers.json');
+    await fs.writeFile(filePath, typeof document === 'string' ? document : JSON.stringify(document));
+    return filePath;
+}
+
+test('waives findings matching rule id, file, and optional line or tool', () => {
+    const waivers = [
+        { number: 1, ruleId: 'parameter-missing', file: 'tools/azure-storage.md', tool: 'storage account list', reason: 'Tracked in #12', expires: '2026-06-15' },
+        { number: 2, ruleId: 'annotation-orphaned', file: '.\\includes\\tools\\annotations\\azure-orphan-annotations.md', reason: 'Kept for 3.0' }
+    ];
+
+    const result = applyWaivers(findings, waivers, { articlesRoot, waiversPath, now });
+
+    assert.deepEqual(result.findings, [findings[0]]);
+    assert.deepEqual(result.waived, [
+        { ...findings[1], waiver: { reason: 'Tracked in #12', expires: '2026-06-15' } },
+        { ...findings[2], waiver: { reason: 'Kept for 3.0', expires: null } }
+    ]);
+    assert.deepEqual(result.problems, []);
+});
+
+test('reports expired, unmatched and incomplete waivers without applying them', () => {
+    const waivers = [
+        { number: 1, ruleId: 'parameter-missing', file: 'tools/azure-storage.md', line: 12, reason: 'Old', expires: '2026-06-14' },
+        { number: 2, ruleId: 'parameter-missing', file: 'tools/azure-storage.md', line: 99, reason: 'Fixed since' },
+        { number: 3, ruleId: 'annotation-orphaned', file: 'includes/tools/annotations/azure-orphan-annotations.md' },
+        { number: 4, ruleId: 'parameter-missing', reason: 'No file' },
+        { number: 5, ruleId: 'parameter-missing', file: 'tools/azure-storage.md', reason: 'Bad date', expires: 'June' }
+    ];
+
+    const result = applyWaivers(findings, waivers, { articlesRoot, waiversPath, now });
+
+    assert.deepEqual(result.findings, findings);
+    assert.deepEqual(result.waived, []);
+    assert.deepEqual(result.problems.map(problem => [problem.ruleId, problem.severity, problem.file]), Array(5).fill(['waiver-invalid', 'error', '../../mcp-tools/data/validation-waivers.json']));
+    assert.deepEqual(result.problems.map(problem => problem.message), [
+        'Waiver 1 (`parameter-missing` for `tools/azure-storage.md:12`) expired on 2026-06-14: Old',
+        'Waiver 3 (`annotation-orphaned` for `includes/tools/annotations/azure-orphan-annotations.md`) has no reason',
+        'Waiver 4 (`parameter-missing` for `undefined`) has no file',
+        'Waiver 5 (`parameter-missing` for `tools/azure-storage.md`) has an invalid expires date "June" (use YYYY-MM-DD)',
+        'Waiver 2 (`parameter-missing` for `tools/azure-storage.md:99`) matches no finding; remove it'
+    ]);
+});
+
+test('loads only waivers for the given rules', async (t) => {
+    const filePath = await writeWaivers(t, `\uFEFF${JSON.stringify({
+        schemaVersion: '1.0',
+        waivers: [
+            { ruleId: 'annotation-safety-flip', tool: 'storage account delete', flag: 'destructive', reason: 'Docs updated' },
+            { ruleId: 'annotation-orphaned', file: 'includes/tools/annotations/a.md', reason: 'Kept' }
+        ]
+    })}`);
+
+    assert.deepEqual(loadWaivers(['annotation-orphaned'], filePath), [
+        { ruleId: 'annotation-orphaned', file: 'includes/tools/annotations/a.md', reason: 'Kept', number: 2 }
+    ]);
+    assert.deepEqual(loadWaivers(['annotation-orphaned'], path.join(path.dirname(filePath), 'missing.json')), []);
+    const invalidPath = await writeWaivers(t, { schemaVersion: '1.0' });
+    assert.throws(() => loadWaivers([], invalidPath), /does not contain a waivers array/);
+});
+
+test('verifyArticles moves waived findings out and fails on waiver problems', async (t) => {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'waivers-articles-'));
+    t.after(() => fs.rm(root, { recursive: true, force: true }));
+    await fs.mkdir(path.join(root, 'tools'));
+    await fs.mkdir(path.join(root, 'includes', 'tools', 'annotations'), { recursive: true });
+    await fs.writeFile(path.join(root, 'includes', 'tools', 'annotations', 'azure-orphan-annotations.md'), 'No metadata available\n');
+    const filePath = await writeWaivers(t, {
+        schemaVersion: '1.0',
+        waivers: [
+            { ruleId: 'annotation-orphaned', file: 'includes/tools/annotations/azure-orphan-annotations.md', reason: 'Kept for 3.0' },
+            { ruleId: 'annotation-hint-missing', file: 'tools/azure-storage.md', reason: 'Fixed since' },
+            { ruleId: 'parameter-missing', file: 'tools/azure-storage.md', reason: 'Rule not selected' }
+        ]
+    });
+
+    const result = verifyArticles({ articlesRoot: root, ruleIds: ['annotation-hint-missing', 'annotation-orphaned'], waiversPath: filePath });
+
+    assert.deepEqual(result.rules.map(rule => rule.id), ['annotation-hint-missing', 'annotation-orphaned', 'waiver-invalid']);
+    assert.deepEqual(result.waived.map(finding => [finding.ruleId, finding.file]), [
+        ['annotation-orphaned', 'includes/tools/annotations/azure-orphan-annotations.md']
+    ]);
+    assert.deepEqual(result.findings.map(finding => [finding.ruleId, finding.severity]), [['waiver-invalid', 'error']]);
+    assert.match(result.findings[0].message, /^Waiver 2 .* matches no finding; remove it$/);
+});
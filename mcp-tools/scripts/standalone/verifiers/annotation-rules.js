@@ -0,0 +1,105 @@
+const { findAnnotationIncludes } = require('./article-files');
+
+// Hint line required before each annotation INCLUDE, with the anchor that
+// mcp-tools/templates/tool-family-page.hbs generates
+const hintLine = '[Tool annotation hints](index.md#tool-annotations-for-azure-mcp-server):';
+const hintPattern = /\[Tool annotation hints\]\(index\.md#tool-annotations-for-azure-mcp-server\):/;
+
+// Returns the annotation INCLUDEs in a file and whether the hint line precedes each.
+// Only the first INCLUDE on a line is checked, because one hint line covers the line.
+function checkAnnotationHints(file) {
+    return findAnnotationIncludes(file)
+        .filter((include, position, includes) => position === 0 || includes[position - 1].index !== include.index)
+        .map(include => {
+            const previousLine = include.previousLineIndex >= 0 ? file.lines[include.previousLineIndex].trim() : '';
+            return { ...include, previousLine: previousLine, hasHint: hintPattern.test(previousLine) };
+        });
+}
+
+// Maps each annotation file name to the tool articles that include it, and lists
+// INCLUDEs of annotation files that do not exist
+function collectAnnotationReferences(files) {
+    const references = new Map(files.annotationFiles.map(file => [file.name, []]));
+    const missing = [];
+    for (const toolFile of files.toolFiles) {
+        for (const include of findAnnotationIncludes(toolFile)) {
+            const reference = {
+                toolFile: toolFile.name,
+                line: include.line,
+                linkText: include.linkText,
+                annotationFile: include.annotationFile
+            };
+            if (references.has(include.annotationFile)) {
+                references.get(include.annotationFile).push(reference);
+            } else {
+                missing.push(reference);
+            }
+        }
+    }
+    return { references, missing };
+}
+
+const annotationRules = [
+    {
+        id: 'annotation-hint-missing',
+        severity: 'error',
+        description: 'Annotation INCLUDE statements have the "Tool annotation hints" line before them',
+        check(files) {
+            return files.toolFiles.flatMap(file => checkAnnotationHints(file).filter(include => !include.hasHint).map(include => ({
+                file: file.relativePath,
+                line: include.line,
+                tool: include.linkText,
+                message: `INCLUDE of \`${include.annotationFile}\` is not preceded by \`${hintLine}\``
+            })));
+        }
+    },
+    {
+        id: 'annotation-include-missing',
+        severity: 'error',
+        description: 'Annotation files included by tool articles exist',
+        check(files) {
+            return collectAnnotationReferences(files).missing.map(reference => ({
+                file: `tools/${reference.toolFile}`,
+                line: reference.line,
+                tool: reference.linkText,
+                message: `Included annotation file \`${reference.annotationFile}\` does not exist`
+            }));
+        }
+    },
+    {
+        id: 'annotation-orphaned',
+        severity: 'warning',
+        description: 'Every annotation file is included by a tool article',
+        check(files) {
+            const { references } = collectAnnotationReferences(files);
+            return files.annotationFiles
+                .filter(file => references.get(file.name).length === 0)
+                .map(file => ({
+                    file: file.relativePath,
+                    message: 'Annotation file is not included by any tool article'
+                }));
+        }
+    },
+    {
+        id: 'annotation-multiple-references',
+        severity: 'warning',
+        description: 'Every annotation file is included only once',
+        check(files) {
+            const { references } = collectAnnotationReferences(files);
+            return files.annotationFiles
+                .filter(file => references.get(file.name).length > 1)
+                .map(file => ({
+                    file: file.relativePath,
+                    message: `Annotation file is included ${references.get(file.name).length} times: ${references.get(file.name).map(reference => `${reference.toolFile}:${reference.line}`).join(', ')}`
+                }));
+        }
+    }
+];
+
+module.exports = {
+    annotationRules,
+    checkAnnotationHints,
+    collectAnnotationReferences,
+    hintLine,
+    hintPattern
+};
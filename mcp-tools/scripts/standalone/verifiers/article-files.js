@@ -0,0 +1,239 @@
+const fs = require('fs');
+const path = require('path');
+
+const repoRoot = path.join(__dirname, '..', '..', '..', '..');
+const defaultArticlesRoot = path.join(repoRoot, 'articles', 'azure-mcp-server');
+
+// [!INCLUDE [<link text>](<target>)]
+const includePattern = /\[!INCLUDE\s+\[([^\]]+)\]\(([^)]+)\)\]/g;
+// [text](target) and ![alt](target), with an optional "title"
+const linkPattern = /!?\[([^\]]*)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g;
+// Annotation INCLUDEs target ../includes/tools/annotations/<annotation file>
+const annotationTargetPattern = /^\.\.\/includes\/tools\/annotations\/(.+)$/;
+
+function readMarkdownFile(articlesRoot, filePath) {
+    const content = fs.readFileSync(filePath, 'utf-8');
+    const eol = content.includes('\r\n') ? '\r\n' : '\n';
+    return {
+        name: path.basename(filePath),
+        path: filePath,
+        relativePath: path.relative(articlesRoot, filePath).split(path.sep).join('/'),
+        content: content,
+        eol: eol,
+        // Generated files can mix line endings, so split on either
+        lines: content.split(/\r?\n/)
+    };
+}
+
+function listMarkdownFiles(directory) {
+    if (!fs.existsSync(directory)) {
+        return [];
+    }
+    return fs.readdirSync(directory)
+        .filter(file => file.endsWith('.md'))
+        .sort();
+}
+
+// Lists the Markdown files below a directory as full paths, in sorted order, skipping
+// the directories in excludedDirs
+function listMarkdownFilesRecursive(directory, excludedDirs = []) {
+    if (!fs.existsSync(directory)) {
+        return [];
+    }
+    return fs.readdirSync(directory, { withFileTypes: true })
+        .sort((left, right) => (left.name < right.name ? -1 : left.name > right.name ? 1 : 0))
+        .flatMap(entry => {
+            const entryPath = path.join(directory, entry.name);
+            if (entry.isDirectory()) {
+                return excludedDirs.includes(entryPath) ? [] : listMarkdownFilesRecursive(entryPath, excludedDirs);
+            }
+            return entry.name.endsWith('.md') ? [entryPath] : [];
+        });
+}
+
+// Loads the tool articles (except index.md), tools/index.md, and every include file
+// below an articles root such as articles/azure-mcp-server, except archived annotation
+// files. annotationFiles are the include files directly in includes/tools/annotations.
+function loadArticleFiles(articlesRoot = defaultArticlesRoot) {
+    const root = path.resolve(articlesRoot);
+    const toolsDir = path.join(root, 'tools');
+    if (!fs.existsSync(toolsDir)) {
+        throw new Error(`No tools directory found at ${toolsDir}`);
+    }
+    const includesDir = path.join(root, 'includes');
+    const annotationsDir = path.join(includesDir, 'tools', 'annotations');
+    // Orphans archived by verify-annotation-references.js --repair are not include files
+    const annotationsArchiveDir = path.join(includesDir, 'tools', 'annotations-archive');
+    const indexPath = path.join(toolsDir, 'index.md');
+    const includeFiles = listMarkdownFilesRecursive(includesDir, [annotationsArchiveDir])
+        .map(filePath => readMarkdownFile(root, filePath));
+
+    return {
+        articlesRoot: root,
+        toolsDir: toolsDir,
+        includesDir: includesDir,
+        annotationsDir: annotationsDir,
+        annotationsArchiveDir: annotationsArchiveDir,
+        toolFiles: listMarkdownFiles(toolsDir)
+            .filter(file => file !== 'index.md')
+            .map(file => readMarkdownFile(root, path.join(toolsDir, file))),
+        indexFile: fs.existsSync(indexPath) ? readMarkdownFile(root, indexPath) : null,
+        includeFiles: includeFiles,
+        annotationFiles: includeFiles.filter(file => path.dirname(file.path) === annotationsDir)
+    };
+}
+
+// Returns the indexes of lines inside ``` or ~~~ code fences, including the fence lines
+function findCodeLines(file) {
+    const codeLines = new Set();
+    let fence = null;
+    file.lines.forEach((line, index) => {
+        const marker = line.trim().match(/^(```|~~~)/);
+        if (marker && (!fence || marker[1] === fence)) {
+            fence = fence ? null : marker[1];
+            codeLines.add(index);
+        } else if (fence) {
+            codeLines.add(index);
+        }
+    });
+    return codeLines;
+}
+
+// Returns every INCLUDE in a loaded file, outside code fences
+function findIncludes(file) {
+    const codeLines = findCodeLines(file);
+    const includes = [];
+    file.lines.forEach((line, index) => {
+        if (codeLines.has(index)) {
+            return;
+        }
+        for (const match of line.matchAll(includePattern)) {
+            includes.push({
+                index: index,
+                line: index + 1,
+                text: line.trim(),
+                linkText: match[1],
+                target: match[2].trim(),
+                start: match.index,
+                end: match.index + match[0].length
+            });
+        }
+    });
+    return includes;
+}
+
+// Returns every Markdown link and image in a loaded file, outside code fences,
+// inline code, and INCLUDE statements
+function findLinks(file) {
+    const codeLines = findCodeLines(file);
+    const includes = findIncludes(file);
+    const links = [];
+    file.lines.forEach((line, index) => {
+        if (codeLines.has(index)) {
+            return;
+        }
+        const lineIncludes = includes.filter(include => include.index === index);
+        const text = line.replace(/`[^`]*`/g, code => ' '.repeat(code.length));
+        for (const match of text.matchAll(linkPattern)) {
+            if (lineIncludes.some(include => match.index >= include.start && match.index < include.end)) {
+                continue;
+            }
+            links.push({ index: index, line: index + 1, text: match[1], target: match[2] });
+        }
+    });
+    return links;
+}
+
+// Returns every annotation INCLUDE in a loaded file. previousLineIndex is the index
+// of the nearest non-blank line before the INCLUDE, or -1 at the start of the file.
+function findAnnotationIncludes(file) {
+    return findIncludes(file)
+        .filter(include => annotationTargetPattern.test(include.target))
+        .map(include => {
+            let previousLineIndex = include.index - 1;
+            while (previousLineIndex >= 0 && file.lines[previousLineIndex].trim() === '') {
+                previousLineIndex--;
+            }
+            return {
+                index: include.index,
+                line: include.line,
+                text: include.text,
+                linkText: include.linkText,
+                annotationFile: include.target.match(annotationTargetPattern)[1],
+                previousLineIndex: previousLineIndex
+            };
+        });
+}
+
+// Builds the anchor that Learn (like GitHub) generates for a heading: link
+// targets, HTML tags and punctuation are dropped, and spaces become hyphens
+function headingSlug(heading) {
+    return heading
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/<[^>]+>/g, '')
+        .trim()
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+        .replace(/\s/g, '-');
+}
+
+// Returns the anchors defined by a loaded file: heading slugs (repeated headings get
+// -1, -2, ... suffixes) and explicit <a name="..."> or id="..." anchors
+function findAnchors(file) {
+    const codeLines = findCodeLines(file);
+    const anchors = new Set();
+    const slugCounts = new Map();
+    file.lines.forEach((line, index) => {
+        if (codeLines.has(index)) {
+            return;
+        }
+        const heading = line.match(/^#{1,6}\s+(.+?)\s*#*\s*$/);
+        if (heading) {
+            const slug = headingSlug(heading[1]);
+            const count = slugCounts.get(slug) || 0;
+            slugCounts.set(slug, count + 1);
+            anchors.add(count === 0 ? slug : `${slug}-${count}`);
+        }
+        for (const match of line.matchAll(/<a\s[^>]*(?:name|id)\s*=\s*"([^"]+)"/gi)) {
+            anchors.add(match[1]);
+        }
+    });
+    return anchors;
+}
+
+// Splits a loaded file into H2 and H3 sections. A section's command comes from the
+// <!-- @mcpcli <command> --> comment that tool-family-page.hbs writes under each tool
+// heading, or else from the link text of its annotation INCLUDE.
+function splitToolSections(file) {
+    const sections = [];
+    file.lines.forEach((line, index) => {
+        const heading = line.match(/^(#{2,3})\s+(.+?)\s*#*\s*$/);
+        if (heading) {
+            sections.push({ level: heading[1].length, heading: heading[2], index: index, line: index + 1, endIndex: file.lines.length });
+        }
+    });
+    const includes = findAnnotationIncludes(file);
+    sections.forEach((section, position) => {
+        if (position + 1 < sections.length) {
+            section.endIndex = sections[position + 1].index;
+        }
+        const body = file.lines.slice(section.index + 1, section.endIndex);
+        const commandComment = body.map(line => line.match(/<!--\s*@mcpcli\s+(.+?)\s*-->/)).find(Boolean);
+        const include = includes.find(candidate => candidate.index > section.index && candidate.index < section.endIndex);
+        section.command = commandComment ? commandComment[1] : include ? include.linkText : null;
+    });
+    return sections;
+}
+
+module.exports = {
+    defaultArticlesRoot,
+    findAnchors,
+    findAnnotationIncludes,
+    findIncludes,
+    findLinks,
+    headingSlug,
+    loadArticleFiles,
+    readMarkdownFile,
+    repoRoot,
+    splitToolSections
+};
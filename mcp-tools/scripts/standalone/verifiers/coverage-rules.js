@@ -0,0 +1,108 @@
+const { findToolNamespace, namespaceArticle } = require('../../../../mcp-cli-metadata/namespace-mapping');
+const { loadFileNameData } = require('../cli-metadata-helpers');
+const { splitToolSections } = require('./article-files');
+
+// Namespaces with "merge" composition are published in the merge group's article;
+// "split" namespaces keep their own article even though they name a merge group
+function expectedArticle(namespace, brandMappings) {
+    return namespace ? `${namespaceArticle(namespace, brandMappings)}.md` : null;
+}
+
+// Compares the snapshot's commands with the documented command sections. The
+// coverage rules share one comparison per set of files.
+const comparisons = new WeakMap();
+
+function compareToolCoverage(files) {
+    if (comparisons.has(files)) {
+        return comparisons.get(files);
+    }
+
+    const snapshot = files.snapshot;
+    if (!snapshot.namespaceMapping) {
+        throw new Error(`${snapshot.name} has no namespace-mapping.json; run "npm run migrate" in mcp-cli-metadata`);
+    }
+    const { brandMappings } = loadFileNameData();
+    const commands = new Set(snapshot.tools.map(tool => tool.command));
+    const documented = new Map();
+    for (const file of files.toolFiles) {
+        for (const section of splitToolSections(file)) {
+            if (section.command) {
+                const sections = documented.get(section.command) || [];
+                sections.push({ file: file, line: section.line });
+                documented.set(section.command, sections);
+            }
+        }
+    }
+
+    const comparison = { undocumented: [], removed: [], misplaced: [] };
+    const articleNames = new Set(files.toolFiles.map(file => file.name));
+    for (const tool of snapshot.tools) {
+        const namespace = findToolNamespace(tool.command, snapshot.namespaceMapping);
+        const article = expectedArticle(namespace, brandMappings);
+        const sections = documented.get(tool.command) || [];
+        if (sections.length === 0) {
+            comparison.undocumented.push({
+                file: article ? `tools/${article}` : 'tools',
+                tool: tool.command,
+                message: article && !articleNames.has(article)
+                    ? `\`${tool.command}\` is not documented, and its article \`${article}\` does not exist`
+                    : `\`${tool.command}\` is not documented${article ? ` in \`${article}\`` : ''}`
+            });
+        } else if (article && !sections.some(section => section.file.name === article)) {
+            comparison.misplaced.push({
+                file: sections[0].file.relativePath,
+                line: sections[0].line,
+                tool: tool.command,
+                message: `\`${tool.command}\` belongs in \`${article}\` (namespace \`${namespace.key}\`${article !== `${namespace.file_name}.md` ? `, merge group \`${article.replace(/\.md$/, '')}\`` : ''})`
+            });
+        }
+    }
+    for (const [command, sections] of documented) {
+        if (commands.has(command)) {
+            continue;
+        }
+        for (const section of sections) {
+            comparison.removed.push({
+                file: section.file.relativePath,
+                line: section.line,
+                tool: command,
+                message: `\`${command}\` is documented but is not a command in ${snapshot.name}`
+            });
+        }
+    }
+
+    comparisons.set(files, comparison);
+    return comparison;
+}
+
+const coverageRules = [
+    {
+        id: 'tool-undocumented',
+        severity: 'error',
+        description: 'Every command in the CLI snapshot has a section in its namespace article',
+        check(files) {
+            return compareToolCoverage(files).undocumented;
+        }
+    },
+    {
+        id: 'tool-removed',
+        severity: 'error',
+        description: 'Every documented command is still in the CLI snapshot',
+        check(files) {
+            return compareToolCoverage(files).removed;
+        }
+    },
+    {
+        id: 'tool-wrong-article',
+        severity: 'warning',
+        description: 'Commands are documented in the article for their namespace (or merge group)',
+        check(files) {
+            return compareToolCoverage(files).misplaced;
+        }
+    }
+];
+
+module.exports = {
+    compareToolCoverage,
+    coverageRules
+};
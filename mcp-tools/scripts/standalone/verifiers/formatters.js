@@ -0,0 +1,186 @@
+const path = require('path');
+const { formatWaivedSection } = require('./waivers');
+
+function countBySeverity(findings) {
+    return {
+        errors: findings.filter(finding => finding.severity === 'error').length,
+        warnings: findings.filter(finding => finding.severity === 'warning').length
+    };
+}
+
+// Findings covered by validation-waivers.json (none if waivers were not applied)
+function waivedFindings(result) {
+    return result.waived || [];
+}
+
+function formatMarkdownReport(result, { now = new Date() } = {}) {
+    const counts = countBySeverity(result.findings);
+    const reportLines = [];
+    reportLines.push('# Article Verification Report');
+    reportLines.push('');
+    reportLines.push(`**Generated:** ${now.toISOString()}`);
+    reportLines.push(`**Articles root:** \`${result.articlesRoot}\``);
+    reportLines.push('');
+    reportLines.push('## Summary');
+    reportLines.push('');
+    reportLines.push('| Rule | Severity | Findings |');
+    reportLines.push('|------|----------|---------:|');
+    for (const rule of result.rules) {
+        const count = result.findings.filter(finding => finding.ruleId === rule.id).length;
+        reportLines.push(`| \`${rule.id}\` | ${rule.severity} | ${count === 0 ? '✅ 0' : count} |`);
+    }
+    reportLines.push('');
+    reportLines.push(`- **❌ Errors:** ${counts.errors}`);
+    reportLines.push(`- **⚠️ Warnings:** ${counts.warnings}`);
+    if (waivedFindings(result).length > 0) {
+        reportLines.push(`- **🔕 Waived:** ${waivedFindings(result).length}`);
+    }
+    reportLines.push('');
+
+    for (const rule of result.rules) {
+        const findings = result.findings.filter(finding => finding.ruleId === rule.id);
+        if (findings.length === 0) {
+            continue;
+        }
+        reportLines.push(`## ${rule.severity === 'error' ? '❌' : '⚠️'} ${rule.id}`);
+        reportLines.push('');
+        reportLines.push(rule.description);
+        reportLines.push('');
+        reportLines.push('| File | Line | Message |');
+        reportLines.push('|------|-----:|---------|');
+        for (const finding of findings) {
+            reportLines.push(`| \`${finding.file}\` | ${finding.line || ''} | ${finding.message.replace(/\|/g, '\\|')} |`);
+        }
+        reportLines.push('');
+    }
+
+    reportLines.push(...formatWaivedSection(waivedFindings(result)));
+
+    if (result.findings.length === 0) {
+        reportLines.push('## ✅ All Checks Passed!');
+        reportLines.push('');
+    }
+    return reportLines.join('\n');
+}
+
+function formatJsonReport(result, { now = new Date() } = {}) {
+    return `${JSON.stringify({
+        generatedAt: now.toISOString(),
+        articlesRoot: result.articlesRoot,
+        summary: { ...countBySeverity(result.findings), waived: waivedFindings(result).length },
+        rules: result.rules,
+        findings: result.findings,
+        waived: waivedFindings(result)
+    }, null, 2)}\n`;
+}
+
+// File paths in SARIF and JUnit output are relative to baseDirectory (the working
+// directory for the CLI), so CI can map findings back to the checked-out files
+function toBasePath(result, finding, baseDirectory) {
+    return path.relative(baseDirectory, path.join(result.articlesRoot, finding.file)).split(path.sep).join('/');
+}
+
+// SARIF 2.1.0, as accepted by GitHub code scanning for inline pull request annotations.
+// Waived findings are included as externally suppressed results.
+function formatSarifReport(result, { baseDirectory = process.cwd() } = {}) {
+    const sarif = {
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: 'verify-articles',
+                    rules: result.rules.map(rule => ({
+                        id: rule.id,
+                        shortDescription: { text: rule.description },
+                        defaultConfiguration: { level: rule.severity }
+                    }))
+                }
+            },
+            results: [...result.findings, ...waivedFindings(result)].map(finding => ({
+                ruleId: finding.ruleId,
+                ruleIndex: result.rules.findIndex(rule => rule.id === finding.ruleId),
+                level: finding.severity,
+                message: { text: finding.message },
+                locations: [{
+                    physicalLocation: {
+                        artifactLocation: { uri: toBasePath(result, finding, baseDirectory), uriBaseId: '%SRCROOT%' },
+                        ...(finding.line ? { region: { startLine: finding.line } } : {})
+                    }
+                }],
+                ...(finding.waiver ? { suppressions: [{ kind: 'external', justification: finding.waiver.reason }] } : {})
+            }))
+        }]
+    };
+    return `${JSON.stringify(sarif, null, 2)}\n`;
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// JUnit XML with one test suite per rule and one test case per finding. A rule without
+// findings is a single passing test case. Errors are failures; warnings pass with the
+// message in <system-out>, matching the CLI exit code. Waived findings are skipped.
+function formatJunitReport(result, { now = new Date(), baseDirectory = process.cwd() } = {}) {
+    const counts = countBySeverity(result.findings);
+    const ruleFindings = rule => [...result.findings, ...waivedFindings(result)].filter(finding => finding.ruleId === rule.id);
+    const suites = result.rules.map(rule => {
+        const findings = ruleFindings(rule);
+        const failures = findings.filter(finding => finding.severity === 'error' && !finding.waiver).length;
+        const skipped = findings.filter(finding => finding.waiver).length;
+        const testCases = findings.length === 0
+            ? [`    <testcase classname="${escapeXml(rule.id)}" name="${escapeXml(rule.description)}"/>`]
+            : findings.map(finding => {
+                const location = `${toBasePath(result, finding, baseDirectory)}${finding.line ? `:${finding.line}` : ''}`;
+                const detail = finding.waiver
+                    ? `<skipped message="${escapeXml(`Waived: ${finding.waiver.reason}`)}"/>`
+                    : finding.severity === 'error'
+                        ? `<failure type="${escapeXml(rule.id)}" message="${escapeXml(finding.message)}">${escapeXml(`${location}: ${finding.message}`)}</failure>`
+                        : `<system-out>${escapeXml(`warning: ${location}: ${finding.message}`)}</system-out>`;
+                return `    <testcase classname="${escapeXml(rule.id)}" name="${escapeXml(location)}">${detail}</testcase>`;
+            });
+        return [
+            `  <testsuite name="${escapeXml(rule.id)}" tests="${Math.max(findings.length, 1)}" failures="${failures}" errors="0"${skipped > 0 ? ` skipped="${skipped}"` : ''} timestamp="${now.toISOString()}">`,
+            ...testCases,
+            '  </testsuite>'
+        ].join('\n');
+    });
+    const tests = result.rules.reduce((total, rule) => total + Math.max(ruleFindings(rule).length, 1), 0);
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="verify-articles" tests="${tests}" failures="${counts.errors}" errors="0"${waivedFindings(result).length > 0 ? ` skipped="${waivedFindings(result).length}"` : ''}>`,
+        ...suites,
+        '</testsuites>',
+        ''
+    ].join('\n');
+}
+
+// Report formats and the file extension used for the default report path
+const reportFormats = {
+    markdown: { extension: '.md', format: formatMarkdownReport },
+    json: { extension: '.json', format: formatJsonReport },
+    sarif: { extension: '.sarif', format: formatSarifReport },
+    junit: { extension: '.xml', format: formatJunitReport }
+};
+
+function formatReport(result, format = 'markdown', options = {}) {
+    if (!reportFormats[format]) {
+        throw new Error(`Unknown format "${format}". Available formats: ${Object.keys(reportFormats).join(', ')}`);
+    }
+    return reportFormats[format].format(result, options);
+}
+
+module.exports = {
+    countBySeverity,
+    formatJsonReport,
+    formatJunitReport,
+    formatMarkdownReport,
+    formatReport,
+    formatSarifReport,
+    reportFormats
+};
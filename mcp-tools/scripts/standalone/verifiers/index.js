@@ -0,0 +1,67 @@
+const { loadSnapshot } = require('../cli-metadata-helpers');
+const { annotationRules } = require('./annotation-rules');
+const { loadArticleFiles } = require('./article-files');
+const { coverageRules } = require('./coverage-rules');
+const { countBySeverity, formatReport, reportFormats } = require('./formatters');
+const { linkRules } = require('./link-rules');
+const { metadataRules } = require('./metadata-rules');
+const { parameterRules } = require('./parameter-rules');
+const { defaultWaiversPath, waiveFindings } = require('./waivers');
+
+// Each rule has an id, a severity ('error' or 'warning'), a description, and a
+// check(files) function that returns findings: { file, line?, tool?, message }
+const rules = [...annotationRules, ...metadataRules, ...linkRules, ...parameterRules, ...coverageRules];
+
+function selectRules(ruleIds) {
+    if (!ruleIds || ruleIds.length === 0) {
+        return rules;
+    }
+    return ruleIds.map(ruleId => {
+        const rule = rules.find(candidate => candidate.id === ruleId);
+        if (!rule) {
+            throw new Error(`Unknown rule "${ruleId}". Available rules: ${rules.map(candidate => candidate.id).join(', ')}`);
+        }
+        return rule;
+    });
+}
+
+function runRules(selectedRules, files) {
+    const findings = [];
+    for (const rule of selectedRules) {
+        for (const finding of rule.check(files)) {
+            findings.push({ ruleId: rule.id, severity: rule.severity, ...finding });
+        }
+    }
+    return {
+        articlesRoot: files.articlesRoot,
+        rules: selectedRules.map(rule => ({ id: rule.id, severity: rule.severity, description: rule.description })),
+        findings: findings,
+        waived: []
+    };
+}
+
+// snapshotDir defaults to the snapshot for mcp-cli-metadata/tracked-version.txt.
+// It is only read when a rule uses files.snapshot. Waivers are applied only when
+// waiversPath is given (the CLI passes mcp-tools/data/validation-waivers.json).
+function verifyArticles({ articlesRoot, ruleIds, snapshotDir, waiversPath } = {}) {
+    const selectedRules = selectRules(ruleIds);
+    const files = loadArticleFiles(articlesRoot);
+    let snapshot;
+    Object.defineProperty(files, 'snapshot', {
+        get: () => snapshot || (snapshot = snapshotDir ? loadSnapshot(snapshotDir) : loadSnapshot())
+    });
+    const result = runRules(selectedRules, files);
+    return waiversPath ? waiveFindings(result, waiversPath) : result;
+}
+
+module.exports = {
+    countBySeverity,
+    defaultWaiversPath,
+    formatReport,
+    reportFormats,
+    rules,
+    runRules,
+    selectRules,
+    verifyArticles,
+    waiveFindings
+};
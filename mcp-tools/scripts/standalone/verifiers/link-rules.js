@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+const { findAnchors, findIncludes, findLinks, readMarkdownFile } = require('./article-files');
+
+// Links with a scheme (https:, mailto:) and site-relative links (/azure/..., ~/includes/...)
+// resolve against Learn, not the articles root, so they are not checked
+function isExternalTarget(target) {
+    return /^[a-z][a-z0-9+.-]*:/i.test(target) || target.startsWith('/') || target.startsWith('~');
+}
+
+// Percent-decodes part of a link target. Malformed escapes such as "#50%-off" make
+// decodeURIComponent throw, so those return null and are reported by the caller.
+function decodeTargetPart(text) {
+    try {
+        return decodeURIComponent(text);
+    } catch (error) {
+        if (error instanceof URIError) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+// Splits a relative link target into the file it points to (the linking file itself
+// for "#anchor" links) and its anchor. A target that is not valid percent-encoding is
+// kept undecoded and marked as malformed.
+function resolveTarget(file, target) {
+    const hashIndex = target.indexOf('#');
+    const targetPath = (hashIndex >= 0 ? target.slice(0, hashIndex) : target).replace(/\?.*$/, '');
+    const rawAnchor = hashIndex >= 0 ? target.slice(hashIndex + 1) : null;
+    const anchor = rawAnchor === null ? null : decodeTargetPart(rawAnchor);
+    const decodedPath = targetPath ? decodeTargetPart(targetPath) : '';
+    return {
+        path: targetPath ? path.resolve(path.dirname(file.path), decodedPath ?? targetPath) : file.path,
+        anchor: anchor ?? rawAnchor,
+        malformed: (rawAnchor !== null && anchor === null) || decodedPath === null
+    };
+}
+
+function describeTarget(files, targetPath) {
+    return path.relative(files.articlesRoot, targetPath).split(path.sep).join('/');
+}
+
+// Walks INCLUDEs and links from the tool articles and tools/index.md. The three link
+// rules share one walk per set of files.
+const linkGraphs = new WeakMap();
+
+function buildLinkGraph(files) {
+    if (linkGraphs.has(files)) {
+        return linkGraphs.get(files);
+    }
+
+    const loaded = new Map([...files.toolFiles, ...files.includeFiles, ...(files.indexFile ? [files.indexFile] : [])]
+        .map(file => [file.path, file]));
+    const getFile = filePath => {
+        if (!loaded.has(filePath)) {
+            loaded.set(filePath, filePath.endsWith('.md') && fs.existsSync(filePath) && fs.statSync(filePath).isFile()
+                ? readMarkdownFile(files.articlesRoot, filePath)
+                : null);
+        }
+        return loaded.get(filePath);
+    };
+
+    // Included content is rendered in place, so its headings are anchors of the including file
+    const anchorCache = new Map();
+    const getAnchors = (file, visiting = new Set()) => {
+        if (anchorCache.has(file.path)) {
+            return anchorCache.get(file.path);
+        }
+        visiting.add(file.path);
+        const anchors = findAnchors(file);
+        for (const include of findIncludes(file)) {
+            if (isExternalTarget(include.target)) {
+                continue;
+            }
+            const includedFile = getFile(resolveTarget(file, include.target).path);
+            if (includedFile && !visiting.has(includedFile.path)) {
+                getAnchors(includedFile, visiting).forEach(anchor => anchors.add(anchor));
+            }
+        }
+        visiting.delete(file.path);
+        anchorCache.set(file.path, anchors);
+        return anchors;
+    };
+
+    const graph = { brokenTargets: [], missingAnchors: [], unreachableIncludes: [] };
+    const reached = new Set();
+    const queue = [...files.toolFiles, ...(files.indexFile ? [files.indexFile] : [])];
+    queue.forEach(file => reached.add(file.path));
+
+    while (queue.length > 0) {
+        const file = queue.shift();
+        for (const include of findIncludes(file)) {
+            if (isExternalTarget(include.target)) {
+                continue;
+            }
+            const target = resolveTarget(file, include.target);
+            if (target.malformed) {
+                graph.brokenTargets.push({
+                    file: file.relativePath,
+                    line: include.line,
+                    message: `INCLUDE target \`${include.target}\` is not valid percent-encoding`
+                });
+                continue;
+            }
+            const includedFile = getFile(target.path);
+            if (!includedFile) {
+                // annotation-include-missing already reports missing annotation files
+                if (path.dirname(target.path) === files.annotationsDir) {
+                    continue;
+                }
+                graph.brokenTargets.push({
+                    file: file.relativePath,
+                    line: include.line,
+                    message: `INCLUDE target \`${include.target}\` does not exist (resolved to \`${describeTarget(files, target.path)}\`)`
+                });
+            } else if (!reached.has(includedFile.path)) {
+                reached.add(includedFile.path);
+                queue.push(includedFile);
+            }
+        }
+        for (const link of findLinks(file)) {
+            if (isExternalTarget(link.target)) {
+                continue;
+            }
+            const target = resolveTarget(file, link.target);
+            if (target.malformed) {
+                graph.brokenTargets.push({
+                    file: file.relativePath,
+                    line: link.line,
+                    message: `Link target \`${link.target}\` is not valid percent-encoding`
+                });
+                continue;
+            }
+            if (!fs.existsSync(target.path)) {
+                graph.brokenTargets.push({
+                    file: file.relativePath,
+                    line: link.line,
+                    message: `Link target \`${link.target}\` does not exist (resolved to \`${describeTarget(files, target.path)}\`)`
+                });
+                continue;
+            }
+            const targetFile = target.anchor ? getFile(target.path) : null;
+            if (targetFile && !getAnchors(targetFile).has(target.anchor)) {
+                graph.missingAnchors.push({
+                    file: file.relativePath,
+                    line: link.line,
+                    message: targetFile === file
+                        ? `Anchor \`#${target.anchor}\` is not a heading in this file`
+                        : `Anchor \`#${target.anchor}\` is not a heading in \`${describeTarget(files, targetFile.path)}\``
+                });
+            }
+        }
+    }
+
+    // annotation-orphaned already covers annotation files, so only other includes are reported
+    graph.unreachableIncludes = files.includeFiles
+        .filter(file => !reached.has(file.path) && !files.annotationFiles.includes(file))
+        .map(file => ({
+            file: file.relativePath,
+            message: 'Include file is not reachable through INCLUDEs from any tool article or tools/index.md'
+        }));
+
+    linkGraphs.set(files, graph);
+    return graph;
+}
+
+const linkRules = [
+    {
+        id: 'link-target-missing',
+        severity: 'error',
+        description: 'INCLUDE targets and relative links in tool articles and reachable includes point to files that exist',
+        check(files) {
+            return buildLinkGraph(files).brokenTargets;
+        }
+    },
+    {
+        id: 'link-anchor-missing',
+        severity: 'error',
+        description: '#anchors in relative links match a heading slug (or explicit anchor) in the target file',
+        check(files) {
+            return buildLinkGraph(files).missingAnchors;
+        }
+    },
+    {
+        id: 'include-unreachable',
+        severity: 'warning',
+        description: 'Every include file (other than annotation files) is reachable through INCLUDEs from a tool article',
+        check(files) {
+            return buildLinkGraph(files).unreachableIncludes;
+        }
+    }
+];
+
+module.exports = {
+    buildLinkGraph,
+    linkRules,
+    resolveTarget
+};
@@ -0,0 +1,127 @@
+const {
+    annotationColumns,
+    buildAnnotationFileName,
+    loadFileNameData,
+    parseAnnotationInclude
+} = require('../cli-metadata-helpers');
+
+const emoji = value => (value ? '✅' : '❌');
+
+// Returns the line number of the values row in an annotation table, or undefined
+function findValuesLine(file) {
+    const headerIndex = file.lines.findIndex(line => line.trim().startsWith('|') && line.includes('Destructive'));
+    return headerIndex >= 0 && headerIndex + 2 < file.lines.length ? headerIndex + 3 : undefined;
+}
+
+// Compares every annotation file with its tool's metadata in the snapshot. The tool is
+// found through the "# azmcp <command>" frontmatter comment, then through the file name.
+// The four metadata rules share one comparison per set of files.
+const comparisons = new WeakMap();
+
+function compareAnnotationMetadata(files) {
+    if (comparisons.has(files)) {
+        return comparisons.get(files);
+    }
+
+    const { tools } = files.snapshot;
+    const nameData = loadFileNameData();
+    const toolsByCommand = new Map(tools.map(tool => [tool.command, tool]));
+    const toolsByFileName = new Map(tools.map(tool => [buildAnnotationFileName(tool.command || '', nameData), tool]));
+    const comparison = { mismatches: [], unpublished: [], unknownTools: [], unparsed: [] };
+
+    for (const file of files.annotationFiles) {
+        const parsed = parseAnnotationInclude(file.content);
+        const tool = (parsed.command && toolsByCommand.get(parsed.command)) || toolsByFileName.get(file.name);
+        if (!tool) {
+            comparison.unknownTools.push({
+                file: file.relativePath,
+                ...(parsed.command ? { tool: parsed.command } : {}),
+                message: `No tool in the snapshot matches ${parsed.command ? `\`${parsed.command}\`` : 'the file name'}; it may have been removed or renamed`
+            });
+            continue;
+        }
+
+        const hasMetadata = Object.values(annotationColumns).some(key => tool.metadata && tool.metadata[key]);
+        if (parsed.noMetadata) {
+            if (hasMetadata) {
+                comparison.unpublished.push({
+                    file: file.relativePath,
+                    tool: tool.command,
+                    message: `File says "No metadata available", but \`${tool.command}\` has metadata in the snapshot`
+                });
+            }
+            continue;
+        }
+        if (!parsed.values || Object.keys(parsed.values).length === 0) {
+            comparison.unparsed.push({
+                file: file.relativePath,
+                tool: tool.command,
+                message: `No annotation table found for \`${tool.command}\``
+            });
+            continue;
+        }
+
+        const differences = [];
+        for (const [header, key] of Object.entries(annotationColumns)) {
+            if (!(key in parsed.values)) {
+                continue;
+            }
+            // The template renders a missing flag the same way as false
+            const expected = Boolean(tool.metadata && tool.metadata[key] && tool.metadata[key].value === true);
+            if (parsed.values[key] !== expected) {
+                differences.push(`${header} is ${emoji(parsed.values[key])}, snapshot has ${emoji(expected)}`);
+            }
+        }
+        if (differences.length > 0) {
+            comparison.mismatches.push({
+                file: file.relativePath,
+                line: findValuesLine(file),
+                tool: tool.command,
+                message: `Annotation values differ from the snapshot for \`${tool.command}\`: ${differences.join('; ')}`
+            });
+        }
+    }
+
+    comparisons.set(files, comparison);
+    return comparison;
+}
+
+const metadataRules = [
+    {
+        id: 'annotation-metadata-mismatch',
+        severity: 'error',
+        description: 'Annotation table values match the tool metadata in the CLI snapshot',
+        check(files) {
+            return compareAnnotationMetadata(files).mismatches;
+        }
+    },
+    {
+        id: 'annotation-metadata-unpublished',
+        severity: 'error',
+        description: 'Annotation files say "No metadata available" only for tools without metadata in the CLI snapshot',
+        check(files) {
+            return compareAnnotationMetadata(files).unpublished;
+        }
+    },
+    {
+        id: 'annotation-tool-unknown',
+        severity: 'warning',
+        description: 'Every annotation file matches a tool in the CLI snapshot',
+        check(files) {
+            return compareAnnotationMetadata(files).unknownTools;
+        }
+    },
+    {
+        id: 'annotation-table-missing',
+        severity: 'warning',
+        description: 'Annotation files for tools have an annotation table or "No metadata available"',
+        check(files) {
+            return compareAnnotationMetadata(files).unparsed;
+        }
+    }
+];
+
+module.exports = {
+    compareAnnotationMetadata,
+    metadataRules
+};
@@ -0,0 +1,145 @@
+const { loadCommonParameters, loadParameterNameData, normalizeParameterName } = require('../cli-metadata-helpers');
+const { splitToolSections } = require('./article-files');
+
+// Parameter tables come from parameter-template.hbs:
+// | Parameter |  Required or optional | Description |
+const parameterHeaderPattern = /^\|\s*Parameter\s*\|/i;
+
+function splitRow(line) {
+    return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+}
+
+// Rows match options by display name ("Resource group") or option name
+// ("--resource-group"), ignoring case, bold, backticks and separators
+function parameterKey(value) {
+    return value.replace(/\*\*|`/g, '').trim().replace(/^--/, '').toLowerCase().replace(/[\s_]+/g, '-');
+}
+
+// Returns the first parameter table in a section, or null if it has none
+function findParameterTable(file, section) {
+    for (let index = section.index + 1; index < section.endIndex; index++) {
+        if (!parameterHeaderPattern.test(file.lines[index].trim())) {
+            continue;
+        }
+        const rows = [];
+        for (let rowIndex = index + 2; rowIndex < section.endIndex && file.lines[rowIndex].trim().startsWith('|'); rowIndex++) {
+            const cells = splitRow(file.lines[rowIndex]);
+            const name = cells[0].replace(/\*\*|`/g, '').trim();
+            if (!name || /^\*no parameters\*$/i.test(name)) {
+                continue;
+            }
+            rows.push({ line: rowIndex + 1, name: name, requiredText: cells[1] || '' });
+        }
+        return { line: index + 1, rows: rows };
+    }
+    return null;
+}
+
+// Compares every tool section's parameter table with the tool's options in the
+// snapshot. The three parameter rules share one comparison per set of files.
+const comparisons = new WeakMap();
+
+function compareParameterTables(files) {
+    if (comparisons.has(files)) {
+        return comparisons.get(files);
+    }
+
+    const snapshot = files.snapshot;
+    const toolsByCommand = new Map(snapshot.tools.map(tool => [tool.command, tool]));
+    const commonParameters = new Map(loadCommonParameters().map(parameter => [parameterKey(parameter.name), parameter]));
+    const nameData = loadParameterNameData();
+    const comparison = { missing: [], stale: [], mismatched: [] };
+
+    for (const file of files.toolFiles) {
+        for (const section of splitToolSections(file)) {
+            const tool = section.command && toolsByCommand.get(section.command);
+            if (!tool) {
+                continue;
+            }
+            const table = findParameterTable(file, section);
+            const rows = table ? table.rows : [];
+            const options = (tool.option || []).map(option => {
+                const displayName = normalizeParameterName(option.name, nameData);
+                return { option: option, displayName: displayName, keys: [parameterKey(option.name), parameterKey(displayName)] };
+            });
+            const documented = new Set();
+
+            for (const row of rows) {
+                const match = options.find(candidate => candidate.keys.includes(parameterKey(row.name)));
+                if (!match) {
+                    comparison.stale.push({
+                        file: file.relativePath,
+                        line: row.line,
+                        tool: tool.command,
+                        message: commonParameters.has(parameterKey(row.name))
+                            ? `\`${row.name}\` is a common parameter that \`${tool.command}\` does not accept in ${snapshot.name}`
+                            : `\`${row.name}\` is not an option of \`${tool.command}\` in ${snapshot.name}`
+                    });
+                    continue;
+                }
+                documented.add(match.option.name);
+
+                const requiredText = row.requiredText.replace(/\*$/, '').trim().toLowerCase();
+                const expected = match.option.required === true ? 'Required' : 'Optional';
+                if ((requiredText === 'required' || requiredText === 'optional') && requiredText !== expected.toLowerCase()) {
+                    comparison.mismatched.push({
+                        file: file.relativePath,
+                        line: row.line,
+                        tool: tool.command,
+                        message: `\`${row.name}\` (\`${match.option.name}\`) is documented as ${row.requiredText} but is ${expected.toLowerCase()} for \`${tool.command}\``
+                    });
+                }
+            }
+
+            // Optional common parameters such as --tenant may be left out of the table
+            for (const { option, displayName } of options) {
+                const common = commonParameters.has(parameterKey(option.name));
+                if (documented.has(option.name) || (common && option.required !== true)) {
+                    continue;
+                }
+                comparison.missing.push({
+                    file: file.relativePath,
+                    line: table ? table.line : section.line,
+                    tool: tool.command,
+                    message: `${option.required === true ? 'Required' : 'Optional'} option \`${option.name}\` of \`${tool.command}\` is not documented (expected row \`${displayName}\`)`
+                });
+            }
+        }
+    }
+
+    comparisons.set(files, comparison);
+    return comparison;
+}
+
+const parameterRules = [
+    {
+        id: 'parameter-missing',
+        severity: 'error',
+        description: 'Parameter tables list every option of the tool in the CLI snapshot',
+        check(files) {
+            return compareParameterTables(files).missing;
+        }
+    },
+    {
+        id: 'parameter-stale',
+        severity: 'error',
+        description: 'Parameter tables list only options that the tool has in the CLI snapshot',
+        check(files) {
+            return compareParameterTables(files).stale;
+        }
+    },
+    {
+        id: 'parameter-required-mismatch',
+        severity: 'error',
+        description: 'The "Required or optional" column matches whether the option is required in the CLI snapshot',
+        check(files) {
+            return compareParameterTables(files).mismatched;
+        }
+    }
+];
+
+module.exports = {
+    compareParameterTables,
+    findParameterTable,
+    parameterRules
+};
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const { repoRoot } = require('./article-files');
+
+const defaultWaiversPath = path.join(repoRoot, 'mcp-tools', 'data', 'validation-waivers.json');
+
+// Problems with the waivers themselves are findings of this rule, so they fail the run
+const waiverRule = {
+    id: 'waiver-invalid',
+    severity: 'error',
+    description: 'Waivers in validation-waivers.json have a reason, have not expired, and still match a finding'
+};
+
+// Loads the waivers for the given rule ids. Waivers for other rules (such as the
+// annotation-safety-flip waivers used by mcp-cli-metadata) are ignored, and a missing
+// file has no waivers. Each waiver keeps its position in the file as number.
+function loadWaivers(ruleIds, waiversPath = defaultWaiversPath) {
+    if (!fs.existsSync(waiversPath)) {
+        return [];
+    }
+    const document = JSON.parse(fs.readFileSync(waiversPath, 'utf-8').replace(/^\uFEFF/, ''));
+    if (!Array.isArray(document.waivers)) {
+        throw new Error(`Waiver file does not contain a waivers array: ${waiversPath}`);
+    }
+    return document.waivers
+        .map((waiver, index) => ({ ...waiver, number: index + 1 }))
+        .filter(waiver => ruleIds.includes(waiver.ruleId));
+}
+
+// Waiver files use forward slashes relative to the articles root, like findings do
+function normalizeFile(file) {
+    return String(file).split('\\').join('/').replace(/^\.\//, '');
+}
+
+function describeWaiver(waiver) {
+    const location = `${waiver.file}${waiver.line !== undefined ? `:${waiver.line}` : ''}`;
+    return `Waiver ${waiver.number} (\`${waiver.ruleId}\` for \`${location}\`${waiver.tool !== undefined ? `, tool \`${waiver.tool}\`` : ''}${waiver.flag !== undefined ? `, flag \`${waiver.flag}\`` : ''})`;
+}
+
+function matchesWaiver(waiver, finding) {
+    return waiver.ruleId === finding.ruleId
+        && normalizeFile(waiver.file) === finding.file
+        && (waiver.line === undefined || waiver.line === finding.line)
+        && (waiver.tool === undefined || waiver.tool === finding.tool)
+        && (waiver.flag === undefined || waiver.flag === finding.flag);
+}
+
+// Splits findings into the ones that still count and the ones a waiver covers. Waivers
+// without a reason or file, with an expires date before today (UTC), or that match no
+// finding are returned as waiver-invalid problems; they do not waive anything.
+function applyWaivers(findings, waivers, { articlesRoot, waiversPath = defaultWaiversPath, now = new Date() }) {
+    const today = now.toISOString().slice(0, 10);
+    const problems = [];
+    const activeWaivers = [];
+    for (const waiver of waivers) {
+        if (typeof waiver.reason !== 'string' || waiver.reason.trim() === '') {
+            problems.push(`${describeWaiver(waiver)} has no reason`);
+        } else if (!waiver.file) {
+            problems.push(`${describeWaiver(waiver)} has no file`);
+        } else if (waiver.expires !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(waiver.expires)) {
+            problems.push(`${describeWaiver(waiver)} has an invalid expires date "${waiver.expires}" (use YYYY-MM-DD)`);
+        } else if (waiver.expires !== undefined && waiver.expires < today) {
+            problems.push(`${describeWaiver(waiver)} expired on ${waiver.expires}: ${waiver.reason}`);
+        } else {
+            activeWaivers.push(waiver);
+        }
+    }
+
+    const usedWaivers = new Set();
+    const remaining = [];
+    const waived = [];
+    for (const finding of findings) {
+        const waiver = activeWaivers.find(candidate => matchesWaiver(candidate, finding));
+        if (waiver) {
+            usedWaivers.add(waiver);
+            waived.push({ ...finding, waiver: { reason: waiver.reason, expires: waiver.expires || null } });
+        } else {
+            remaining.push(finding);
+        }
+    }
+    for (const waiver of activeWaivers.filter(candidate => !usedWaivers.has(candidate))) {
+        problems.push(`${describeWaiver(waiver)} matches no finding; remove it`);
+    }
+
+    const waiversFile = path.relative(articlesRoot, waiversPath).split(path.sep).join('/');
+    return {
+        findings: remaining,
+        waived: waived,
+        problems: problems.map(message => ({ ruleId: waiverRule.id, severity: waiverRule.severity, file: waiversFile, message: message }))
+    };
+}
+
+// Applies the waivers for a result's rules: waived findings move to result.waived, and
+// waiver problems are added as findings of the waiver-invalid rule
+function waiveFindings(result, waiversPath = defaultWaiversPath, { now } = {}) {
+    const waivers = loadWaivers(result.rules.map(rule => rule.id), waiversPath);
+    const { findings, waived, problems } = applyWaivers(result.findings, waivers, { articlesRoot: result.articlesRoot, waiversPath, now });
+    return {
+        ...result,
+        rules: [...result.rules, waiverRule],
+        findings: [...findings, ...problems],
+        waived: waived
+    };
+}
+
+// Markdown section listing waived findings, shared by the verifier reports
+function formatWaivedSection(waived) {
+    if (!waived || waived.length === 0) {
+        return [];
+    }
+    const reportLines = [];
+    reportLines.push('## 🔕 Waived Findings');
+    reportLines.push('');
+    reportLines.push('These findings match a waiver in `validation-waivers.json` and do not fail the check:');
+    reportLines.push('');
+    reportLines.push('| Rule | File | Line | Message | Reason | Expires |');
+    reportLines.push('|------|------|-----:|---------|--------|---------|');
+    for (const finding of waived) {
+        const cells = [finding.message, finding.waiver.reason].map(value => value.replace(/\|/g, '\\|'));
+        reportLines.push(`| \`${finding.ruleId}\` | \`${finding.file}\` | ${finding.line || ''} | ${cells[0]} | ${cells[1]} | ${finding.waiver.expires || ''} |`);
+    }
+    reportLines.push('');
+    return reportLines;
+}
+
+module.exports = {
+    applyWaivers,
+    defaultWaiversPath,
+    formatWaivedSection,
+    loadWaivers,
+    waiveFindings,
+    waiverRule
+};
@@ -0,0 +1,29 @@
+const verifyArticles = require('./verify-articles');
+const { metadataRules } = require('./verifiers/metadata-rules');
+
+// Usage: node verify-annotation-metadata.js [--snapshot <snapshot directory>] [--articles-root <dir>]
+//                                           [--format markdown|json|sarif|junit] [--report <path>] [--waivers <path>]
+// Runs the annotation metadata rules from verifiers/metadata-rules.js through
+// verify-articles.js, so waivers and every report format apply. Defaults to the
+// snapshot for mcp-cli-metadata/tracked-version.txt, articles/azure-mcp-server, and
+// annotation-metadata-report.<md|json|sarif|xml> next to this script.
+function main(argv = process.argv.slice(2)) {
+    if (argv.includes('--rules')) {
+        throw new Error('--rules is not supported; this script always runs the metadata rules (use verify-articles.js --rules to choose rules)');
+    }
+    return verifyArticles.main(
+        ['--rules', metadataRules.map(rule => rule.id).join(','), ...argv],
+        { reportName: 'annotation-metadata-report' }
+    );
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = main();
+    } catch (error) {
+        console.error(`Failed to verify annotation metadata: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { main };
@@ -1,208 +1,445 @@
 const fs = require('fs');
 const path = require('path');
 
-// Directories
-const toolsDir = path.join(__dirname, '..', '..', '..', 'articles', 'azure-mcp-server', 'tools');
-const annotationsDir = path.join(__dirname, '..', '..', '..', 'articles', 'azure-mcp-server', 'includes', 'tools', 'annotations');
-
-// Get all annotation files (exclude index.md if it exists)
-const annotationFiles = fs.readdirSync(annotationsDir)
-    .filter(file => file.endsWith('.md'))
-    .sort();
-
-// Get all tool files (exclude index.md and annotations directory)
-const toolFiles = fs.readdirSync(toolsDir)
-    .filter(file => file.endsWith('.md') && file !== 'index.md')
-    .sort();
-
-// Track references to each annotation file
-const annotationReferences = {};
-annotationFiles.forEach(file => {
-    annotationReferences[file] = [];
-});
-
-// Scan each tool file for INCLUDE statements
-for (const toolFile of toolFiles) {
-    const toolFilePath = path.join(toolsDir, toolFile);
-    const content = fs.readFileSync(toolFilePath, 'utf-8');
-    
-    // Find all INCLUDE statements with annotation references
-    // Pattern: [!INCLUDE [text](../includes/tools/annotations/filename.md)]
-    const includePattern = /\[!INCLUDE\s+\[[^\]]+\]\(\.\.\/includes\/tools\/annotations\/([^)]+)\)\]/g;
-    
-    let match;
-    while ((match = includePattern.exec(content)) !== null) {
-        const annotationFile = match[1];
-        
-        if (annotationReferences.hasOwnProperty(annotationFile)) {
-            annotationReferences[annotationFile].push(toolFile);
+const {
+    buildAnnotationFileName,
+    findBrandMapping,
+    findTrackedSnapshot,
+    loadFileNameData,
+    loadSnapshot,
+    parseAnnotationInclude,
+    renderAnnotationInclude
+} = require('./cli-metadata-helpers');
+const { formatReport, reportFormats, runRules, selectRules } = require('./verifiers');
+const { collectAnnotationReferences } = require('./verifiers/annotation-rules');
+const { loadArticleFiles } = require('./verifiers/article-files');
+const { defaultWaiversPath, formatWaivedSection, waiveFindings } = require('./verifiers/waivers');
+
+// Usage: node verify-annotation-references.js [--repair] [--prune] [--snapshot <snapshot directory>] [--articles-root <dir>]
+//                                             [--waivers <path>] [--report <path>] [--format markdown|json|sarif|junit]
+//   --repair         archive orphaned files, create missing files from the tracked snapshot's
+//                    metadata, and propose one owner for files referenced multiple times
+//   --prune          delete orphaned files instead of archiving them (implies --repair)
+//   --snapshot       use this snapshot instead of the one for mcp-cli-metadata/tracked-version.txt
+//   --articles-root  directory containing tools/ and includes/ (default: articles/azure-mcp-server)
+//   --waivers        waiver file (default: mcp-tools/data/validation-waivers.json)
+//   --report         report path (default: annotation-reference-report.<md|json|sarif|xml> here)
+//   --format         report format (default: markdown)
+function parseArgs(argv) {
+    const options = {
+        repair: false,
+        prune: false,
+        snapshotDir: undefined,
+        articlesRoot: undefined,
+        waiversPath: defaultWaiversPath,
+        reportPath: undefined,
+        format: 'markdown'
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i];
+        if (flag === '--repair' || flag === '--prune') {
+            options[flag.slice(2)] = true;
+            continue;
+        }
+        if (!['--snapshot', '--articles-root', '--waivers', '--report', '--format'].includes(flag)) {
+            throw new Error(`Unknown argument "${flag}"`);
+        }
+        const value = argv[++i];
+        if (value === undefined) {
+            throw new Error(`${flag} requires a value`);
+        }
+        if (flag === '--snapshot') {
+            options.snapshotDir = path.resolve(value);
+        } else if (flag === '--articles-root') {
+            options.articlesRoot = path.resolve(value);
+        } else if (flag === '--waivers') {
+            options.waiversPath = path.resolve(value);
+        } else if (flag === '--report') {
+            options.reportPath = path.resolve(value);
         } else {
-            // Reference to a non-existent annotation file
-            if (!annotationReferences['_missing']) {
-                annotationReferences['_missing'] = [];
+            if (!reportFormats[value]) {
+                throw new Error(`Unknown format "${value}". Available formats: ${Object.keys(reportFormats).join(', ')}`);
             }
-            annotationReferences['_missing'].push({
-                toolFile: toolFile,
-                annotationFile: annotationFile
-            });
+            options.format = value;
         }
     }
+    if (!options.reportPath) {
+        options.reportPath = path.join(__dirname, `annotation-reference-report${reportFormats[options.format].extension}`);
+    }
+    options.repair = options.repair || options.prune;
+    return options;
 }
 
-// Generate report
-const report = {
-    summary: {
-        totalAnnotationFiles: annotationFiles.length,
-        referencedOnce: 0,
-        referencedMultipleTimes: 0,
-        notReferenced: 0,
-        missingFiles: 0
-    },
-    details: {
-        correct: [],
-        multipleReferences: [],
-        noReferences: [],
-        missingFiles: []
+// Another repair on the same day archives to name-2.md, name-3.md, ... instead of
+// replacing the copy archived earlier
+function findArchivePath(archiveDir, file) {
+    const { name, ext } = path.parse(file);
+    let archivePath = path.join(archiveDir, file);
+    for (let count = 2; fs.existsSync(archivePath); count++) {
+        archivePath = path.join(archiveDir, `${name}-${count}${ext}`);
     }
-};
+    return archivePath;
+}
+
+// Checks that every annotation file is included exactly once and that every included
+// annotation file exists. With repair, orphans are archived (or deleted with prune),
+// missing files are created from the snapshot's metadata, and one owner is proposed
+// for each file included more than once; each step is listed in actions. findings holds
+// the rule findings for verifiers/formatters.js, without the ones a repair fixed.
+function verifyAnnotationReferences({
+    articlesRoot,
+    waiversPath = defaultWaiversPath,
+    repair = false,
+    prune = false,
+    snapshotDir,
+    now = new Date()
+} = {}) {
+    // Tool files (except index.md) and annotation files
+    const files = loadArticleFiles(articlesRoot);
+    const annotationsDir = files.annotationsDir;
+    const archiveDir = path.join(files.annotationsArchiveDir, now.toISOString().slice(0, 10));
+    const annotationFiles = files.annotationFiles.map(file => file.name);
+
+    // Track references to each annotation file, and references to files that don't exist
+    const { references: annotationReferences, missing: missingReferences } = collectAnnotationReferences(files);
+
+    const report = {
+        summary: {
+            totalAnnotationFiles: annotationFiles.length,
+            referencedOnce: 0,
+            referencedMultipleTimes: 0,
+            notReferenced: 0,
+            missingFiles: 0
+        },
+        details: {
+            correct: [],
+            multipleReferences: [],
+            noReferences: [],
+            missingFiles: []
+        }
+    };
+
+    // Analyze results
+    for (const annotationFile of annotationFiles) {
+        const references = annotationReferences.get(annotationFile).map(reference => reference.toolFile);
+
+        if (references.length === 0) {
+            report.summary.notReferenced++;
+            report.details.noReferences.push(annotationFile);
+        } else if (references.length === 1) {
+            report.summary.referencedOnce++;
+            report.details.correct.push({
+                annotation: annotationFile,
+                toolFile: references[0]
+            });
+        } else {
+            report.summary.referencedMultipleTimes++;
+            report.details.multipleReferences.push({
+                annotation: annotationFile,
+                toolFiles: references,
+                count: references.length
+            });
+        }
+    }
+
+    // Check for references to missing files
+    report.summary.missingFiles = missingReferences.length;
+    report.details.missingFiles = missingReferences;
+
+    // Waived findings are neither reported nor repaired; waiver problems fail the check
+    const waiverResult = waiveFindings(
+        runRules(selectRules(['annotation-include-missing', 'annotation-orphaned', 'annotation-multiple-references']), files),
+        waiversPath
+    );
+    const waiverProblems = waiverResult.findings.filter(finding => finding.ruleId === 'waiver-invalid');
+    const isWaived = (ruleId, file, line) => waiverResult.waived.some(finding => finding.ruleId === ruleId
+        && finding.file === file
+        && (line === undefined || finding.line === line));
+    const annotationPath = file => path.relative(files.articlesRoot, path.join(annotationsDir, file)).split(path.sep).join('/');
+    report.details.noReferences = report.details.noReferences.filter(file => !isWaived('annotation-orphaned', annotationPath(file)));
+    report.details.multipleReferences = report.details.multipleReferences
+        .filter(item => !isWaived('annotation-multiple-references', annotationPath(item.annotation)));
+    report.details.missingFiles = report.details.missingFiles
+        .filter(item => !isWaived('annotation-include-missing', `tools/${item.toolFile}`, item.line));
+    report.summary.notReferenced = report.details.noReferences.length;
+    report.summary.referencedMultipleTimes = report.details.multipleReferences.length;
+    report.summary.missingFiles = report.details.missingFiles.length;
+    report.summary.waived = waiverResult.waived.length;
+
+    // Repair: archive or delete orphans, create missing files, propose owners
+    const actions = [];
+    const fixedFindings = new Set();
+    const unresolved = { missingFiles: 0, multipleReferences: report.details.multipleReferences.length };
+
+    if (repair) {
+        const snapshot = loadSnapshot(snapshotDir || findTrackedSnapshot());
+        const nameData = loadFileNameData();
+        const toolsByCommand = new Map(snapshot.tools.map(tool => [tool.command, tool]));
+        const toolsByFileName = new Map(snapshot.tools.map(tool => [buildAnnotationFileName(tool.command || '', nameData), tool]));
+
+        const repairedOrphans = new Set();
+        for (const file of report.details.noReferences) {
+            repairedOrphans.add(file);
+            fixedFindings.add(`annotation-orphaned:${annotationPath(file)}:`);
+            const filePath = path.join(annotationsDir, file);
+            if (prune) {
+                fs.unlinkSync(filePath);
+                actions.push(`Deleted orphaned \`${file}\``);
+            } else {
+                fs.mkdirSync(archiveDir, { recursive: true });
+                const archivePath = findArchivePath(archiveDir, file);
+                fs.renameSync(filePath, archivePath);
+                actions.push(`Archived orphaned \`${file}\` to \`${path.relative(annotationsDir, archivePath).split(path.sep).join('/')}\``);
+            }
+        }
 
-// Analyze results
-for (const annotationFile of annotationFiles) {
-    const references = annotationReferences[annotationFile];
-    
-    if (references.length === 0) {
-        report.summary.notReferenced++;
-        report.details.noReferences.push(annotationFile);
-    } else if (references.length === 1) {
-        report.summary.referencedOnce++;
-        report.details.correct.push({
-            annotation: annotationFile,
-            toolFile: references[0]
-        });
-    } else {
-        report.summary.referencedMultipleTimes++;
-        report.details.multipleReferences.push({
-            annotation: annotationFile,
-            toolFiles: references,
-            count: references.length
-        });
+        const created = new Set();
+        for (const item of report.details.missingFiles) {
+            if (created.has(item.annotationFile)) {
+                continue;
+            }
+            // The name comes from the INCLUDE target, which can contain ../ segments
+            const targetPath = path.resolve(annotationsDir, item.annotationFile);
+            if (path.dirname(targetPath) !== annotationsDir) {
+                unresolved.missingFiles++;
+                actions.push(`Could not create \`${item.annotationFile}\` (referenced in \`${item.toolFile}\`): the name resolves outside \`includes/tools/annotations\``);
+                continue;
+            }
+            // The INCLUDE link text is the tool command; the file name is the fallback
+            const tool = toolsByCommand.get(item.linkText) || toolsByFileName.get(item.annotationFile);
+            if (!tool) {
+                unresolved.missingFiles++;
+                actions.push(`Could not create \`${item.annotationFile}\` (referenced in \`${item.toolFile}\`): no tool in \`${snapshot.name}\` matches`);
+                continue;
+            }
+            fs.writeFileSync(
+                targetPath,
+                renderAnnotationInclude(tool, item.annotationFile, snapshot.version),
+                'utf-8'
+            );
+            created.add(item.annotationFile);
+            actions.push(`Created \`${item.annotationFile}\` from the \`${tool.command}\` metadata in \`${snapshot.name}\``);
+        }
+
+        // The owner is the article the tool's namespace is published in: the merge group
+        // article for merged namespaces, otherwise the namespace's own article
+        for (const item of report.details.multipleReferences) {
+            const parsed = parseAnnotationInclude(fs.readFileSync(path.join(annotationsDir, item.annotation), 'utf-8'));
+            const tool = (parsed.command && toolsByCommand.get(parsed.command)) || toolsByFileName.get(item.annotation);
+            const mapping = tool ? findBrandMapping(tool.command, nameData) : null;
+            const articleNames = mapping
+                ? [mapping.composition === 'merge' ? mapping.mergeGroup : null, mapping.fileName].filter(Boolean).map(name => `${name}.md`)
+                : [];
+            const owner = articleNames.map(name => item.toolFiles.find(file => file === name)).find(Boolean);
+            item.proposedOwner = owner || [...item.toolFiles].sort()[0];
+            item.ownerReason = owner
+                ? `namespace article for \`${tool.command}\``
+                : 'no referencing file is the namespace article; first file alphabetically';
+            const others = [...new Set(item.toolFiles.filter(file => file !== item.proposedOwner))];
+            actions.push(`Proposed \`${item.proposedOwner}\` as the owner of \`${item.annotation}\` (${item.ownerReason}); remove the INCLUDE from ${others.map(file => `\`${file}\``).join(', ')}`);
+        }
+
+        // Archived, deleted and created files are listed under Repair Actions, not as issues
+        report.details.noReferences = report.details.noReferences.filter(file => !repairedOrphans.has(file));
+        for (const item of report.details.missingFiles.filter(missing => created.has(missing.annotationFile))) {
+            fixedFindings.add(`annotation-include-missing:tools/${item.toolFile}:${item.line}`);
+        }
+        report.details.missingFiles = report.details.missingFiles.filter(item => !created.has(item.annotationFile));
+        report.summary.notReferenced = report.details.noReferences.length;
+        report.summary.missingFiles = report.details.missingFiles.length;
     }
+
+    const findings = {
+        ...waiverResult,
+        findings: waiverResult.findings.filter(finding => !fixedFindings.has(`${finding.ruleId}:${finding.file}:${finding.line || ''}`))
+    };
+    return { report, repaired: repair, actions, unresolved, findings, waived: waiverResult.waived, waiverProblems };
 }
 
-// Check for references to missing files
-if (annotationReferences['_missing']) {
-    report.summary.missingFiles = annotationReferences['_missing'].length;
-    report.details.missingFiles = annotationReferences['_missing'];
+// Orphans and created files are fixed by a repair; missing files without a tool and
+// multiple references still need a person to decide
+function hasIssues({ report, repaired, unresolved, waiverProblems }) {
+    if (repaired) {
+        return unresolved.missingFiles + unresolved.multipleReferences + waiverProblems.length > 0;
+    }
+    return report.details.multipleReferences.length + report.details.noReferences.length
+        + report.details.missingFiles.length + waiverProblems.length > 0;
 }
 
-// Write report to markdown file
-const reportLines = [];
-reportLines.push('# Annotation Reference Verification Report');
-reportLines.push('');
-reportLines.push(`**Generated:** ${new Date().toISOString()}`);
-reportLines.push('');
-reportLines.push('## Summary');
-reportLines.push('');
-reportLines.push(`- **Total annotation files:** ${report.summary.totalAnnotationFiles}`);
-reportLines.push(`- **✅ Referenced exactly once:** ${report.summary.referencedOnce}`);
-reportLines.push(`- **⚠️ Referenced multiple times:** ${report.summary.referencedMultipleTimes}`);
-reportLines.push(`- **❌ Not referenced (orphaned):** ${report.summary.notReferenced}`);
-reportLines.push(`- **🔴 Missing files (referenced but don't exist):** ${report.summary.missingFiles}`);
-reportLines.push('');
-
-// Report issues first
-let hasIssues = false;
-
-if (report.details.multipleReferences.length > 0) {
-    hasIssues = true;
-    reportLines.push('## ⚠️ Files Referenced Multiple Times');
+function formatReferencesReport({ report, repaired, actions, waived, waiverProblems }) {
+    const reportLines = [];
+    reportLines.push('# Annotation Reference Verification Report');
+    reportLines.push('');
+    reportLines.push(`**Generated:** ${new Date().toISOString()}`);
     reportLines.push('');
-    reportLines.push('These annotation files are included in multiple tool files:');
+    reportLines.push('## Summary');
     reportLines.push('');
-    for (const item of report.details.multipleReferences) {
-        reportLines.push(`### ${item.annotation}`);
+    reportLines.push(`- **Total annotation files:** ${report.summary.totalAnnotationFiles}`);
+    reportLines.push(`- **✅ Referenced exactly once:** ${report.summary.referencedOnce}`);
+    reportLines.push(`- **⚠️ Referenced multiple times:** ${report.summary.referencedMultipleTimes}`);
+    reportLines.push(`- **❌ Not referenced (orphaned):** ${report.summary.notReferenced}`);
+    reportLines.push(`- **🔴 Missing files (referenced but don't exist):** ${report.summary.missingFiles}`);
+    reportLines.push(`- **🔕 Waived:** ${report.summary.waived}`);
+    if (waiverProblems.length > 0) {
+        reportLines.push(`- **❌ Waiver problems:** ${waiverProblems.length}`);
+    }
+    reportLines.push('');
+
+    if (repaired) {
+        reportLines.push('## 🔧 Repair Actions');
         reportLines.push('');
-        reportLines.push(`**Referenced ${item.count} times in:**`);
-        for (const toolFile of item.toolFiles) {
-            reportLines.push(`- ${toolFile}`);
+        if (actions.length === 0) {
+            reportLines.push('No repairs were needed.');
+        }
+        for (const action of actions) {
+            reportLines.push(`- ${action}`);
         }
         reportLines.push('');
     }
-}
 
-if (report.details.noReferences.length > 0) {
-    hasIssues = true;
-    reportLines.push('## ❌ Orphaned Annotation Files');
-    reportLines.push('');
-    reportLines.push('These annotation files exist but are not referenced by any tool file:');
-    reportLines.push('');
-    for (const file of report.details.noReferences) {
-        reportLines.push(`- \`${file}\``);
+    // Report issues first
+    let issuesFound = false;
+
+    if (report.details.multipleReferences.length > 0) {
+        issuesFound = true;
+        reportLines.push('## ⚠️ Files Referenced Multiple Times');
+        reportLines.push('');
+        reportLines.push('These annotation files are included in multiple tool files:');
+        reportLines.push('');
+        for (const item of report.details.multipleReferences) {
+            reportLines.push(`### ${item.annotation}`);
+            reportLines.push('');
+            reportLines.push(`**Referenced ${item.count} times in:**`);
+            for (const toolFile of item.toolFiles) {
+                reportLines.push(`- ${toolFile}`);
+            }
+            reportLines.push('');
+            if (item.proposedOwner) {
+                reportLines.push(`**Proposed owner:** \`${item.proposedOwner}\` (${item.ownerReason})`);
+                reportLines.push('');
+            }
+        }
     }
-    reportLines.push('');
-}
 
-if (report.details.missingFiles.length > 0) {
-    hasIssues = true;
-    reportLines.push('## 🔴 Missing Annotation Files');
-    reportLines.push('');
-    reportLines.push('These annotation files are referenced but do not exist:');
-    reportLines.push('');
-    for (const item of report.details.missingFiles) {
-        reportLines.push(`- **${item.annotationFile}**`);
-        reportLines.push(`  - Referenced in: \`${item.toolFile}\``);
+    if (report.details.noReferences.length > 0) {
+        issuesFound = true;
+        reportLines.push('## ❌ Orphaned Annotation Files');
+        reportLines.push('');
+        reportLines.push('These annotation files exist but are not referenced by any tool file:');
+        reportLines.push('');
+        for (const file of report.details.noReferences) {
+            reportLines.push(`- \`${file}\``);
+        }
+        reportLines.push('');
     }
-    reportLines.push('');
-}
 
-if (!hasIssues) {
-    reportLines.push('## ✅ All Checks Passed!');
-    reportLines.push('');
-    reportLines.push('- All annotation files are referenced exactly once');
-    reportLines.push('- No orphaned annotation files');
-    reportLines.push('- No references to missing files');
-    reportLines.push('');
-}
+    if (report.details.missingFiles.length > 0) {
+        issuesFound = true;
+        reportLines.push('## 🔴 Missing Annotation Files');
+        reportLines.push('');
+        reportLines.push('These annotation files are referenced but do not exist:');
+        reportLines.push('');
+        for (const item of report.details.missingFiles) {
+            reportLines.push(`- **${item.annotationFile}**`);
+            reportLines.push(`  - Referenced in: \`${item.toolFile}\``);
+        }
+        reportLines.push('');
+    }
 
-// List correct references in a collapsible section
-if (report.details.correct.length > 0) {
-    reportLines.push('## ✅ Correct References');
-    reportLines.push('');
-    reportLines.push(`${report.details.correct.length} annotation files are correctly referenced exactly once.`);
-    reportLines.push('');
-    reportLines.push('<details>');
-    reportLines.push('<summary>View all correct references</summary>');
-    reportLines.push('');
-    reportLines.push('| Annotation File | Tool File |');
-    reportLines.push('|-----------------|-----------|');
-    for (const item of report.details.correct) {
-        reportLines.push(`| \`${item.annotation}\` | \`${item.toolFile}\` |`);
+    if (waiverProblems.length > 0) {
+        issuesFound = true;
+        reportLines.push('## ❌ Waiver Problems');
+        reportLines.push('');
+        for (const problem of waiverProblems) {
+            reportLines.push(`- ${problem.message}`);
+        }
+        reportLines.push('');
     }
-    reportLines.push('');
-    reportLines.push('</details>');
+
+    reportLines.push(...formatWaivedSection(waived));
+
+    if (!issuesFound) {
+        reportLines.push('## ✅ All Checks Passed!');
+        reportLines.push('');
+        reportLines.push('- All annotation files are referenced exactly once');
+        reportLines.push('- No orphaned annotation files');
+        reportLines.push('- No references to missing files');
+        reportLines.push('');
+    }
+
+    // List correct references in a collapsible section
+    if (report.details.correct.length > 0) {
+        reportLines.push('## ✅ Correct References');
+        reportLines.push('');
+        reportLines.push(`${report.details.correct.length} annotation files are correctly referenced exactly once.`);
+        reportLines.push('');
+        reportLines.push('<details>');
+        reportLines.push('<summary>View all correct references</summary>');
+        reportLines.push('');
+        reportLines.push('| Annotation File | Tool File |');
+        reportLines.push('|-----------------|-----------|');
+        for (const item of report.details.correct) {
+            reportLines.push(`| \`${item.annotation}\` | \`${item.toolFile}\` |`);
+        }
+        reportLines.push('');
+        reportLines.push('</details>');
+    }
+    return reportLines.join('\n');
 }
 
-// Write report
-const reportPath = path.join(__dirname, 'annotation-reference-report.md');
-fs.writeFileSync(reportPath, reportLines.join('\n'), 'utf-8');
-
-// Console output
-console.log('✅ Annotation reference verification complete!');
-console.log(`📊 Report saved to: ${reportPath}`);
-console.log('');
-console.log('Summary:');
-console.log(`  Total annotation files: ${report.summary.totalAnnotationFiles}`);
-console.log(`  ✅ Referenced once: ${report.summary.referencedOnce}`);
-console.log(`  ⚠️  Multiple references: ${report.summary.referencedMultipleTimes}`);
-console.log(`  ❌ Orphaned: ${report.summary.notReferenced}`);
-console.log(`  🔴 Missing: ${report.summary.missingFiles}`);
-
-if (hasIssues) {
+// Returns the exit code: 1 if issues remain (after repairs, with --repair) or waivers have problems, otherwise 0
+function main(argv = process.argv.slice(2)) {
+    const options = parseArgs(argv);
+    const result = verifyAnnotationReferences(options);
+    const { report, actions, waiverProblems } = result;
+    const reportText = options.format === 'markdown'
+        ? formatReferencesReport(result)
+        : formatReport(result.findings, options.format);
+    fs.writeFileSync(options.reportPath, reportText, 'utf-8');
+
+    // Console output
+    console.log('✅ Annotation reference verification complete!');
+    console.log(`📊 Report saved to: ${options.reportPath}`);
     console.log('');
-    console.log('⚠️  Issues found - see report for details');
-    process.exit(1);
-} else {
+    console.log('Summary:');
+    console.log(`  Total annotation files: ${report.summary.totalAnnotationFiles}`);
+    console.log(`  ✅ Referenced once: ${report.summary.referencedOnce}`);
+    console.log(`  ⚠️  Multiple references: ${report.summary.referencedMultipleTimes}`);
+    console.log(`  ❌ Orphaned: ${report.summary.notReferenced}`);
+    console.log(`  🔴 Missing: ${report.summary.missingFiles}`);
+    console.log(`  🔕 Waived: ${report.summary.waived}`);
+    for (const problem of waiverProblems) {
+        console.log(`  ❌ ${problem.message.replace(/`/g, '')}`);
+    }
+
+    if (result.repaired) {
+        console.log('');
+        console.log(`🔧 Repair actions (${actions.length}):`);
+        for (const action of actions) {
+            console.log(`  - ${action.replace(/`/g, '')}`);
+        }
+    }
+
     console.log('');
+    if (hasIssues(result)) {
+        console.log('⚠️  Issues found - see report for details');
+        return 1;
+    }
     console.log('✅ All checks passed!');
-    process.exit(0);
+    return 0;
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = main();
+    } catch (error) {
+        console.error(`Failed to verify annotation references: ${error.message}`);
+        process.exitCode = 1;
+    }
 }
+
+module.exports = {
+    main,
+    parseArgs,
+    verifyAnnotationReferences
+};
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+
+const { countBySeverity, defaultWaiversPath, formatReport, reportFormats, verifyArticles } = require('./verifiers');
+
+// Usage: node verify-articles.js [--articles-root <dir>] [--rules <id,id,...>] [--report <path>]
+//                                [--format markdown|json|sarif|junit] [--snapshot <snapshot directory>]
+//                                [--waivers <path>]
+//   --articles-root  directory containing tools/ and includes/ (default: articles/azure-mcp-server)
+//   --rules          comma-separated rule ids to run (default: every rule)
+//   --snapshot       CLI snapshot for the metadata, parameter and coverage rules (default: the tracked version in mcp-cli-metadata/)
+//   --report         report path (default: article-verification-report.<md|json|sarif|xml> next to this script)
+//   --format         report format (default: markdown)
+//   --waivers        waiver file (default: mcp-tools/data/validation-waivers.json)
+// reportName is the default report file name without its extension
+function parseArgs(argv, { reportName = 'article-verification-report' } = {}) {
+    const options = {
+        articlesRoot: undefined,
+        ruleIds: [],
+        reportPath: undefined,
+        format: 'markdown',
+        snapshotDir: undefined,
+        waiversPath: defaultWaiversPath
+    };
+    for (let i = 0; i < argv.length; i += 2) {
+        const flag = argv[i];
+        const value = argv[i + 1];
+        if (!['--articles-root', '--rules', '--report', '--format', '--snapshot', '--waivers'].includes(flag)) {
+            throw new Error(`Unknown argument "${flag}"`);
+        }
+        if (value === undefined) {
+            throw new Error(`${flag} requires a value`);
+        }
+        if (flag === '--articles-root') {
+            options.articlesRoot = path.resolve(value);
+        } else if (flag === '--rules') {
+            options.ruleIds = value.split(',').map(ruleId => ruleId.trim()).filter(Boolean);
+        } else if (flag === '--snapshot') {
+            options.snapshotDir = path.resolve(value);
+        } else if (flag === '--waivers') {
+            options.waiversPath = path.resolve(value);
+        } else if (flag === '--report') {
+            options.reportPath = path.resolve(value);
+        } else {
+            if (!reportFormats[value]) {
+                throw new Error(`Unknown format "${value}". Available formats: ${Object.keys(reportFormats).join(', ')}`);
+            }
+            options.format = value;
+        }
+    }
+    if (!options.reportPath) {
+        options.reportPath = path.join(__dirname, `${reportName}${reportFormats[options.format].extension}`);
+    }
+    return options;
+}
+
+// Returns the exit code: 1 if any rule (including waiver-invalid) reported an error, otherwise 0
+function main(argv = process.argv.slice(2), defaults) {
+    const options = parseArgs(argv, defaults);
+    const result = verifyArticles(options);
+    fs.writeFileSync(options.reportPath, formatReport(result, options.format), 'utf-8');
+
+    const counts = countBySeverity(result.findings);
+    console.log('✅ Article verification complete!');
+    console.log(`📊 Report saved to: ${options.reportPath}`);
+    console.log('');
+    for (const rule of result.rules) {
+        const count = result.findings.filter(finding => finding.ruleId === rule.id).length;
+        console.log(`  ${count === 0 ? '✅' : rule.severity === 'error' ? '❌' : '⚠️ '} ${rule.id}: ${count}`);
+    }
+    console.log('');
+    console.log(`${counts.errors} errors, ${counts.warnings} warnings, ${result.waived.length} waived`);
+    return counts.errors > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = main();
+    } catch (error) {
+        console.error(`Failed to verify articles: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    main,
+    parseArgs
+};